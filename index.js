@@ -4,10 +4,60 @@
 
 'use strict'
 
+const Adapters = require('./lib/adapters')
+const Address = require('./lib/address')
+const BlockIterator = require('./lib/block-iterator')
+const BlockTemplateManager = require('./lib/block-template-manager')
+const BlockWatcher = require('./lib/block-watcher')
+const CryptoNote = require('./lib/cryptonote')
+const DepositMonitor = require('./lib/deposit-monitor')
+const ConfirmationTracker = require('./lib/confirmation-tracker')
+const Errors = require('./lib/errors')
+const LruStore = require('./lib/lru-store')
+const MempoolWatcher = require('./lib/mempool-watcher')
+const MemoryStore = require('./lib/memory-store')
 const MONCoind = require('./lib/moncoind-rpc')
+const MONCoindPool = require('./lib/moncoind-pool')
+const NodeManager = require('./lib/node-manager')
+const PayoutQueue = require('./lib/payout-queue')
+const RequestQueue = require('./lib/request-queue')
+const ResponseCache = require('./lib/response-cache')
+const RetryPolicy = require('./lib/retry-policy')
+const RpcBatch = require('./lib/rpc-batch')
+const SyncTracker = require('./lib/sync-tracker')
+const TransactionExtra = require('./lib/transaction-extra')
+const Transport = require('./lib/transport')
 const WalletAPI = require('./lib/walletapi-rpc')
+const WalletSession = require('./lib/wallet-session')
+const WalletSynchronizer = require('./lib/wallet-synchronizer')
 
-module.exports = {
+/* The error classes are also exposed at the top level so that
+   callers can simply destructure the ones they need */
+module.exports = Object.assign({
+  Adapters,
+  Address,
+  BlockIterator,
+  BlockTemplateManager,
+  BlockWatcher,
+  CryptoNote,
+  DepositMonitor,
+  ConfirmationTracker,
+  Errors,
+  LruStore,
+  MempoolWatcher,
+  MemoryStore,
   MONCoind,
-  WalletAPI
-}
+  MONCoindPool,
+  NodeManager,
+  PayoutQueue,
+  RequestQueue,
+  ResponseCache,
+  RetryPolicy,
+  RpcBatch,
+  SyncTracker,
+  TransactionExtra,
+  Transport,
+  WalletAPI,
+  WalletSession,
+  WalletSynchronizer
+}, Errors)
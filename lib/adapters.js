@@ -0,0 +1,169 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const URL = require('url').URL
+
+/* Shared keep-alive agents so that every client pointed at the
+   same protocol reuses the same connection pool */
+const keepAliveAgents = {}
+
+/**
+ * Adapter Request
+ * @memberof Adapters
+ * @typedef {Object} AdapterRequest
+ * @property {string} method - the HTTP method
+ * @property {string} url - the fully qualified URL of the request
+ * @property {Object} headers - the request headers
+ * @property {string} [body] - the serialized request body
+ * @property {number} timeout - the timeout in milliseconds
+ * @property {boolean} keepAlive - whether the connection should be kept alive and reused
+ */
+
+/**
+ * Adapter Response
+ * @memberof Adapters
+ * @typedef {Object} AdapterResponse
+ * @property {number} statusCode - the HTTP status code
+ * @property {Object} headers - the response headers
+ * @property {string} body - the raw response body
+ */
+
+/**
+ * Creates an adapter that uses the built-in NodeJS http/https modules
+ * @memberof Adapters
+ * @param {Object} [opts] - Configuration options
+ * @param {http.Agent} [opts.agent] - a custom agent to use for every request
+ * @returns {function(Adapters.AdapterRequest): Promise<Adapters.AdapterResponse>} the adapter
+ */
+function httpAdapter (opts) {
+  opts = opts || {}
+
+  return function (req) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(req.url)
+      const transport = (url.protocol === 'https:') ? https : http
+
+      const request = transport.request({
+        protocol: url.protocol,
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        method: req.method,
+        headers: req.headers,
+        agent: opts.agent || getAgent(transport, req.keepAlive)
+      }, response => {
+        const chunks = []
+
+        response.on('data', chunk => chunks.push(chunk))
+        response.on('error', error => reject(error))
+        response.on('end', () => {
+          return resolve({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).toString()
+          })
+        })
+      })
+
+      request.setTimeout(req.timeout, () => request.destroy(timeoutError(req)))
+      request.on('error', error => reject(error))
+
+      if (req.body !== undefined) request.write(req.body)
+      request.end()
+    })
+  }
+}
+
+/**
+ * Creates an adapter that uses the Fetch API
+ * @memberof Adapters
+ * @param {Object} [opts] - Configuration options
+ * @param {function} [opts.fetch=global.fetch] - the fetch implementation to use
+ * @returns {function(Adapters.AdapterRequest): Promise<Adapters.AdapterResponse>} the adapter
+ */
+function fetchAdapter (opts) {
+  opts = opts || {}
+  const fetch = opts.fetch || global.fetch
+
+  if (typeof fetch !== 'function') throw new Error('fetch is not available, please supply an implementation')
+
+  return function (req) {
+    const controller = (typeof global.AbortController !== 'undefined') ? new global.AbortController() : undefined
+    var timer
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (controller) controller.abort()
+
+        return reject(timeoutError(req))
+      }, req.timeout)
+    })
+
+    const response = fetch(req.url, {
+      method: req.method,
+      headers: req.headers,
+      body: req.body,
+      signal: (controller) ? controller.signal : undefined
+    })
+      .then(response => {
+        const headers = {}
+        if (response.headers && typeof response.headers.forEach === 'function') {
+          response.headers.forEach((value, key) => { headers[key] = value })
+        }
+
+        return response.text()
+          .then(body => {
+            return {
+              statusCode: response.status,
+              headers: headers,
+              body: body
+            }
+          })
+      })
+
+    return Promise.race([response, timeout])
+      .then(result => {
+        clearTimeout(timer)
+
+        return result
+      })
+      .catch(error => {
+        clearTimeout(timer)
+
+        throw error
+      })
+  }
+}
+
+function getAgent (transport, keepAlive) {
+  if (!keepAlive) return undefined
+
+  const key = (transport === https) ? 'https' : 'http'
+
+  if (!keepAliveAgents[key]) {
+    keepAliveAgents[key] = new transport.Agent({ keepAlive: true })
+  }
+
+  return keepAliveAgents[key]
+}
+
+function timeoutError (req) {
+  const error = new Error('ETIMEDOUT')
+  error.code = 'ETIMEDOUT'
+  error.timeout = req.timeout
+
+  return error
+}
+
+/**
+ * @module Adapters
+ */
+module.exports = {
+  http: httpAdapter,
+  fetch: fetchAdapter
+}
@@ -0,0 +1,261 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const keccak256 = require('./keccak')
+
+/* The address prefix of MONCoin addresses, which must equal
+   CRYPTONOTE_PUBLIC_ADDRESS_BASE58_PREFIX in src/config/CryptoNoteConfig.h
+   of the MONCoin daemon. Neither that file nor a real MONCoin address was
+   available to check it against: 122 is only the one byte prefix that makes
+   addresses start with an M. Until it is confirmed, supply opts.prefix if
+   real addresses are rejected, the error names the prefix they carry. */
+const MONCOIN_PREFIX = 122
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+/* CryptoNote base58 encodes data in blocks of 8 bytes, each of which
+   becomes 11 characters. The last block may be shorter. */
+const FULL_BLOCK_SIZE = 8
+const ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11]
+
+const CHECKSUM_SIZE = 4
+const KEY_SIZE = 32
+const PAYMENT_ID_SIZE = 64
+
+/**
+ * Decoded Address. The layout matches {@link WalletAPI.ValidationInfo} so
+ * that the two can be used interchangeably.
+ * @memberof Address
+ * @typedef {Object} AddressInfo
+ * @property {boolean} isIntegrated - whether the address is an integrated address
+ * @property {string} paymentID - the payment ID if the address is an integrated address, else an empty string
+ * @property {string} actualAddress - the standard address, without the payment ID
+ * @property {string} publicSpendKey - the public spend key of the address
+ * @property {string} publicViewKey - the public view key of the address
+ * @property {number} prefix - the address prefix
+ */
+
+/**
+ * Decodes a standard or integrated address
+ * @memberof Address
+ * @param {string} address - the address
+ * @param {Object} [opts] - Configuration options
+ * @param {number} [opts.prefix] - the address prefix of the network, defaults to MONCoin's
+ * @returns {Address.AddressInfo} the decoded address
+ */
+function decode (address, opts) {
+  opts = opts || {}
+
+  const prefix = (typeof opts.prefix !== 'undefined') ? opts.prefix : MONCOIN_PREFIX
+
+  if (typeof address !== 'string' || address.length === 0) throw new Error('Must supply an address')
+
+  const data = decodeBase58(address)
+  const payload = data.slice(0, data.length - CHECKSUM_SIZE)
+  const checksum = data.slice(data.length - CHECKSUM_SIZE)
+
+  if (data.length <= CHECKSUM_SIZE || !keccak256(payload).slice(0, CHECKSUM_SIZE).equals(checksum)) throw new Error('Invalid address checksum')
+
+  const decodedPrefix = readVarint(payload)
+  if (decodedPrefix.value !== prefix) throw new Error('Invalid address prefix ' + decodedPrefix.value + ', expected ' + prefix)
+
+  const keys = payload.slice(decodedPrefix.length)
+  var paymentId = ''
+
+  if (keys.length === PAYMENT_ID_SIZE + KEY_SIZE * 2) {
+    /* Integrated addresses carry the payment ID as its hexadecimal text */
+    paymentId = keys.toString('ascii', 0, PAYMENT_ID_SIZE)
+    if (!/^[0-9a-f]{64}$/i.test(paymentId)) throw new Error('Invalid address payment ID')
+  } else if (keys.length !== KEY_SIZE * 2) {
+    throw new Error('Invalid address length')
+  }
+
+  const spendKey = keys.slice(keys.length - KEY_SIZE * 2, keys.length - KEY_SIZE).toString('hex')
+  const viewKey = keys.slice(keys.length - KEY_SIZE).toString('hex')
+
+  return {
+    isIntegrated: (paymentId.length !== 0),
+    paymentID: paymentId,
+    actualAddress: (paymentId.length !== 0) ? encode(spendKey, viewKey, { prefix }) : address,
+    publicSpendKey: spendKey,
+    publicViewKey: viewKey,
+    prefix: prefix
+  }
+}
+
+/**
+ * Checks whether an address is a valid standard or integrated address
+ * @memberof Address
+ * @param {string} address - the address
+ * @param {Object} [opts] - Configuration options
+ * @param {number} [opts.prefix] - the address prefix of the network, defaults to MONCoin's
+ * @param {boolean} [opts.allowIntegrated=true] - whether integrated addresses are considered valid
+ * @returns {boolean} whether the address is valid
+ */
+function validate (address, opts) {
+  opts = opts || {}
+
+  try {
+    const info = decode(address, opts)
+
+    return !(info.isIntegrated && opts.allowIntegrated === false)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Encodes a standard address from its public keys
+ * @memberof Address
+ * @param {string} publicSpendKey - the public spend key
+ * @param {string} publicViewKey - the public view key
+ * @param {Object} [opts] - Configuration options
+ * @param {number} [opts.prefix] - the address prefix of the network, defaults to MONCoin's
+ * @param {string} [opts.paymentId] - a payment ID to encode, which makes the address an integrated address
+ * @returns {string} the address
+ */
+function encode (publicSpendKey, publicViewKey, opts) {
+  opts = opts || {}
+
+  const prefix = (typeof opts.prefix !== 'undefined') ? opts.prefix : MONCOIN_PREFIX
+
+  if (!isHex(publicSpendKey, KEY_SIZE)) throw new Error('Must supply a valid public spend key')
+  if (!isHex(publicViewKey, KEY_SIZE)) throw new Error('Must supply a valid public view key')
+  if (opts.paymentId && !isHex(opts.paymentId, PAYMENT_ID_SIZE / 2)) throw new Error('Must supply a valid payment ID')
+
+  const payload = Buffer.concat([
+    writeVarint(prefix),
+    Buffer.from(opts.paymentId || '', 'ascii'),
+    Buffer.from(publicSpendKey, 'hex'),
+    Buffer.from(publicViewKey, 'hex')
+  ])
+
+  return encodeBase58(Buffer.concat([payload, keccak256(payload).slice(0, CHECKSUM_SIZE)]))
+}
+
+/**
+ * Builds an integrated address from a standard address and a payment ID
+ * @memberof Address
+ * @param {string} address - the standard address
+ * @param {string} paymentId - the payment ID, 64 hexadecimal characters
+ * @param {Object} [opts] - Configuration options
+ * @param {number} [opts.prefix] - the address prefix of the network, defaults to MONCoin's
+ * @returns {string} the integrated address
+ */
+function createIntegrated (address, paymentId, opts) {
+  opts = opts || {}
+
+  if (!paymentId) throw new Error('Must supply payment ID')
+
+  const info = decode(address, opts)
+  if (info.isIntegrated) throw new Error('Must supply a standard address')
+
+  return encode(info.publicSpendKey, info.publicViewKey, { prefix: info.prefix, paymentId: paymentId })
+}
+
+function encodeBase58 (data) {
+  var result = ''
+
+  for (var offset = 0; offset < data.length; offset += FULL_BLOCK_SIZE) {
+    const block = data.slice(offset, offset + FULL_BLOCK_SIZE)
+    const digits = Array.from(block)
+    var encoded = ''
+
+    /* Repeated long division of the big-endian block by 58 */
+    while (digits.some(digit => digit !== 0)) {
+      var remainder = 0
+
+      for (var i = 0; i < digits.length; i++) {
+        const value = remainder * 256 + digits[i]
+        digits[i] = Math.floor(value / 58)
+        remainder = value % 58
+      }
+
+      encoded = ALPHABET[remainder] + encoded
+    }
+
+    result += encoded.padStart(ENCODED_BLOCK_SIZES[block.length], ALPHABET[0])
+  }
+
+  return result
+}
+
+function decodeBase58 (encoded) {
+  const blocks = []
+  const fullEncodedSize = ENCODED_BLOCK_SIZES[FULL_BLOCK_SIZE]
+
+  for (var offset = 0; offset < encoded.length; offset += fullEncodedSize) {
+    const chunk = encoded.substring(offset, offset + fullEncodedSize)
+    const size = ENCODED_BLOCK_SIZES.indexOf(chunk.length)
+
+    if (size === -1) throw new Error('Invalid address length')
+
+    const block = new Array(size).fill(0)
+
+    for (var i = 0; i < chunk.length; i++) {
+      var carry = ALPHABET.indexOf(chunk[i])
+      if (carry === -1) throw new Error('Invalid address character ' + chunk[i])
+
+      for (var j = size - 1; j >= 0; j--) {
+        const value = block[j] * 58 + carry
+        block[j] = value % 256
+        carry = Math.floor(value / 256)
+      }
+
+      /* The block must fit in its size, ie. 'zzzzzzzzzzz' is not a valid block */
+      if (carry !== 0) throw new Error('Invalid address block')
+    }
+
+    blocks.push(Buffer.from(block))
+  }
+
+  return Buffer.concat(blocks)
+}
+
+function isHex (value, size) {
+  return typeof value === 'string' && value.length === size * 2 && /^[0-9a-f]*$/i.test(value)
+}
+
+function readVarint (buffer) {
+  var value = 0
+  var multiplier = 1
+  var length = 0
+  var byte
+
+  do {
+    if (length >= buffer.length) throw new Error('Invalid address prefix')
+
+    byte = buffer[length++]
+    value += (byte & 0x7f) * multiplier
+    multiplier *= 128
+  } while (byte & 0x80)
+
+  return { value, length }
+}
+
+function writeVarint (value) {
+  const bytes = []
+
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80)
+    value = Math.floor(value / 0x80)
+  }
+
+  bytes.push(value)
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * @module Address
+ */
+module.exports = {
+  MONCOIN_PREFIX,
+  decode,
+  validate,
+  encode,
+  createIntegrated
+}
@@ -0,0 +1,127 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Helpers = require('./helpers')
+
+/* How many block hashes a single blockShortHeaders call is relied on to return */
+const PAGE_SIZE = 30
+
+/**
+ * Walks a range of the chain, fetching blocks (and optionally their
+ * transactions) ahead of the consumer while yielding them in height order
+ * @module BlockIterator
+ * @class
+ */
+class BlockIterator {
+  /**
+   * Initializes a new BlockIterator object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to read from
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.from=0] - the first height to yield
+   * @param {number} [opts.to] - the last height to yield, defaults to the top block when iteration begins
+   * @param {boolean} [opts.includeTransactions=false] - whether to fetch the full details of every transaction in each block
+   * @param {number} [opts.concurrency=4] - how many blocks to fetch ahead of the consumer, and how many transactions of a block to fetch at once
+   */
+  constructor (daemon, opts) {
+    opts = opts || {}
+
+    if (!daemon) throw new Error('Must supply a daemon')
+
+    this.daemon = daemon
+    this.from = opts.from || 0
+    this.to = opts.to
+    this.includeTransactions = opts.includeTransactions || false
+    this.concurrency = opts.concurrency || 4
+    this.pages = new Map()
+
+    if (typeof this.to !== 'undefined' && this.to < this.from) throw new Error('to must not be lower than from')
+  }
+
+  /**
+   * Block Item
+   * @memberof BlockIterator
+   * @typedef {Object} BlockItem
+   * @property {number} height - the block height
+   * @property {string} hash - the block hash
+   * @property {MONCoind.BlockSummary} block - the block summary
+   * @property {Object[]} [transactions] - the full details of each transaction in the block as returned by {@link MONCoind#transaction}, when includeTransactions is set
+   */
+
+  /**
+   * Iterates over the range, yielding blocks in height order
+   * @async
+   * @generator
+   * @yields {BlockIterator.BlockItem}
+   */
+  async * [Symbol.asyncIterator] () {
+    const top = await this.daemon.lastBlockHeader()
+    const to = (typeof this.to !== 'undefined') ? Math.min(this.to, top.height) : top.height
+    const pending = []
+    var next = this.from
+
+    while (next <= to || pending.length !== 0) {
+      while (pending.length < this.concurrency && next <= to) {
+        const item = this._fetch(next++, to)
+
+        /* The item may fail before we get to it, which is reported when it is awaited */
+        item.catch(() => {})
+        pending.push(item)
+      }
+
+      yield await pending.shift()
+    }
+  }
+
+  /**
+   * Fetches a single block and its transactions
+   * @async
+   * @private
+   * @param {number} height - the block height
+   * @param {number} to - the last height of the range
+   * @returns {Promise<BlockIterator.BlockItem>} resolves with the block
+   */
+  async _fetch (height, to) {
+    const hash = await this._hash(height, to)
+    const block = await this.daemon.block(hash)
+    const item = { height, hash, block }
+
+    if (this.includeTransactions) {
+      item.transactions = await Helpers.mapLimit(block.transactions, this.concurrency, transaction => this.daemon.transaction(transaction.hash))
+    }
+
+    return item
+  }
+
+  /**
+   * Looks up the hash of the block at a height a page of headers at a time
+   * @async
+   * @private
+   * @param {number} height - the block height
+   * @param {number} to - the last height of the range
+   * @returns {Promise<string>} resolves with the block hash
+   */
+  async _hash (height, to) {
+    const page = Math.floor((height - this.from) / PAGE_SIZE)
+
+    if (!this.pages.has(page)) {
+      const pageTop = Math.min(this.from + (page + 1) * PAGE_SIZE - 1, to)
+
+      this.pages.set(page, this.daemon.blockShortHeaders(pageTop)
+        .then(headers => new Map(headers.map(header => [header.height, header.hash]))))
+
+      /* Blocks are fetched in order so older pages are no longer needed */
+      this.pages.delete(page - 2)
+    }
+
+    const hashes = await this.pages.get(page)
+    if (!hashes.has(height)) throw new Error('The daemon did not return the block hash for height ' + height)
+
+    return hashes.get(height)
+  }
+}
+
+module.exports = BlockIterator
@@ -0,0 +1,319 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const CryptoNote = require('./cryptonote')
+const Errors = require('./errors')
+const Poller = require('./poller')
+const TransactionExtra = require('./transaction-extra')
+
+/* How many templates of the current height are kept so that late shares can still be submitted */
+const MAX_TEMPLATES = 4
+
+/* The tag, size and depth of a merged mining tag of depth 0, which is what templates contain */
+const MERGED_MINING_TAG_PREFIX = '032100'
+
+/**
+ * Keeps a block template up to date for a mining pool, hands out jobs with
+ * unique extra nonces and submits solved blocks to the daemon. Checking the
+ * proof of work of shares is left to the caller.
+ * @module BlockTemplateManager
+ * @class
+ * @extends Poller
+ */
+class BlockTemplateManager extends Poller {
+  /**
+   * Initializes a new BlockTemplateManager object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to request templates from
+   * @param {Object} opts - Configuration options
+   * @param {string} opts.walletAddress - the address that block rewards are paid to
+   * @param {number} [opts.reserveSize=8] - how many bytes to reserve in the template for the extra nonce, at least 4
+   * @param {number} [opts.interval=1000] - how often, in milliseconds, to check the daemon for a new block
+   * @param {number} [opts.poolInterval=10000] - how often, in milliseconds, to check the transaction pool for changes
+   * @param {number} [opts.maxJobAge=300000] - how long, in milliseconds, a job may still be submitted after it was handed out
+   */
+  constructor (daemon, opts) {
+    super()
+    opts = opts || {}
+
+    if (!daemon) throw new Error('Must supply a daemon')
+    if (!opts.walletAddress) throw new Error('Must supply a wallet address')
+
+    this.daemon = daemon
+    this.walletAddress = opts.walletAddress
+    this.reserveSize = (typeof opts.reserveSize !== 'undefined') ? opts.reserveSize : 8
+    this.interval = opts.interval || 1000
+    this.poolInterval = opts.poolInterval || 10000
+    this.maxJobAge = opts.maxJobAge || 300000
+    this.templates = []
+    this.jobs = new Map()
+    this.extraNonce = 0
+    this.nextId = 1
+
+    if (this.reserveSize < 4 || this.reserveSize > 255) throw new Error('reserveSize must be between 4 and 255')
+  }
+
+  /**
+   * Block Template
+   * @memberof BlockTemplateManager
+   * @typedef {Object} Template
+   * @property {number} id - the template ID
+   * @property {number} height - the height of the block
+   * @property {number} difficulty - the network difficulty of the block
+   * @property {string} previousHash - the hash of the block it builds on
+   * @property {number} transactionCount - the number of pool transactions included, excluding the miner transaction
+   * @property {number} reservedOffset - the offset of the reserved space in the template blob
+   * @property {string} blob - the template blob
+   */
+
+  /**
+   * Mining Job
+   * @memberof BlockTemplateManager
+   * @typedef {Object} Job
+   * @property {string} jobId - the job ID
+   * @property {string} blob - the hashing blob for the miner
+   * @property {string} target - the share target as 4 bytes of little endian hexadecimal
+   * @property {number} difficulty - the share difficulty
+   * @property {number} height - the height of the block
+   */
+
+  /**
+   * Submission Result
+   * @memberof BlockTemplateManager
+   * @typedef {Object} SubmitResult
+   * @property {boolean} accepted - whether the daemon accepted the block
+   * @property {string} jobId - the job ID
+   * @property {string} nonce - the nonce as submitted
+   * @property {number} [height] - the height of the block
+   * @property {string} [hash] - the hash of the block
+   * @property {string} [reason] - why the block was rejected
+   */
+
+  /**
+   * Template event, emitted whenever a new template is fetched. Jobs handed out before a template of a new height are stale.
+   * @event BlockTemplateManager#template
+   * @type {BlockTemplateManager.Template}
+   */
+
+  /**
+   * Accepted event, emitted when the daemon accepts a submitted block
+   * @event BlockTemplateManager#accepted
+   * @type {BlockTemplateManager.SubmitResult}
+   */
+
+  /**
+   * Rejected event, emitted when a submitted block is rejected, with the reason given by the daemon
+   * @event BlockTemplateManager#rejected
+   * @type {BlockTemplateManager.SubmitResult}
+   */
+
+  /**
+   * Error event, emitted when checking the daemon or fetching a template fails.
+   * @event BlockTemplateManager#error
+   * @type {Error}
+   */
+
+  /**
+   * The newest template
+   * @type {BlockTemplateManager.Template|undefined}
+   */
+  get current () {
+    return this.templates[this.templates.length - 1]
+  }
+
+  /**
+   * Checks the daemon once and fetches a new template if the height or the transaction pool changed
+   * @async
+   * @returns {Promise} resolves once checked else rejects with error
+   */
+  async poll () {
+    const height = await this.daemon.blockCount()
+    var poolChanged = false
+
+    if (!this.lastPoolCheck || Date.now() - this.lastPoolCheck >= this.poolInterval) {
+      const transactions = await this.daemon.transactionPool()
+      const pool = transactions.map(transaction => transaction.hash).sort().join()
+
+      poolChanged = (typeof this.pool !== 'undefined' && pool !== this.pool)
+      this.pool = pool
+      this.lastPoolCheck = Date.now()
+    }
+
+    if (!this.current || this.current.height !== height || poolChanged) await this.refresh()
+  }
+
+  /**
+   * Fetches a new template from the daemon
+   * @async
+   * @returns {Promise<BlockTemplateManager.Template>} resolves with the new template else rejects with error
+   */
+  async refresh () {
+    const response = await this.daemon.blockTemplate(this.walletAddress, this.reserveSize)
+    const block = CryptoNote.decodeBlock(response.blocktemplate_blob)
+
+    const template = {
+      id: this.nextId++,
+      height: response.height,
+      difficulty: response.difficulty,
+      previousHash: block.prev_hash,
+      transactionCount: block.tx_hashes.length,
+      reservedOffset: response.reserved_offset,
+      blob: response.blocktemplate_blob
+    }
+
+    /* Jobs of an older height can never become blocks */
+    if (this.current && this.current.height !== template.height) this.templates = []
+
+    this.templates.push(template)
+    if (this.templates.length > MAX_TEMPLATES) this.templates.shift()
+
+    this._pruneJobs()
+
+    this.emit('template', template)
+
+    return template
+  }
+
+  /**
+   * Creates a job from the newest template with its own extra nonce. The extra
+   * nonce is a counter written as 4 bytes big endian at the start of the
+   * reserved space, the rest of which is left as the daemon returned it.
+   * @param {number} difficulty - the share difficulty of the worker
+   * @returns {BlockTemplateManager.Job} the job
+   */
+  getJob (difficulty) {
+    const template = this.current
+
+    if (!template) throw new Error('No block template has been fetched yet')
+    if (!(difficulty >= 1)) throw new Error('Must supply a difficulty of at least 1')
+
+    this._pruneJobs()
+
+    const blob = Buffer.from(template.blob, 'hex')
+    const extraNonce = this.extraNonce = (this.extraNonce + 1) % 0x100000000
+    blob.writeUInt32BE(extraNonce, template.reservedOffset)
+
+    const block = CryptoNote.decodeBlock(blob)
+
+    /* The parent block of a merge mined block must commit to the block with the new extra nonce */
+    if (block.major_version !== 1) {
+      const parent = block.parent_block
+      const extra = parent.miner_tx.extra
+      const tag = mergedMiningTag(extra)
+      const index = evenIndexOf(extra, tag) + MERGED_MINING_TAG_PREFIX.length
+
+      parent.miner_tx.extra = extra.substring(0, index) + CryptoNote.auxiliaryHash(block) + extra.substring(index + 64)
+    }
+
+    const target = Buffer.alloc(4)
+    target.writeUInt32LE(Math.floor(0xffffffff / difficulty), 0)
+
+    const job = {
+      jobId: String(this.nextId++),
+      blob: CryptoNote.blockHashingBlob(block),
+      target: target.toString('hex'),
+      difficulty: difficulty,
+      height: template.height
+    }
+
+    this.jobs.set(job.jobId, { template, block, nonces: new Set(), created: Date.now() })
+
+    return job
+  }
+
+  /**
+   * Reassembles a solved block from a job and its nonce and submits it to the daemon
+   * @async
+   * @param {string} jobId - the job ID
+   * @param {string} nonce - the nonce found by the miner, as 4 bytes of hexadecimal
+   * @returns {Promise<BlockTemplateManager.SubmitResult>} resolves with whether the block was accepted else rejects with error if the daemon could not be reached
+   */
+  async submit (jobId, nonce) {
+    const result = { accepted: false, jobId, nonce }
+
+    if (!/^[0-9a-f]{8}$/i.test(nonce || '')) throw new Error('Must supply a nonce of 4 bytes in hexadecimal')
+
+    this._pruneJobs()
+
+    const job = this.jobs.get(jobId)
+    if (!job) return this._rejected(result, 'Unknown or stale job')
+
+    result.height = job.template.height
+
+    if (job.nonces.has(nonce.toLowerCase())) return this._rejected(result, 'Duplicate nonce')
+    job.nonces.add(nonce.toLowerCase())
+
+    const block = Object.assign({}, job.block, { nonce: Buffer.from(nonce, 'hex').readUInt32LE(0) })
+    result.hash = CryptoNote.blockHash(block)
+
+    try {
+      await this.daemon.submitBlock(CryptoNote.encodeBlock(block))
+    } catch (error) {
+      if (error instanceof Errors.JsonRpcError || error instanceof Errors.DaemonStatusError) return this._rejected(result, error.message)
+
+      throw error
+    }
+
+    result.accepted = true
+    this.emit('accepted', result)
+
+    /* The chain has moved on, so fetch the next template straight away */
+    if (this.running) this.stop().start()
+
+    return result
+  }
+
+  /**
+   * Forgets the jobs whose template was replaced or that were handed out too long ago
+   * @private
+   */
+  _pruneJobs () {
+    const oldest = Date.now() - this.maxJobAge
+
+    /* Jobs are kept in the order they were handed out, which is also the
+       order of their templates, so the ones to forget come first */
+    for (const entry of this.jobs) {
+      const job = entry[1]
+
+      if (job.created >= oldest && this.templates.indexOf(job.template) !== -1) break
+
+      this.jobs.delete(entry[0])
+    }
+  }
+
+  /**
+   * Emits and returns a rejected submission
+   * @private
+   * @param {BlockTemplateManager.SubmitResult} result - the submission
+   * @param {string} reason - why the block was rejected
+   * @returns {BlockTemplateManager.SubmitResult} the submission
+   */
+  _rejected (result, reason) {
+    result.reason = reason
+    this.emit('rejected', result)
+
+    return result
+  }
+}
+
+function evenIndexOf (hex, search) {
+  var index = hex.indexOf(search)
+
+  while (index !== -1 && index % 2 !== 0) index = hex.indexOf(search, index + 1)
+
+  return index
+}
+
+function mergedMiningTag (extra) {
+  const tag = TransactionExtra.parse(extra).mergedMining
+  const index = (tag && tag.depth === 0) ? evenIndexOf(extra, MERGED_MINING_TAG_PREFIX + tag.merkleRoot) : -1
+
+  if (index === -1) throw new Error('The parent block of the template must have a merged mining tag of depth 0')
+
+  return MERGED_MINING_TAG_PREFIX + tag.merkleRoot
+}
+
+module.exports = BlockTemplateManager
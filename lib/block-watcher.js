@@ -0,0 +1,221 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Poller = require('./poller')
+
+/**
+ * Watches a daemon for new blocks and chain reorganizations
+ * @module BlockWatcher
+ * @class
+ * @extends Poller
+ */
+class BlockWatcher extends Poller {
+  /**
+   * Initializes a new BlockWatcher object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to watch
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.interval=5000] - how often, in milliseconds, to poll the daemon for a new top block
+   * @param {number} [opts.startHeight] - the height to begin emitting blocks from, defaults to the current top block
+   * @param {number} [opts.maxDepth=100] - how many recent headers to remember for reorganization detection
+   */
+  constructor (daemon, opts) {
+    super()
+    opts = opts || {}
+
+    if (!daemon) throw new Error('Must supply a daemon')
+
+    this.daemon = daemon
+    this.interval = opts.interval || 5000
+    this.startHeight = opts.startHeight
+    this.maxDepth = opts.maxDepth || 100
+    this.headers = new Map()
+  }
+
+  /**
+   * Reorganization Range
+   * @memberof BlockWatcher
+   * @typedef {Object} ReorgRange
+   * @property {number} from - the first height of the range
+   * @property {number} to - the last height of the range
+   * @property {MONCoind.BlockHeader[]} headers - the block headers in the range, in height order
+   */
+
+  /**
+   * Reorganization Event
+   * @memberof BlockWatcher
+   * @typedef {Object} ReorgEvent
+   * @property {number} forkHeight - the height of the last block shared by both chains
+   * @property {BlockWatcher.ReorgRange} orphaned - the blocks that are no longer in the main chain
+   * @property {BlockWatcher.ReorgRange} replacing - the blocks that replaced them
+   */
+
+  /**
+   * New block event, emitted once for every new height and again for every block that replaces an orphaned block
+   * @event BlockWatcher#block
+   * @type {MONCoind.BlockHeader}
+   */
+
+  /**
+   * Chain reorganization event, emitted before the block events of the replacing blocks
+   * @event BlockWatcher#reorg
+   * @type {BlockWatcher.ReorgEvent}
+   */
+
+  /**
+   * Error event, emitted when polling the daemon fails.
+   * @event BlockWatcher#error
+   * @type {Error}
+   */
+
+  /**
+   * The highest block header that has been seen
+   * @type {MONCoind.BlockHeader}
+   */
+  get tip () {
+    var tip
+
+    this.headers.forEach(header => {
+      if (!tip || header.height > tip.height) tip = header
+    })
+
+    return tip
+  }
+
+  /**
+   * Checks the daemon for new blocks once
+   * @async
+   * @returns {Promise} resolves once all new blocks have been emitted or rejects with error
+   */
+  async poll () {
+    const top = await this.daemon.lastBlockHeader()
+
+    if (this.headers.size === 0) {
+      if (typeof this.startHeight === 'undefined' || this.startHeight >= top.height) {
+        return this._accept([top])
+      }
+
+      this._accept([await this.daemon.blockHeaderByHeight(this.startHeight)])
+    }
+
+    const tip = this.tip
+    if (top.hash === tip.hash) return
+
+    if (top.height > tip.height) {
+      const next = (top.height === tip.height + 1) ? top : await this.daemon.blockHeaderByHeight(tip.height + 1)
+
+      if (next.prev_hash === tip.hash) {
+        const headers = [next].concat(await this._range(next, top))
+
+        return this._accept(headers)
+      }
+    }
+
+    return this._reorganize(top)
+  }
+
+  /**
+   * Records and emits new headers that extend the current tip
+   * @private
+   * @param {MONCoind.BlockHeader[]} headers - the new headers in height order
+   */
+  _accept (headers) {
+    headers.forEach(header => {
+      this.headers.set(header.height, header)
+      this.emit('block', header)
+    })
+
+    this._prune()
+  }
+
+  /**
+   * Finds the fork point with the chain ending at top and emits the reorganization
+   * @async
+   * @private
+   * @param {MONCoind.BlockHeader} top - the current top block header of the daemon
+   */
+  async _reorganize (top) {
+    const lowest = Math.min.apply(null, Array.from(this.headers.keys()))
+    var height = Math.min(top.height, this.tip.height)
+    var header
+
+    for (; height >= lowest; height--) {
+      header = (height === top.height) ? top : await this.daemon.blockHeaderByHeight(height)
+
+      if (this.headers.get(height).hash === header.hash) break
+    }
+
+    if (height < lowest) {
+      this.headers.clear()
+      this._accept([top])
+
+      throw new Error('Chain reorganization is deeper than the headers being tracked')
+    }
+
+    const orphaned = Array.from(this.headers.values())
+      .filter(known => known.height > height)
+      .sort((a, b) => a.height - b.height)
+    orphaned.forEach(known => this.headers.delete(known.height))
+
+    const replacing = (top.height > height) ? await this._range(header, top) : []
+
+    this.emit('reorg', {
+      forkHeight: height,
+      orphaned: {
+        from: height + 1,
+        to: (orphaned.length !== 0) ? orphaned[orphaned.length - 1].height : height,
+        headers: orphaned
+      },
+      replacing: {
+        from: height + 1,
+        to: (replacing.length !== 0) ? replacing[replacing.length - 1].height : height,
+        headers: replacing
+      }
+    })
+
+    this._accept(replacing)
+  }
+
+  /**
+   * Retrieves the headers after start up to and including top
+   * @async
+   * @private
+   * @param {MONCoind.BlockHeader} start - the header to continue from
+   * @param {MONCoind.BlockHeader} top - the last header of the range
+   * @returns {Promise<MONCoind.BlockHeader[]>} the headers in height order
+   */
+  async _range (start, top) {
+    const headers = []
+    var previous = start
+
+    for (var height = start.height + 1; height <= top.height; height++) {
+      const header = (height === top.height) ? top : await this.daemon.blockHeaderByHeight(height)
+
+      /* The chain changed underneath us, the next poll will sort it out */
+      if (header.prev_hash !== previous.hash) break
+
+      headers.push(header)
+      previous = header
+    }
+
+    return headers
+  }
+
+  /**
+   * Forgets headers that are too deep to take part in a reorganization
+   * @private
+   */
+  _prune () {
+    const tip = this.tip
+    if (!tip) return
+
+    this.headers.forEach((header, height) => {
+      if (height <= tip.height - this.maxDepth) this.headers.delete(height)
+    })
+  }
+}
+
+module.exports = BlockWatcher
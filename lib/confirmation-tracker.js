@@ -0,0 +1,253 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+const Tracker = require('./tracker')
+
+/**
+ * Tracks transactions until they are buried under the requested number of blocks
+ * @module ConfirmationTracker
+ * @class
+ * @extends Tracker
+ */
+class ConfirmationTracker extends Tracker {
+  /**
+   * Initializes a new ConfirmationTracker object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to query
+   * @param {string|string[]} hashes - the transaction hashes to track
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.confirmations=1] - how deep in the chain a transaction must be to be confirmed, the block containing it counts as the first confirmation
+   * @param {number} [opts.timeout=0] - how long, in milliseconds, to wait before giving up on the remaining transactions, 0 waits forever
+   * @param {number} [opts.interval=5000] - how often, in milliseconds, to check the status of the transactions
+   * @param {number} [opts.maxErrors=10] - how many checks in a row may fail with an error that can be retried, ie. the daemon can not be reached, before giving up, 0 never gives up
+   */
+  constructor (daemon, hashes, opts) {
+    opts = opts || {}
+    super(opts)
+    hashes = (typeof hashes === 'string') ? [hashes] : hashes
+
+    if (!daemon) throw new Error('Must supply a daemon')
+    if (!Array.isArray(hashes) || hashes.length === 0) throw new Error('Must supply transaction hashes')
+
+    this.daemon = daemon
+    this.confirmations = opts.confirmations || 1
+    this.interval = opts.interval || 5000
+    this.transactions = new Map()
+
+    hashes.forEach(hash => {
+      const transaction = {
+        hash: hash,
+        status: 'unknown',
+        blockHash: undefined,
+        height: undefined,
+        confirmations: 0
+      }
+
+      transaction.promise = new Promise((resolve, reject) => {
+        transaction.resolve = resolve
+        transaction.reject = reject
+      })
+
+      /* Callers may only await the combined promise */
+      transaction.promise.catch(() => {})
+
+      this.transactions.set(hash, transaction)
+    })
+
+    /* Wait for every transaction to settle so that a dropped transaction
+       does not stop the others from being tracked */
+    this._wait(Promise.all(Array.from(this.transactions.values()).map(transaction => {
+      return transaction.promise.then(() => undefined, error => error)
+    }))
+      .then(errors => {
+        this.stop()
+
+        const error = errors.filter(error => error !== undefined)[0]
+        if (error) throw error
+
+        return this.results()
+      }))
+  }
+
+  /**
+   * Transaction Confirmation Status
+   * @memberof ConfirmationTracker
+   * @typedef {Object} ConfirmationStatus
+   * @property {string} hash - the transaction hash
+   * @property {string} status - 'unknown' before it is first seen, then 'pool', 'block', 'confirmed', 'dropped', 'timeout', or 'error' if the checks failed
+   * @property {string} [blockHash] - the hash of the block containing the transaction
+   * @property {number} [height] - the height of the block containing the transaction
+   * @property {number} confirmations - how many blocks deep the transaction is
+   * @property {number} required - how many confirmations are required
+   */
+
+  /**
+   * Progress event, emitted whenever the status or confirmations of a transaction change
+   * @event ConfirmationTracker#progress
+   * @type {ConfirmationTracker.ConfirmationStatus}
+   */
+
+  /**
+   * Confirmed event, emitted when a transaction reaches the required confirmations
+   * @event ConfirmationTracker#confirmed
+   * @type {ConfirmationTracker.ConfirmationStatus}
+   */
+
+  /**
+   * Dropped event, emitted when the daemon no longer knows of a transaction
+   * @event ConfirmationTracker#dropped
+   * @type {ConfirmationTracker.ConfirmationStatus}
+   */
+
+  /**
+   * Error event, emitted when checking the daemon fails. The pending
+   * transactions are rejected with the error straight away if it can not be
+   * retried, or once maxErrors checks in a row have failed.
+   * @event ConfirmationTracker#error
+   * @type {Error}
+   */
+
+  /**
+   * Returns a promise for a single transaction
+   * @async
+   * @param {string} hash - the transaction hash
+   * @returns {Promise<ConfirmationTracker.ConfirmationStatus>} resolves once the transaction is confirmed or rejects if it is dropped, times out or can not be checked
+   */
+  wait (hash) {
+    const transaction = this.transactions.get(hash)
+    if (!transaction) return Promise.reject(new Error('Transaction is not being tracked'))
+
+    return transaction.promise
+  }
+
+  /**
+   * Returns the current status of every tracked transaction
+   * @returns {ConfirmationTracker.ConfirmationStatus[]} the statuses
+   */
+  results () {
+    return Array.from(this.transactions.values()).map(transaction => status(transaction, this.confirmations))
+  }
+
+  /**
+   * Checks the status of the pending transactions once
+   * @async
+   * @returns {Promise} resolves once the statuses have been updated or rejects with error
+   */
+  async poll () {
+    const pending = this._pending()
+    if (pending.length === 0) return
+
+    const statuses = await this.daemon.transactionsStatus(pending.map(transaction => transaction.hash))
+    const top = await this.daemon.lastBlockHeader()
+
+    for (var i = 0; i < pending.length; i++) {
+      const transaction = pending[i]
+
+      /* The transaction may have settled while we were waiting on the daemon */
+      if (this._pending().indexOf(transaction) === -1) continue
+
+      if (statuses.transactionsUnknown.indexOf(transaction.hash) !== -1) {
+        this._update(transaction, 'dropped', undefined, undefined)
+        this.emit('dropped', status(transaction, this.confirmations))
+        transaction.reject(new Errors.TransactionDroppedError('Transaction is no longer known to the daemon: ' + transaction.hash, {}, transaction.hash))
+      } else if (statuses.transactionsInPool.indexOf(transaction.hash) !== -1) {
+        this._update(transaction, 'pool', undefined, undefined)
+      } else if (statuses.transactionsInBlock.indexOf(transaction.hash) !== -1) {
+        /* Look the block up every time so a reorganization that moves the
+           transaction to another block is reflected in its depth */
+        const details = await this.daemon.transaction(transaction.hash)
+        const height = details.block.height
+        const confirmations = Math.max(0, top.height - height + 1)
+
+        if (confirmations >= this.confirmations) {
+          this._update(transaction, 'confirmed', details.block.hash, height, confirmations)
+          this.emit('confirmed', status(transaction, this.confirmations))
+          transaction.resolve(status(transaction, this.confirmations))
+        } else {
+          this._update(transaction, 'block', details.block.hash, height, confirmations)
+        }
+      }
+    }
+  }
+
+  /**
+   * Keeps checking the daemon while any transaction has not settled
+   * @private
+   * @returns {boolean} whether to schedule the next check
+   */
+  _continue () {
+    return this._pending().length !== 0
+  }
+
+  /**
+   * Rejects the transactions that are still pending once the deadline has passed
+   * @private
+   */
+  _expire () {
+    this._pending().forEach(transaction => {
+      transaction.status = 'timeout'
+      transaction.reject(new Errors.OperationTimeoutError('Timed out waiting for confirmations of ' + transaction.hash))
+    })
+  }
+
+  /**
+   * Rejects the transactions that are still pending with the error that made the tracker give up
+   * @private
+   * @param {Error} error - the error
+   */
+  _fail (error) {
+    this._pending().forEach(transaction => {
+      transaction.status = 'error'
+      transaction.reject(error)
+    })
+  }
+
+  /**
+   * Returns the transactions that have not yet settled
+   * @private
+   * @returns {Object[]} the pending transactions
+   */
+  _pending () {
+    return Array.from(this.transactions.values())
+      .filter(transaction => ['unknown', 'pool', 'block'].indexOf(transaction.status) !== -1)
+  }
+
+  /**
+   * Updates a transaction and emits progress if anything changed
+   * @private
+   * @param {Object} transaction - the tracked transaction
+   * @param {string} state - the new status of the transaction
+   * @param {string} [blockHash] - the hash of the block containing the transaction
+   * @param {number} [height] - the height of the block containing the transaction
+   * @param {number} [confirmations=0] - how many blocks deep the transaction is
+   */
+  _update (transaction, state, blockHash, height, confirmations) {
+    confirmations = confirmations || 0
+
+    if (transaction.status === state && transaction.blockHash === blockHash && transaction.confirmations === confirmations) return
+
+    transaction.status = state
+    transaction.blockHash = blockHash
+    transaction.height = height
+    transaction.confirmations = confirmations
+
+    this.emit('progress', status(transaction, this.confirmations))
+  }
+}
+
+function status (transaction, required) {
+  return {
+    hash: transaction.hash,
+    status: transaction.status,
+    blockHash: transaction.blockHash,
+    height: transaction.height,
+    confirmations: transaction.confirmations,
+    required: required
+  }
+}
+
+module.exports = ConfirmationTracker
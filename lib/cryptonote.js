@@ -0,0 +1,660 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const keccak256 = require('./keccak')
+const TransactionExtra = require('./transaction-extra')
+
+/* Input and output type tags */
+const INPUT_COINBASE = 'ff'
+const INPUT_KEY = '02'
+const INPUT_MULTISIGNATURE = '03'
+const OUTPUT_KEY = '02'
+const OUTPUT_MULTISIGNATURE = '03'
+
+/**
+ * Block Parent
+ * @memberof CryptoNote
+ * @typedef {Object} BlockParent
+ * @property {number} major_version - the major version of the parent block
+ * @property {number} minor_version - the minor version of the parent block
+ * @property {number} timestamp - the timestamp of the parent block, which is the timestamp of the block
+ * @property {string} prev_hash - the hash of the block before the parent block
+ * @property {number} nonce - the nonce of the parent block, which is the nonce of the block
+ * @property {number} transaction_count - the number of transactions in the parent block
+ * @property {string[]} base_transaction_branch - the merkle branch of the parent block miner transaction
+ * @property {CryptoNote.TransactionPrefix} miner_tx - the parent block miner transaction prefix
+ * @property {string[]} blockchain_branch - the merkle branch of the block in the merged mining tree
+ */
+
+/**
+ * Decoded Block
+ * @memberof CryptoNote
+ * @typedef {Object} Block
+ * @property {number} major_version - the block major version
+ * @property {number} minor_version - the block minor version
+ * @property {number} timestamp - the block timestamp
+ * @property {string} prev_hash - the hash of the previous block
+ * @property {number} nonce - the block nonce
+ * @property {CryptoNote.BlockParent} [parent_block] - the merged mining parent block, for major versions above 1
+ * @property {CryptoNote.Transaction} miner_tx - the miner transaction
+ * @property {string[]} tx_hashes - the hashes of the other transactions in the block
+ */
+
+/**
+ * Decoded Transaction Prefix. The layout matches {@link MONCoind.TransactionPrefix} with the
+ * public key and payment ID found in the extra field added.
+ * @memberof CryptoNote
+ * @typedef {Object} TransactionPrefix
+ * @property {number} version - the transaction version number
+ * @property {number} unlock_time - the transaction unlock time
+ * @property {Array<MONCoind.VIN|MONCoind.VINCoinbase>} vin - the transaction inputs
+ * @property {MONCoind.VOUT[]} vout - the transaction outputs
+ * @property {string} extra - the transaction extra field as hexadecimal, which is what is serialized
+ * @property {string} [publicKey] - the transaction public key found in the extra field
+ * @property {string} [paymentId] - the payment ID found in the extra field
+ */
+
+/**
+ * Decoded Transaction
+ * @memberof CryptoNote
+ * @typedef {CryptoNote.TransactionPrefix} Transaction
+ * @property {Array<string[]>} signatures - the ring signatures of each input as hexadecimal, empty for miner transactions
+ */
+
+/**
+ * Decodes a block blob, such as a block template blob or the block of a raw block
+ * @memberof CryptoNote
+ * @param {string|Buffer} blob - the block blob as hexadecimal or a buffer
+ * @returns {CryptoNote.Block} the decoded block
+ */
+function decodeBlock (blob) {
+  const reader = new Reader(blob)
+  const block = readBlock(reader)
+
+  reader.end()
+
+  return block
+}
+
+/**
+ * Serializes a block into a block blob
+ * @memberof CryptoNote
+ * @param {CryptoNote.Block} block - the block
+ * @returns {string} the block blob as hexadecimal
+ */
+function encodeBlock (block) {
+  const writer = new Writer()
+
+  writer.varint(block.major_version)
+  writer.varint(block.minor_version)
+
+  if (block.major_version === 1) {
+    writer.varint(block.timestamp)
+    writer.hash(block.prev_hash)
+    writer.uint32(block.nonce)
+  } else {
+    const parent = block.parent_block
+
+    if (!parent) throw new Error('Must supply the parent block of blocks above major version 1')
+
+    writer.hash(block.prev_hash)
+    writer.varint(parent.major_version)
+    writer.varint(parent.minor_version)
+    writer.varint(block.timestamp)
+    writer.hash(parent.prev_hash)
+    writer.uint32(block.nonce)
+    writer.varint(parent.transaction_count)
+    writer.hashes(parent.base_transaction_branch, treeDepth(parent.transaction_count))
+    writePrefix(writer, parent.miner_tx)
+    writer.hashes(parent.blockchain_branch, mergeMiningDepth(parent.miner_tx.extra))
+  }
+
+  writeTransaction(writer, block.miner_tx)
+
+  writer.varint(block.tx_hashes.length)
+  block.tx_hashes.forEach(hash => writer.hash(hash))
+
+  return writer.toString()
+}
+
+/**
+ * Decodes a raw transaction, such as one passed to {@link MONCoind#sendRawTransaction}
+ * @memberof CryptoNote
+ * @param {string|Buffer} blob - the raw transaction as hexadecimal or a buffer
+ * @returns {CryptoNote.Transaction} the decoded transaction
+ */
+function decodeTransaction (blob) {
+  const reader = new Reader(blob)
+  const transaction = readTransaction(reader)
+
+  reader.end()
+
+  return transaction
+}
+
+/**
+ * Serializes a transaction into a raw transaction
+ * @memberof CryptoNote
+ * @param {CryptoNote.Transaction} transaction - the transaction
+ * @returns {string} the raw transaction as hexadecimal
+ */
+function encodeTransaction (transaction) {
+  const writer = new Writer()
+
+  writeTransaction(writer, transaction)
+
+  return writer.toString()
+}
+
+/**
+ * Decodes a serialized transaction prefix, which is the part of a raw transaction that is signed
+ * @memberof CryptoNote
+ * @param {string|Buffer} blob - the transaction prefix as hexadecimal or a buffer
+ * @returns {CryptoNote.TransactionPrefix} the decoded transaction prefix
+ */
+function decodeTransactionPrefix (blob) {
+  const reader = new Reader(blob)
+  const prefix = readPrefix(reader)
+
+  reader.end()
+
+  return prefix
+}
+
+/**
+ * Serializes a transaction prefix
+ * @memberof CryptoNote
+ * @param {CryptoNote.TransactionPrefix} prefix - the transaction prefix
+ * @returns {string} the transaction prefix as hexadecimal
+ */
+function encodeTransactionPrefix (prefix) {
+  const writer = new Writer()
+
+  writePrefix(writer, prefix)
+
+  return writer.toString()
+}
+
+/**
+ * Computes the hash of a transaction
+ * @memberof CryptoNote
+ * @param {CryptoNote.Transaction} transaction - the transaction
+ * @returns {string} the transaction hash
+ */
+function transactionHash (transaction) {
+  return keccak256(Buffer.from(encodeTransaction(transaction), 'hex')).toString('hex')
+}
+
+/**
+ * Builds the blob that miners hash to find the proof of work of a block. For merge
+ * mined blocks this is the header of the parent block, whose merged mining tag
+ * must already commit to the {@link CryptoNote.auxiliaryHash} of the block.
+ * @memberof CryptoNote
+ * @param {CryptoNote.Block} block - the block
+ * @returns {string} the hashing blob as hexadecimal
+ */
+function blockHashingBlob (block) {
+  if (block.major_version === 1) return headerHashingBlob(block)
+
+  const parent = block.parent_block
+  const writer = new Writer()
+  const minerTransactionHash = keccak256(Buffer.from(encodeTransactionPrefix(parent.miner_tx), 'hex')).toString('hex')
+
+  writer.varint(parent.major_version)
+  writer.varint(parent.minor_version)
+  writer.varint(block.timestamp)
+  writer.hash(parent.prev_hash)
+  writer.uint32(block.nonce)
+  writer.hash(branchHash(parent.base_transaction_branch, minerTransactionHash))
+  writer.varint(parent.transaction_count)
+
+  return writer.toString()
+}
+
+/**
+ * Computes the hash that the merged mining tag of a merge mined block's parent block commits to
+ * @memberof CryptoNote
+ * @param {CryptoNote.Block} block - the block
+ * @returns {string} the auxiliary block header hash
+ */
+function auxiliaryHash (block) {
+  return objectHash(headerHashingBlob(block))
+}
+
+/**
+ * Computes the hash of a block
+ * @memberof CryptoNote
+ * @param {CryptoNote.Block} block - the block
+ * @returns {string} the block hash
+ */
+function blockHash (block) {
+  var blob = headerHashingBlob(block)
+
+  if (block.major_version !== 1) {
+    const parent = block.parent_block
+    const writer = new Writer()
+
+    writer.bytes(blockHashingBlob(block))
+    writer.hashes(parent.base_transaction_branch, treeDepth(parent.transaction_count))
+    writePrefix(writer, parent.miner_tx)
+    writer.hashes(parent.blockchain_branch, mergeMiningDepth(parent.miner_tx.extra))
+
+    blob += writer.toString()
+  }
+
+  return objectHash(blob)
+}
+
+function headerHashingBlob (block) {
+  const writer = new Writer()
+
+  writer.varint(block.major_version)
+  writer.varint(block.minor_version)
+
+  if (block.major_version === 1) {
+    writer.varint(block.timestamp)
+    writer.hash(block.prev_hash)
+    writer.uint32(block.nonce)
+  } else {
+    writer.hash(block.prev_hash)
+  }
+
+  writer.hash(treeHash([transactionHash(block.miner_tx)].concat(block.tx_hashes)))
+  writer.varint(block.tx_hashes.length + 1)
+
+  return writer.toString()
+}
+
+function readBlock (reader) {
+  const block = {
+    major_version: reader.varint(),
+    minor_version: reader.varint()
+  }
+
+  if (block.major_version === 1) {
+    block.timestamp = reader.varint()
+    block.prev_hash = reader.hash()
+    block.nonce = reader.uint32()
+  } else {
+    /* Merge mined blocks take their timestamp and nonce from the parent block */
+    block.prev_hash = reader.hash()
+
+    const parent = {
+      major_version: reader.varint(),
+      minor_version: reader.varint()
+    }
+
+    block.timestamp = reader.varint()
+    parent.prev_hash = reader.hash()
+    block.nonce = reader.uint32()
+    parent.transaction_count = reader.varint()
+    parent.base_transaction_branch = reader.hashes(treeDepth(parent.transaction_count))
+    parent.miner_tx = readPrefix(reader)
+    parent.blockchain_branch = reader.hashes(mergeMiningDepth(parent.miner_tx.extra))
+    parent.timestamp = block.timestamp
+    parent.nonce = block.nonce
+
+    block.parent_block = parent
+  }
+
+  block.miner_tx = readTransaction(reader)
+  block.tx_hashes = reader.hashes(reader.varint())
+
+  return block
+}
+
+function readPrefix (reader) {
+  const prefix = {
+    version: reader.varint(),
+    unlock_time: reader.varint(),
+    vin: [],
+    vout: []
+  }
+
+  const inputCount = reader.varint()
+  for (var i = 0; i < inputCount; i++) {
+    const type = reader.bytes(1)
+
+    switch (type) {
+      case INPUT_COINBASE:
+        prefix.vin.push({ type, value: { height: reader.varint() } })
+        break
+      case INPUT_KEY: {
+        const amount = reader.varint()
+        const offsetCount = reader.varint()
+        const offsets = []
+
+        for (var j = 0; j < offsetCount; j++) offsets.push(reader.varint())
+
+        prefix.vin.push({ type, value: { amount, k_image: reader.hash(), key_offsets: offsets } })
+        break
+      }
+      case INPUT_MULTISIGNATURE:
+        prefix.vin.push({ type, value: { amount: reader.varint(), signatures: reader.varint(), outputIndex: reader.varint() } })
+        break
+      default:
+        throw new Error('Unknown input type ' + type + ' at offset ' + (reader.offset - 1))
+    }
+  }
+
+  const outputCount = reader.varint()
+  for (i = 0; i < outputCount; i++) {
+    const amount = reader.varint()
+    const type = reader.bytes(1)
+
+    switch (type) {
+      case OUTPUT_KEY:
+        prefix.vout.push({ amount, target: { data: { key: reader.hash() }, type } })
+        break
+      case OUTPUT_MULTISIGNATURE: {
+        const keys = reader.hashes(reader.varint())
+
+        prefix.vout.push({ amount, target: { data: { keys, required_signatures: reader.varint() }, type } })
+        break
+      }
+      default:
+        throw new Error('Unknown output type ' + type + ' at offset ' + (reader.offset - 1))
+    }
+  }
+
+  prefix.extra = reader.bytes(reader.varint())
+
+  const fields = TransactionExtra.parse(prefix.extra)
+  if (fields.publicKey) prefix.publicKey = fields.publicKey
+  if (fields.paymentId) prefix.paymentId = fields.paymentId
+
+  return prefix
+}
+
+function readTransaction (reader) {
+  const transaction = readPrefix(reader)
+
+  transaction.signatures = []
+
+  /* Miner transactions have no signatures at all */
+  if (transaction.vin.every(input => signatureCount(input) === 0)) return transaction
+
+  transaction.signatures = transaction.vin.map(input => {
+    const signatures = []
+
+    for (var i = 0; i < signatureCount(input); i++) signatures.push(reader.bytes(64))
+
+    return signatures
+  })
+
+  return transaction
+}
+
+function writePrefix (writer, prefix) {
+  writer.varint(prefix.version)
+  writer.varint(prefix.unlock_time)
+
+  writer.varint(prefix.vin.length)
+  prefix.vin.forEach(input => {
+    writer.bytes(input.type)
+
+    switch (input.type) {
+      case INPUT_COINBASE:
+        writer.varint(input.value.height)
+        break
+      case INPUT_KEY:
+        writer.varint(input.value.amount)
+        writer.varint(input.value.key_offsets.length)
+        input.value.key_offsets.forEach(offset => writer.varint(offset))
+        writer.hash(input.value.k_image)
+        break
+      case INPUT_MULTISIGNATURE:
+        writer.varint(input.value.amount)
+        writer.varint(input.value.signatures)
+        writer.varint(input.value.outputIndex)
+        break
+      default:
+        throw new Error('Unknown input type ' + input.type)
+    }
+  })
+
+  writer.varint(prefix.vout.length)
+  prefix.vout.forEach(output => {
+    writer.varint(output.amount)
+    writer.bytes(output.target.type)
+
+    switch (output.target.type) {
+      case OUTPUT_KEY:
+        writer.hash(output.target.data.key)
+        break
+      case OUTPUT_MULTISIGNATURE:
+        writer.varint(output.target.data.keys.length)
+        output.target.data.keys.forEach(key => writer.hash(key))
+        writer.varint(output.target.data.required_signatures)
+        break
+      default:
+        throw new Error('Unknown output type ' + output.target.type)
+    }
+  })
+
+  const extra = prefix.extra || ''
+  writer.varint(extra.length / 2)
+  writer.bytes(extra)
+}
+
+function writeTransaction (writer, transaction) {
+  writePrefix(writer, transaction)
+
+  const signatures = transaction.signatures || []
+  if (signatures.length === 0 && transaction.vin.every(input => signatureCount(input) === 0)) return
+
+  if (signatures.length !== transaction.vin.length) throw new Error('Must supply the signatures of every input')
+
+  transaction.vin.forEach((input, index) => {
+    if (signatures[index].length !== signatureCount(input)) throw new Error('Wrong number of signatures for input ' + index)
+
+    signatures[index].forEach(signature => writer.bytes(signature, 64))
+  })
+}
+
+function signatureCount (input) {
+  switch (input.type) {
+    case INPUT_KEY:
+      return input.value.key_offsets.length
+    case INPUT_MULTISIGNATURE:
+      return input.value.signatures
+    default:
+      return 0
+  }
+}
+
+function mergeMiningDepth (extra) {
+  const fields = TransactionExtra.parse(extra)
+
+  if (!fields.mergedMining) throw new Error('The parent block miner transaction has no merged mining tag')
+
+  return fields.mergedMining.depth
+}
+
+/* The hash of a binary array, as CryptoNote's getObjectHash, which hashes the
+   serialized array and so its varint length before its bytes */
+function objectHash (blob) {
+  const writer = new Writer()
+
+  writer.varint(blob.length / 2)
+  writer.bytes(blob)
+
+  return keccak256(Buffer.from(writer.toString(), 'hex')).toString('hex')
+}
+
+/* The depth of the merkle tree of the given number of transactions */
+function treeDepth (count) {
+  var depth = 0
+
+  while (count > 1) {
+    count = Math.floor(count / 2)
+    depth++
+  }
+
+  return depth
+}
+
+/* The merkle root of the given hashes, as CryptoNote's tree_hash */
+function treeHash (hashes) {
+  const hash = (left, right) => keccak256(Buffer.from(left + right, 'hex')).toString('hex')
+
+  if (hashes.length === 1) return hashes[0]
+  if (hashes.length === 2) return hash(hashes[0], hashes[1])
+
+  var count = 1
+  while (count * 2 < hashes.length) count *= 2
+
+  /* Hash pairs from the end until the number of hashes is a power of two */
+  const level = hashes.slice(0, 2 * count - hashes.length)
+  for (var i = 2 * count - hashes.length; i < hashes.length; i += 2) level.push(hash(hashes[i], hashes[i + 1]))
+
+  while (level.length > 2) {
+    for (i = 0; i < level.length / 2; i++) level[i] = hash(level[i * 2], level[i * 2 + 1])
+    level.length = level.length / 2
+  }
+
+  return hash(level[0], level[1])
+}
+
+/* The merkle root of the leftmost leaf and its branch, as CryptoNote's tree_hash_from_branch */
+function branchHash (branch, leaf) {
+  var hash = leaf
+
+  for (var i = branch.length - 1; i >= 0; i--) hash = keccak256(Buffer.from(hash + branch[i], 'hex')).toString('hex')
+
+  return hash
+}
+
+class Reader {
+  constructor (blob) {
+    this.buffer = (Buffer.isBuffer(blob)) ? blob : Buffer.from(blob, 'hex')
+    this.offset = 0
+
+    if (!Buffer.isBuffer(blob) && this.buffer.length * 2 !== blob.length) throw new Error('Must supply a hexadecimal blob')
+  }
+
+  done () {
+    return this.offset >= this.buffer.length
+  }
+
+  end () {
+    if (!this.done()) throw new Error('Unexpected data at offset ' + this.offset)
+  }
+
+  bytes (length) {
+    if (this.offset + length > this.buffer.length) throw new Error('Unexpected end of data at offset ' + this.offset)
+
+    const bytes = this.buffer.toString('hex', this.offset, this.offset + length)
+    this.offset += length
+
+    return bytes
+  }
+
+  hash () {
+    return this.bytes(32)
+  }
+
+  hashes (count) {
+    const hashes = []
+
+    for (var i = 0; i < count; i++) hashes.push(this.hash())
+
+    return hashes
+  }
+
+  uint32 () {
+    if (this.offset + 4 > this.buffer.length) throw new Error('Unexpected end of data at offset ' + this.offset)
+
+    const value = this.buffer.readUInt32LE(this.offset)
+    this.offset += 4
+
+    return value
+  }
+
+  varint () {
+    const start = this.offset
+    var value = 0
+    var multiplier = 1
+    var byte
+
+    do {
+      if (this.done()) throw new Error('Unexpected end of data at offset ' + this.offset)
+
+      byte = this.buffer[this.offset++]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+
+    if (!Number.isSafeInteger(value)) throw new Error('The varint at offset ' + start + ' is too large to be represented')
+
+    return value
+  }
+}
+
+class Writer {
+  constructor () {
+    this.chunks = []
+  }
+
+  bytes (hex, length) {
+    if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex)) throw new Error('Must supply hexadecimal data')
+    if (typeof length !== 'undefined' && hex.length !== length * 2) throw new Error('Must supply ' + length + ' bytes of data')
+
+    this.chunks.push(hex)
+  }
+
+  hash (hash) {
+    this.bytes(hash, 32)
+  }
+
+  hashes (hashes, count) {
+    if (hashes.length !== count) throw new Error('Must supply ' + count + ' branch hashes')
+
+    hashes.forEach(hash => this.hash(hash))
+  }
+
+  uint32 (value) {
+    const buffer = Buffer.alloc(4)
+    buffer.writeUInt32LE(value, 0)
+
+    this.chunks.push(buffer.toString('hex'))
+  }
+
+  varint (value) {
+    if (!Number.isSafeInteger(value) || value < 0) throw new Error('Must supply a non-negative integer')
+
+    const bytes = []
+
+    while (value >= 0x80) {
+      bytes.push((value % 0x80) | 0x80)
+      value = Math.floor(value / 0x80)
+    }
+
+    bytes.push(value)
+
+    this.chunks.push(Buffer.from(bytes).toString('hex'))
+  }
+
+  toString () {
+    return this.chunks.join('')
+  }
+}
+
+/**
+ * @module CryptoNote
+ */
+module.exports = {
+  decodeBlock,
+  encodeBlock,
+  decodeTransaction,
+  encodeTransaction,
+  decodeTransactionPrefix,
+  encodeTransactionPrefix,
+  transactionHash,
+  blockHashingBlob,
+  auxiliaryHash,
+  blockHash
+}
@@ -0,0 +1,326 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const crypto = require('crypto')
+const MemoryStore = require('./memory-store')
+const Poller = require('./poller')
+
+/**
+ * Assigns deposit addresses to customers and watches the wallet for the
+ * transfers they receive. Each credited transfer is reported as pending,
+ * then confirmed as it is buried under blocks, or orphaned if it leaves the
+ * chain. The scan cursor and the deposits seen are persisted so that a
+ * restart neither misses nor repeats a deposit.
+ * @module DepositMonitor
+ * @class
+ * @extends Poller
+ */
+class DepositMonitor extends Poller {
+  /**
+   * Initializes a new DepositMonitor object
+   * @constructor
+   * @param {WalletAPI} wallet - the wallet receiving the deposits
+   * @param {Object} [opts] - Configuration options
+   * @param {string} [opts.mode=integrated] - 'integrated' to give every customer an integrated address with its own payment ID, or 'subaddress' to give every customer a subwallet
+   * @param {string} [opts.address] - the address integrated addresses are built from, defaults to the primary address of the wallet. Only transfers to this address are credited in integrated mode.
+   * @param {number} [opts.confirmations=10] - how many confirmations a deposit needs before it is final
+   * @param {number} [opts.startHeight=0] - the height to start scanning from when there is no saved state
+   * @param {number} [opts.batchSize=1000] - how many blocks to request transactions for at once
+   * @param {number} [opts.interval=10000] - how often, in milliseconds, to scan the wallet
+   * @param {Object} [opts.store] - the store used to persist the state across restarts, an object with load() and save(state) methods (see {@link MemoryStore})
+   */
+  constructor (wallet, opts) {
+    super()
+    opts = opts || {}
+
+    if (!wallet) throw new Error('Must supply a wallet')
+
+    this.wallet = wallet
+    this.mode = opts.mode || 'integrated'
+    this.address = opts.address
+    this.confirmations = opts.confirmations || 10
+    this.startHeight = opts.startHeight || 0
+    this.batchSize = opts.batchSize || 1000
+    this.interval = opts.interval || 10000
+    this.store = opts.store || new MemoryStore()
+    this.assigning = new Map()
+
+    if (this.mode !== 'integrated' && this.mode !== 'subaddress') throw new Error('mode must be integrated or subaddress')
+  }
+
+  /**
+   * Deposit Address
+   * @memberof DepositMonitor
+   * @typedef {Object} Assignment
+   * @property {string} customerId - the customer ID
+   * @property {string} address - the address the customer deposits to
+   * @property {string} [paymentId] - the payment ID of the integrated address
+   */
+
+  /**
+   * Deposit
+   * @memberof DepositMonitor
+   * @typedef {Object} Deposit
+   * @property {string} hash - the transaction hash
+   * @property {string} customerId - the customer ID
+   * @property {string} address - the address the customer deposited to
+   * @property {string} [paymentId] - the payment ID of the integrated address
+   * @property {string} amount - the amount credited, as a string in the amount format of the wallet
+   * @property {number} blockHeight - the height of the block containing the transaction, 0 if unconfirmed
+   * @property {number} confirmations - how many blocks the transaction is buried under, including its own
+   * @property {boolean} final - whether the deposit has reached the required confirmations
+   */
+
+  /**
+   * Monitor State
+   * @memberof DepositMonitor
+   * @typedef {Object} State
+   * @property {number} height - the lowest height that can still contain deposits that are not final
+   * @property {Object<string, DepositMonitor.Assignment>} customers - the deposit addresses keyed by customer ID
+   * @property {Object<string, DepositMonitor.Deposit>} deposits - the deposits seen, keyed by transaction hash and address
+   */
+
+  /**
+   * Pending event, emitted when a deposit is first seen
+   * @event DepositMonitor#pending
+   * @type {DepositMonitor.Deposit}
+   */
+
+  /**
+   * Confirmed event, emitted with the deposit and its confirmations whenever they increase. The deposit is marked final once the required confirmations are reached, and is not reported again.
+   * @event DepositMonitor#confirmed
+   * @type {DepositMonitor.Deposit}
+   */
+
+  /**
+   * Orphaned event, emitted when a deposit leaves the chain before it is final. A deposit that returns to the transaction pool keeps being tracked, while one that disappears from the wallet is forgotten.
+   * @event DepositMonitor#orphaned
+   * @type {DepositMonitor.Deposit}
+   */
+
+  /**
+   * Error event, emitted when scanning the wallet fails.
+   * @event DepositMonitor#error
+   * @type {Error}
+   */
+
+  /**
+   * Returns the deposit address of a customer, creating one if the customer does not have one yet
+   * @async
+   * @param {string} customerId - the customer ID
+   * @returns {Promise<DepositMonitor.Assignment>} resolves with the deposit address else rejects with error
+   */
+  async assign (customerId) {
+    if (typeof customerId === 'undefined' || customerId === null || customerId === '') throw new Error('Must supply a customer ID')
+
+    customerId = String(customerId)
+
+    /* Concurrent calls for the same customer share one assignment, so that
+       no subwallet is created that the customer is never given */
+    if (!this.assigning.has(customerId)) {
+      const assigning = this._assign(customerId)
+      const done = () => this.assigning.delete(customerId)
+
+      this.assigning.set(customerId, assigning)
+      assigning.then(done, done)
+    }
+
+    return Object.assign({}, await this.assigning.get(customerId))
+  }
+
+  /**
+   * Scans the wallet once for new deposits and changes to the deposits being tracked
+   * @async
+   * @returns {Promise} resolves once scanned else rejects with error
+   */
+  async poll () {
+    const state = await this._load()
+    const status = await this.wallet.status()
+    const address = (this.mode === 'integrated') ? await this._address() : undefined
+    const top = status.walletBlockCount
+    const from = state.height
+
+    const found = new Map()
+    const record = (transaction, blockHeight) => {
+      this._match(state, transaction, address).forEach(deposit => {
+        deposit.blockHeight = blockHeight
+        deposit.confirmations = (blockHeight !== 0) ? Math.max(0, top - blockHeight) : 0
+
+        if (!found.has(depositKey(deposit)) || blockHeight !== 0) found.set(depositKey(deposit), deposit)
+      })
+    }
+
+    /* The genesis block holds no deposits, and a start height of 0 would return the whole history */
+    for (var start = Math.max(1, from); start < top; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize, top)
+      const transactions = await this.wallet.transactions(start, end)
+
+      /* The range is enforced here too, as some wallets include unconfirmed transactions */
+      transactions
+        .filter(transaction => transaction.blockHeight >= start && transaction.blockHeight < end && transaction.blockHeight !== 0)
+        .forEach(transaction => record(transaction, transaction.blockHeight))
+    }
+
+    const unconfirmed = await this.wallet.unconfirmedTransactions()
+    unconfirmed.forEach(transaction => record(transaction, 0))
+
+    Object.keys(state.deposits).forEach(key => {
+      const deposit = state.deposits[key]
+
+      if (deposit.final || found.has(key)) return
+
+      /* The wallet went back, ie. it was reset, and has not scanned that block again yet */
+      if (deposit.blockHeight !== 0 && deposit.blockHeight >= top) return
+
+      delete state.deposits[key]
+      this.emit('orphaned', Object.assign({}, deposit, { blockHeight: 0, confirmations: 0 }))
+    })
+
+    found.forEach((deposit, key) => {
+      var known = state.deposits[key]
+
+      if (known && known.final) return
+
+      if (!known) {
+        known = state.deposits[key] = Object.assign({}, deposit, { confirmations: 0 })
+        this.emit('pending', Object.assign({}, known))
+      }
+
+      const wasConfirmed = (known.blockHeight !== 0)
+      const confirmations = Math.min(deposit.confirmations, this.confirmations)
+
+      known.blockHeight = deposit.blockHeight
+      known.amount = deposit.amount
+
+      if (wasConfirmed && deposit.blockHeight === 0) {
+        known.confirmations = 0
+        this.emit('orphaned', Object.assign({}, known))
+      } else if (confirmations > known.confirmations) {
+        known.confirmations = confirmations
+        known.final = (confirmations >= this.confirmations)
+        this.emit('confirmed', Object.assign({}, known))
+      } else {
+        /* Moving to another block can lower the confirmations */
+        known.confirmations = confirmations
+      }
+    })
+
+    /* Blocks below this height only contain final deposits, so they need not be scanned again */
+    state.height = Math.max(from, top - this.confirmations + 1)
+
+    Object.keys(state.deposits).forEach(key => {
+      if (state.deposits[key].final && state.deposits[key].blockHeight < state.height) delete state.deposits[key]
+    })
+
+    await this.store.save(state)
+  }
+
+  /**
+   * Returns the address integrated addresses are built from, looking up the primary address of the wallet the first time if none was supplied
+   * @async
+   * @private
+   * @returns {Promise<string>} resolves with the address else rejects with error
+   */
+  async _address () {
+    if (!this.address) this.address = await this.wallet.primaryAddress()
+
+    return this.address
+  }
+
+  /**
+   * Creates and saves the deposit address of a customer, unless the customer already has one
+   * @async
+   * @private
+   * @param {string} customerId - the customer ID
+   * @returns {Promise<DepositMonitor.Assignment>} resolves with the deposit address else rejects with error
+   */
+  async _assign (customerId) {
+    const state = await this._load()
+
+    if (state.customers[customerId]) return state.customers[customerId]
+
+    const assignment = { customerId }
+
+    if (this.mode === 'subaddress') {
+      const subWallet = await this.wallet.createAddress()
+      assignment.address = subWallet.address
+    } else {
+      const address = await this._address()
+      assignment.paymentId = crypto.randomBytes(32).toString('hex')
+      assignment.address = await this.wallet.createIntegratedAddress(address, assignment.paymentId)
+    }
+
+    state.customers[customerId] = assignment
+    await this.store.save(state)
+
+    return assignment
+  }
+
+  /**
+   * Loads the state from the store the first time it is needed
+   * @private
+   * @returns {Promise<DepositMonitor.State>} resolves with the state
+   */
+  _load () {
+    if (!this.loading) {
+      this.loading = this.store.load()
+        .then(state => { return state || { height: this.startHeight, customers: {}, deposits: {} } })
+        .catch(error => {
+          delete this.loading
+
+          throw error
+        })
+    }
+
+    return this.loading
+  }
+
+  /**
+   * Finds the transfers of a transaction that credit a customer
+   * @private
+   * @param {DepositMonitor.State} state - the state
+   * @param {WalletAPI.TransactionInfo} transaction - the transaction
+   * @param {string} [address] - the address integrated addresses are built from, in integrated mode
+   * @returns {DepositMonitor.Deposit[]} the deposits
+   */
+  _match (state, transaction, address) {
+    const customers = Object.keys(state.customers).map(customerId => state.customers[customerId])
+
+    return customers
+      .filter(customer => (this.mode === 'subaddress' || (customer.paymentId && customer.paymentId === String(transaction.paymentID).toLowerCase())))
+      .map(customer => {
+        /* Integrated addresses are credited to the address they were built from, subwallets to themselves */
+        const credited = (this.mode === 'subaddress') ? customer.address : address
+        const transfer = transaction.transfers.filter(transfer => isCredit(transfer) && transfer.address === credited)[0]
+
+        if (!transfer) return undefined
+
+        return {
+          hash: transaction.hash,
+          customerId: customer.customerId,
+          address: customer.address,
+          paymentId: customer.paymentId,
+          amount: String(transfer.amount),
+          blockHeight: 0,
+          confirmations: 0,
+          final: false
+        }
+      })
+      .filter(deposit => deposit !== undefined)
+  }
+}
+
+function depositKey (deposit) {
+  return deposit.hash + ':' + deposit.address
+}
+
+/* Amounts are numbers, BigInts or decimal strings depending on the amount
+   format of the wallet, and Number() reads the sign of all three */
+function isCredit (transfer) {
+  return Number(transfer.amount) > 0
+}
+
+module.exports = DepositMonitor
@@ -0,0 +1,201 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Error Details
+ * @memberof Errors
+ * @typedef {Object} ErrorDetails
+ * @property {number} [statusCode] - the HTTP status code of the response
+ * @property {number} [rpcCode] - the JSON-RPC error code returned by the daemon
+ * @property {number} [errorCode] - the error code returned by the wallet-api (see {@link Errors.WalletErrorCode})
+ * @property {string} [code] - the system error code (ie. ECONNRESET, ETIMEDOUT)
+ * @property {string} [endpoint] - the endpoint (path) that was requested
+ * @property {string} [method] - the HTTP method of the request
+ * @property {string} [rpcMethod] - the JSON-RPC method that was called
+ * @property {*} [body] - the body of the response as returned by the server
+ * @property {Error} [cause] - the underlying error
+ */
+
+/**
+ * The base class of every error returned by a remote call
+ * @memberof Errors
+ * @class
+ */
+class RpcError extends Error {
+  /**
+   * Initializes a new RpcError object
+   * @constructor
+   * @param {string} message - the error message
+   * @param {Errors.ErrorDetails} [details] - the details of the failed call
+   */
+  constructor (message, details) {
+    super(message)
+    details = details || {}
+
+    this.name = this.constructor.name
+    this.statusCode = details.statusCode
+    this.rpcCode = details.rpcCode
+    this.errorCode = details.errorCode
+    this.code = details.code
+    this.endpoint = details.endpoint
+    this.method = details.method
+    this.rpcMethod = details.rpcMethod
+    this.body = details.body
+    this.cause = details.cause
+  }
+}
+
+/**
+ * The remote host did not respond before the timeout elapsed
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class RpcTimeoutError extends RpcError {}
+
+/**
+ * The remote host could not be reached or the connection was interrupted
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class ConnectionError extends RpcError {}
+
+/**
+ * The remote host responded with an unsuccessful HTTP status code
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class HttpError extends RpcError {}
+
+/**
+ * The request could not be parsed or processed by the remote host (HTTP 400)
+ * @memberof Errors
+ * @class
+ * @extends Errors.HttpError
+ */
+class BadRequestError extends HttpError {}
+
+/**
+ * The API key is missing or invalid (HTTP 401)
+ * @memberof Errors
+ * @class
+ * @extends Errors.HttpError
+ */
+class AuthenticationError extends HttpError {}
+
+/**
+ * The operation requires a wallet to be open and none is (HTTP 403)
+ * @memberof Errors
+ * @class
+ * @extends Errors.HttpError
+ */
+class WalletNotOpenError extends HttpError {}
+
+/**
+ * The requested item does not exist
+ * @memberof Errors
+ * @class
+ * @extends Errors.HttpError
+ */
+class NotFoundError extends HttpError {}
+
+/**
+ * The daemon responded with a status other than OK or a malformed response
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class DaemonStatusError extends RpcError {
+  /**
+   * Initializes a new DaemonStatusError object
+   * @constructor
+   * @param {string} message - the error message
+   * @param {Errors.ErrorDetails} [details] - the details of the failed call
+   * @param {string} [status] - the status reported by the daemon
+   */
+  constructor (message, details, status) {
+    super(message, details)
+    this.status = status
+  }
+}
+
+/**
+ * The daemon returned a JSON-RPC error object
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class JsonRpcError extends RpcError {}
+
+/**
+ * A transaction that was being tracked is no longer known to the daemon
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class TransactionDroppedError extends RpcError {
+  /**
+   * Initializes a new TransactionDroppedError object
+   * @constructor
+   * @param {string} message - the error message
+   * @param {Errors.ErrorDetails} [details] - the details of the failed call
+   * @param {string} [hash] - the transaction hash
+   */
+  constructor (message, details, hash) {
+    super(message, details)
+    this.hash = hash
+  }
+}
+
+/**
+ * The operation did not complete before its deadline
+ * @memberof Errors
+ * @class
+ * @extends Errors.RpcError
+ */
+class OperationTimeoutError extends RpcError {}
+
+/**
+ * The error codes the wallet-api returns alongside its error messages, as
+ * numbered by the ErrorCode enum of the wallet backend. Only the codes this
+ * library acts upon are listed. The values were checked against the copy of
+ * that enum in turtlecoin-wallet-backend 6.0.7 (dist/lib/WalletError.js,
+ * lines 319, 413 and 422), which mirrors src/Errors/Errors.h of the C++
+ * wallet backend; the header itself could not be checked. Older wallet-api
+ * releases may not return a code, so callers also match the message.
+ * @memberof Errors
+ * @readonly
+ * @enum {number}
+ */
+const WalletErrorCode = Object.freeze({
+  /** The wallet file does not exist */
+  FILENAME_NON_EXISTENT: 1,
+  /** The transaction is too large, in bytes, to fit in a block */
+  TOO_MANY_INPUTS_TO_FIT_IN_BLOCK: 32,
+  /** The wallet is fully optimized, so no fusion transaction can be made */
+  FULLY_OPTIMIZED: 36
+})
+
+/**
+ * @module Errors
+ */
+module.exports = {
+  RpcError,
+  RpcTimeoutError,
+  ConnectionError,
+  HttpError,
+  BadRequestError,
+  AuthenticationError,
+  WalletNotOpenError,
+  NotFoundError,
+  DaemonStatusError,
+  JsonRpcError,
+  TransactionDroppedError,
+  OperationTimeoutError,
+  WalletErrorCode
+}
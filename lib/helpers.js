@@ -0,0 +1,51 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Promise helpers shared by the modules of this package
+ * @module Helpers
+ */
+
+/**
+ * Maps the items with an asynchronous function, running no more than the given number of calls at once
+ * @async
+ * @param {Array} items - the items
+ * @param {number} limit - the most calls to run at once
+ * @param {function(*): Promise} fn - the function, called with each item
+ * @returns {Promise<Array>} resolves with the results in the order of the items else rejects with the first error
+ */
+function mapLimit (items, limit, fn) {
+  const results = new Array(items.length)
+  var next = 0
+
+  const worker = () => {
+    if (next >= items.length) return Promise.resolve()
+
+    const index = next++
+
+    return fn(items[index])
+      .then(result => { results[index] = result })
+      .then(worker)
+  }
+
+  return Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+    .then(() => results)
+}
+
+/**
+ * Waits for the given time
+ * @async
+ * @param {number} ms - the time to wait in milliseconds
+ * @returns {Promise} resolves once the time has passed
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+module.exports = {
+  mapLimit,
+  sleep
+}
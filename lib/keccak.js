@@ -0,0 +1,129 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* Keccak-256 as used by CryptoNote (cn_fast_hash). This is the original
+   Keccak padding, which differs from the standardized SHA3-256 that NodeJS
+   provides. Lanes are kept as pairs of 32-bit words as the engines we
+   support do not all have BigInt. */
+
+const RATE = 136
+
+/* Round constants as [low, high] words */
+const ROUND_CONSTANTS = [
+  0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+  0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+  0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+  0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+  0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+  0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+]
+
+/* Rotation offsets of each lane, indexed by x + 5y */
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+]
+
+/**
+ * Computes the Keccak-256 hash of the data
+ * @private
+ * @param {Buffer} data - the data to hash
+ * @returns {Buffer} the 32 byte hash
+ */
+function keccak256 (data) {
+  const state = new Uint32Array(50)
+
+  /* Pad to a multiple of the rate with the original Keccak padding */
+  const blocks = Math.floor(data.length / RATE) + 1
+  const padded = Buffer.alloc(blocks * RATE)
+  data.copy(padded)
+  padded[data.length] ^= 0x01
+  padded[padded.length - 1] ^= 0x80
+
+  for (var offset = 0; offset < padded.length; offset += RATE) {
+    for (var i = 0; i < RATE / 4; i++) state[i] ^= padded.readUInt32LE(offset + i * 4)
+
+    permute(state)
+  }
+
+  const hash = Buffer.alloc(32)
+  for (i = 0; i < 8; i++) hash.writeUInt32LE(state[i], i * 4)
+
+  return hash
+}
+
+function permute (state) {
+  const c = new Uint32Array(10)
+  const b = new Uint32Array(50)
+
+  for (var round = 0; round < 24; round++) {
+    /* Theta */
+    for (var x = 0; x < 5; x++) {
+      c[x * 2] = state[x * 2] ^ state[x * 2 + 10] ^ state[x * 2 + 20] ^ state[x * 2 + 30] ^ state[x * 2 + 40]
+      c[x * 2 + 1] = state[x * 2 + 1] ^ state[x * 2 + 11] ^ state[x * 2 + 21] ^ state[x * 2 + 31] ^ state[x * 2 + 41]
+    }
+
+    for (x = 0; x < 5; x++) {
+      const previous = ((x + 4) % 5) * 2
+      const next = ((x + 1) % 5) * 2
+      const low = c[previous] ^ ((c[next] << 1) | (c[next + 1] >>> 31))
+      const high = c[previous + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31))
+
+      for (var y = 0; y < 5; y++) {
+        state[(x + 5 * y) * 2] ^= low
+        state[(x + 5 * y) * 2 + 1] ^= high
+      }
+    }
+
+    /* Rho and Pi */
+    for (x = 0; x < 5; x++) {
+      for (y = 0; y < 5; y++) {
+        const lane = x + 5 * y
+        const target = (y + 5 * ((2 * x + 3 * y) % 5)) * 2
+        var low = state[lane * 2]
+        var high = state[lane * 2 + 1]
+        var rotation = ROTATIONS[lane]
+
+        if (rotation >= 32) {
+          const swap = low
+          low = high
+          high = swap
+          rotation -= 32
+        }
+
+        if (rotation !== 0) {
+          const rotatedLow = (low << rotation) | (high >>> (32 - rotation))
+          high = (high << rotation) | (low >>> (32 - rotation))
+          low = rotatedLow
+        }
+
+        b[target] = low
+        b[target + 1] = high
+      }
+    }
+
+    /* Chi */
+    for (y = 0; y < 5; y++) {
+      for (x = 0; x < 5; x++) {
+        const lane = (x + 5 * y) * 2
+        const next = (((x + 1) % 5) + 5 * y) * 2
+        const after = (((x + 2) % 5) + 5 * y) * 2
+
+        state[lane] = b[lane] ^ (~b[next] & b[after])
+        state[lane + 1] = b[lane + 1] ^ (~b[next + 1] & b[after + 1])
+      }
+    }
+
+    /* Iota */
+    state[0] ^= ROUND_CONSTANTS[round * 2]
+    state[1] ^= ROUND_CONSTANTS[round * 2 + 1]
+  }
+}
+
+module.exports = keccak256
@@ -0,0 +1,84 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * A key/value store that keeps a limited number of entries in memory,
+ * evicting the least recently used entry first. Any object with the same
+ * get(), set() and delete() methods can be supplied instead to keep
+ * entries in Redis, a database, etc.
+ * @module LruStore
+ * @class
+ */
+class LruStore {
+  /**
+   * Initializes a new LruStore object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.maxEntries=1000] - the maximum number of entries to keep
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.maxEntries = opts.maxEntries || 1000
+    this.entries = new Map()
+  }
+
+  /**
+   * The number of entries in the store
+   * @type {number}
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * Retrieves an entry
+   * @async
+   * @param {string} key - the key of the entry
+   * @returns {Promise<*>} resolves with the value or undefined if there is no such entry
+   */
+  get (key) {
+    if (!this.entries.has(key)) return Promise.resolve(undefined)
+
+    /* Re-inserting moves the entry to the back of the eviction order */
+    const value = this.entries.get(key)
+    this.entries.delete(key)
+    this.entries.set(key, value)
+
+    return Promise.resolve(JSON.parse(value))
+  }
+
+  /**
+   * Stores an entry
+   * @async
+   * @param {string} key - the key of the entry
+   * @param {*} value - the value, which must be serializable as JSON
+   * @returns {Promise} resolves once the entry has been stored
+   */
+  set (key, value) {
+    this.entries.delete(key)
+    this.entries.set(key, JSON.stringify(value))
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Removes an entry
+   * @async
+   * @param {string} key - the key of the entry
+   * @returns {Promise} resolves once the entry has been removed
+   */
+  delete (key) {
+    this.entries.delete(key)
+
+    return Promise.resolve()
+  }
+}
+
+module.exports = LruStore
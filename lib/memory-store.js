@@ -0,0 +1,50 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * A state store that keeps its state in memory. Any object with the same
+ * load() and save() methods can be supplied instead to persist state to
+ * disk, a database, etc.
+ * @module MemoryStore
+ * @class
+ */
+class MemoryStore {
+  /**
+   * Initializes a new MemoryStore object
+   * @constructor
+   * @param {Object} [state] - the initial state
+   */
+  constructor (state) {
+    this.state = (state !== undefined) ? clone(state) : undefined
+  }
+
+  /**
+   * Loads the saved state
+   * @async
+   * @returns {Promise<Object|undefined>} resolves with the saved state or undefined if none has been saved
+   */
+  load () {
+    return Promise.resolve((this.state !== undefined) ? clone(this.state) : undefined)
+  }
+
+  /**
+   * Saves the state
+   * @async
+   * @param {Object} state - the state to save
+   * @returns {Promise} resolves once the state has been saved
+   */
+  save (state) {
+    this.state = clone(state)
+
+    return Promise.resolve()
+  }
+}
+
+function clone (state) {
+  return JSON.parse(JSON.stringify(state))
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,144 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Poller = require('./poller')
+
+/**
+ * Watches the transaction pool of a daemon using poolChanges
+ * @module MempoolWatcher
+ * @class
+ * @extends Poller
+ */
+class MempoolWatcher extends Poller {
+  /**
+   * Initializes a new MempoolWatcher object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to watch
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.interval=2000] - how often, in milliseconds, to poll the daemon for pool changes
+   * @param {boolean} [opts.parseExtra=true] - whether to add the parsed extra field to each transaction prefix as parsedExtra (see {@link TransactionExtra})
+   */
+  constructor (daemon, opts) {
+    super()
+    opts = opts || {}
+
+    if (!daemon) throw new Error('Must supply a daemon')
+
+    this.daemon = daemon
+    this.interval = opts.interval || 2000
+    this.parseExtra = (typeof opts.parseExtra !== 'undefined') ? opts.parseExtra : true
+    this.tailBlockHash = undefined
+    this.transactions = new Map()
+  }
+
+  /**
+   * Transaction added to the pool event
+   * @event MempoolWatcher#added
+   * @type {MONCoind.PoolChangesAdded}
+   */
+
+  /**
+   * Transaction removed from the pool (mined or dropped) event
+   * @event MempoolWatcher#removed
+   * @type {MONCoind.PoolChangesAdded}
+   */
+
+  /**
+   * Tail block changed event, emitted with the new tail block hash before the pool changes since the previous poll are emitted
+   * @event MempoolWatcher#reset
+   * @type {string}
+   */
+
+  /**
+   * Error event, emitted when polling the daemon fails.
+   * @event MempoolWatcher#error
+   * @type {Error}
+   */
+
+  /**
+   * Checks the daemon for pool changes once
+   * @async
+   * @returns {Promise} resolves once all changes have been emitted or rejects with error
+   */
+  async poll () {
+    if (!this.tailBlockHash) {
+      return this._reset()
+    }
+
+    const changes = await this._changes(this.tailBlockHash)
+
+    if (!changes.isTailBlockActual) {
+      return this._reset()
+    }
+
+    this._apply(changes)
+  }
+
+  /**
+   * Moves to the current tail block and applies the pool changes against it
+   * @async
+   * @private
+   */
+  async _reset () {
+    const header = await this.daemon.lastBlockHeader()
+
+    /* The known transactions are sent along, so only what changed comes back rather than the full pool */
+    const changes = await this._changes(header.hash)
+
+    if (this.tailBlockHash) this.emit('reset', header.hash)
+    this.tailBlockHash = header.hash
+
+    this._apply(changes)
+  }
+
+  /**
+   * Asks the daemon for the pool changes against a tail block and the known transactions
+   * @async
+   * @private
+   * @param {string} tailBlockHash - the tail block hash
+   * @returns {Promise<MONCoind.PoolChanges>} resolves with the pool changes else rejects with error
+   */
+  _changes (tailBlockHash) {
+    return this.daemon.poolChanges(tailBlockHash, Array.from(this.transactions.keys()), { parseExtra: this.parseExtra })
+  }
+
+  /**
+   * Emits the removed transactions and then the added ones
+   * @private
+   * @param {MONCoind.PoolChanges} changes - the pool changes
+   */
+  _apply (changes) {
+    changes.deletedTxsIds.forEach(hash => this._remove(hash))
+    changes.addedTxs.forEach(transaction => this._add(transaction))
+  }
+
+  /**
+   * Records a transaction as in the pool and emits it if it is new
+   * @private
+   * @param {MONCoind.PoolChangesAdded} transaction - the pool transaction
+   */
+  _add (transaction) {
+    if (this.transactions.has(transaction.hash)) return
+
+    this.transactions.set(transaction.hash, transaction)
+    this.emit('added', transaction)
+  }
+
+  /**
+   * Forgets a transaction and emits its removal if it was known
+   * @private
+   * @param {string} hash - the transaction hash
+   */
+  _remove (hash) {
+    const transaction = this.transactions.get(hash)
+    if (!transaction) return
+
+    this.transactions.delete(hash)
+    this.emit('removed', transaction)
+  }
+}
+
+module.exports = MempoolWatcher
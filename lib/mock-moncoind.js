@@ -0,0 +1,636 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const crypto = require('crypto')
+const CryptoNote = require('./cryptonote')
+const MockServer = require('./mock-server')
+
+const BLOCK_TIME = 30
+const GENESIS_TIMESTAMP = 1546300800
+const REWARD = 1000000
+
+/**
+ * An in-process fake MONCoind that serves a small, deterministic chain. Every
+ * route can be overridden with fixtures, and failures can be simulated.
+ * Route names are the raw endpoint (ie. 'info', 'getwalletsyncdata') or the
+ * JSON-RPC method (ie. 'getblockheaderbyheight').
+ * @module MockMONCoind
+ * @class
+ * @extends MockServer
+ */
+class MockMONCoind extends MockServer {
+  /**
+   * Initializes a new MockMONCoind object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.height=10] - how many blocks the chain starts with
+   * @param {boolean} [opts.batching=false] - whether to answer JSON-RPC batch requests, the real daemon does not
+   * @param {Object} [opts.fixtures] - responses keyed by route name (see {@link MockServer})
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super(opts)
+
+    this.blocks = []
+    this.pool = new Map()
+    this.transactions = new Map()
+    this.forks = 0
+    this.batching = opts.batching || false
+
+    this.addBlocks((typeof opts.height !== 'undefined') ? opts.height : 10)
+  }
+
+  /**
+   * The number of blocks in the chain
+   * @type {number}
+   */
+  get height () {
+    return this.blocks.length
+  }
+
+  /**
+   * The top block of the chain
+   * @type {Object}
+   */
+  get topBlock () {
+    return this.blocks[this.blocks.length - 1]
+  }
+
+  /**
+   * Mines new blocks on top of the chain, the first block includes every transaction in the pool
+   * @param {number} [count=1] - how many blocks to add
+   * @returns {Object[]} the new blocks
+   */
+  addBlocks (count) {
+    count = (typeof count !== 'undefined') ? count : 1
+    const added = []
+
+    for (var i = 0; i < count; i++) {
+      const height = this.blocks.length
+      const previous = this.blocks[height - 1]
+      const coinbase = this._transaction(undefined, height)
+      const transactions = Array.from(this.pool.keys())
+
+      transactions.forEach(hash => {
+        this.transactions.get(hash).blockHeight = height
+        this.pool.delete(hash)
+      })
+
+      const block = {
+        hash: hash('block', height, this.forks),
+        height: height,
+        prev_hash: (previous) ? previous.hash : '0'.repeat(64),
+        timestamp: GENESIS_TIMESTAMP + height * BLOCK_TIME,
+        difficulty: 100000 + height,
+        reward: REWARD,
+        nonce: height,
+        major_version: 1,
+        minor_version: 0,
+        coinbase: coinbase.hash,
+        transactions: transactions
+      }
+
+      this.blocks.push(block)
+      added.push(block)
+    }
+
+    return added
+  }
+
+  /**
+   * Replaces the top blocks of the chain with a competing chain. Transactions in the orphaned blocks return to the pool.
+   * @param {number} depth - how many blocks to orphan
+   * @param {number} [length=depth+1] - how many blocks the replacing chain has
+   * @returns {Object[]} the replacing blocks
+   */
+  reorg (depth, length) {
+    length = (typeof length !== 'undefined') ? length : depth + 1
+
+    const orphaned = this.blocks.splice(this.blocks.length - depth, depth)
+
+    orphaned.forEach(block => {
+      this.transactions.delete(block.coinbase)
+      block.transactions.forEach(hash => {
+        const transaction = this.transactions.get(hash)
+        delete transaction.blockHeight
+        this.pool.set(hash, transaction)
+      })
+    })
+
+    this.forks++
+
+    return this.addBlocks(length)
+  }
+
+  /**
+   * Adds a transaction to the pool
+   * @param {string} [blob] - the raw transaction, a random one is generated if not supplied
+   * @returns {string} the transaction hash
+   */
+  addTransaction (blob) {
+    const transaction = this._transaction(blob)
+    this.pool.set(transaction.hash, transaction)
+
+    return transaction.hash
+  }
+
+  /**
+   * Removes a transaction from the pool as if it was dropped
+   * @param {string} hash - the transaction hash
+   */
+  dropTransaction (hash) {
+    this.pool.delete(hash)
+    this.transactions.delete(hash)
+  }
+
+  /**
+   * Answers JSON-RPC batch requests call by call when batching is enabled
+   * @private
+   */
+  _handle (request, body) {
+    if (!Array.isArray(body)) return super._handle(request, body)
+
+    if (!this.batching) {
+      return Promise.resolve({ statusCode: 200, body: { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request' } } })
+    }
+
+    return Promise.all(body.map(call => super._handle(request, call)))
+      .then(results => {
+        const handled = results.filter(result => result.handled)[0]
+        if (handled) return handled
+
+        return { statusCode: 200, body: results.map(result => result.body) }
+      })
+  }
+
+  /**
+   * Resolves the request to a route
+   * @private
+   */
+  _route (method, path, body) {
+    const endpoint = path.split('?')[0].substring(1)
+
+    if (endpoint === 'json_rpc') {
+      if (!body || typeof body.method !== 'string') return undefined
+
+      const handler = this._rpc()[body.method]
+      const wrap = result => {
+        if (result && result.__rpcError) return { statusCode: 200, body: { jsonrpc: '2.0', id: body.id, error: result.__rpcError } }
+
+        return { statusCode: 200, body: { jsonrpc: '2.0', id: body.id, result: result } }
+      }
+
+      return {
+        route: body.method,
+        params: body.params,
+        handler: handler || (() => rpcError(-32601, 'Method not found')),
+        wrap: wrap
+      }
+    }
+
+    const handler = ((method === 'GET') ? this._get() : this._post())[endpoint]
+    if (!handler && !this.fixtures[endpoint]) return undefined
+
+    return { route: endpoint, params: body, handler: handler }
+  }
+
+  /**
+   * The GET routes
+   * @private
+   */
+  _get () {
+    return {
+      fee: () => ({ address: '', amount: 0, status: 'OK' }),
+      height: () => ({ height: this.height, network_height: this.height, status: 'OK' }),
+      info: () => ({
+        alt_blocks_count: 0,
+        difficulty: this.topBlock.difficulty,
+        grey_peerlist_size: 0,
+        hashrate: Math.round(this.topBlock.difficulty / BLOCK_TIME),
+        height: this.height,
+        incoming_connections_count: 0,
+        last_known_block_index: this.height - 1,
+        major_version: 1,
+        minor_version: 0,
+        network_height: this.height,
+        outgoing_connections_count: 8,
+        start_time: GENESIS_TIMESTAMP,
+        status: 'OK',
+        supported_height: 0,
+        synced: true,
+        tx_count: this.transactions.size - this.height,
+        tx_pool_size: this.pool.size,
+        upgrade_heights: [],
+        version: '0.0.0',
+        white_peerlist_size: 0
+      }),
+      peers: () => ({ gray_peers: [], peers: [], status: 'OK' })
+    }
+  }
+
+  /**
+   * The raw POST routes
+   * @private
+   */
+  _post () {
+    return {
+      get_global_indexes_for_range: params => {
+        const indexes = []
+
+        this.blocks.slice(params.startHeight, params.endHeight + 1).forEach(block => {
+          [block.coinbase].concat(block.transactions).forEach(hash => {
+            indexes.push({ key: hash, value: this._globalIndexes(hash) })
+          })
+        })
+
+        return { indexes, status: 'OK' }
+      },
+      get_o_indexes: params => {
+        const transaction = this.transactions.get(params.txid)
+        if (!transaction || typeof transaction.blockHeight === 'undefined') return { o_indexes: [], status: 'Failed' }
+
+        return { o_indexes: this._globalIndexes(params.txid), status: 'OK' }
+      },
+      get_pool_changes_lite: params => {
+        const known = params.knownTxsIds || []
+
+        return {
+          addedTxs: Array.from(this.pool.values())
+            .filter(transaction => known.indexOf(transaction.hash) === -1)
+            .map(transaction => ({ 'transactionPrefixInfo.txHash': transaction.hash, 'transactionPrefixInfo.txPrefix': transaction.prefix })),
+          deletedTxsIds: known.filter(hash => !this.pool.has(hash)),
+          isTailBlockActual: (params.tailBlockId === this.topBlock.hash),
+          status: 'OK'
+        }
+      },
+      get_transactions_status: params => {
+        const result = { status: 'OK', transactionsInBlock: [], transactionsInPool: [], transactionsUnknown: [] }
+
+        params.transactionHashes.forEach(hash => {
+          if (this.pool.has(hash)) return result.transactionsInPool.push(hash)
+          if (this.transactions.has(hash)) return result.transactionsInBlock.push(hash)
+
+          result.transactionsUnknown.push(hash)
+        })
+
+        return result
+      },
+      getblocks: params => {
+        const start = this._startHeight(params.block_ids, 0)
+        const blocks = this.blocks.slice(start, start + (params.blockCount || 100))
+
+        return {
+          'response.blocks': blocks.map(block => ({
+            block: this._blob(block),
+            block_size: 100,
+            transactions: block.transactions.map(hash => ({ transaction: this.transactions.get(hash).blob, tx_size: 100 })),
+            tx_count: block.transactions.length
+          })),
+          'response.current_height': this.height,
+          'response.start_height': start,
+          'response.status': 'OK'
+        }
+      },
+      getrandom_outs: params => ({
+        outs: params.amounts.map(amount => ({
+          amount: amount,
+          outs: Array.from({ length: params.outs_count }, (value, index) => ({ global_amount_index: index, out_key: hash('out', amount, index) }))
+        })),
+        status: 'OK'
+      }),
+      getwalletsyncdata: params => {
+        const start = Math.max(this._startHeight(params.blockHashCheckpoints, 0), params.startHeight || 0, this._timestampHeight(params.startTimestamp))
+        const blocks = this.blocks.slice(start, start + 100)
+          .filter(block => !params.skipCoinbaseTransactions || block.transactions.length !== 0)
+        const synced = (start + 100 >= this.height)
+
+        const response = {
+          items: blocks.map(block => ({
+            blockHash: block.hash,
+            blockHeight: block.height,
+            blockTimestamp: block.timestamp,
+            coinbaseTX: (params.skipCoinbaseTransactions) ? undefined : this._syncTransaction(block.coinbase),
+            transactions: block.transactions.map(hash => this._syncTransaction(hash))
+          })),
+          status: 'OK',
+          synced: synced
+        }
+
+        if (synced) response.topBlock = { hash: this.topBlock.hash, height: this.topBlock.height }
+
+        return response
+      },
+      queryblocksdetailed: params => {
+        const start = Math.max(this._startHeight(params.blockIds, 0), this._timestampHeight(params.timestamp))
+
+        return {
+          blocks: this.blocks.slice(start, start + (params.blockCount || 100)).map(block => this._blockDetails(block)),
+          currentHeight: this.height,
+          fullOffset: start,
+          startHeight: start,
+          status: 'OK'
+        }
+      },
+      queryblockslite: params => {
+        const start = Math.max(this._startHeight(params.blockIds, 0), this._timestampHeight(params.timestamp))
+
+        return {
+          currentHeight: this.height,
+          fullOffset: start,
+          items: this.blocks.slice(start, start + 100).map(block => ({
+            'blockShortInfo.block': Array.from(Buffer.from(this._blob(block), 'hex')),
+            'blockShortInfo.blockId': block.hash,
+            'blockShortInfo.txPrefixes': block.transactions.map(hash => ({
+              'transactionPrefixInfo.txHash': hash,
+              'transactionPrefixInfo.txPrefix': this.transactions.get(hash).prefix
+            }))
+          })),
+          startHeight: start,
+          status: 'OK'
+        }
+      },
+      sendrawtransaction: params => {
+        if (!/^[0-9a-f]+$/i.test(params.tx_as_hex || '')) return { error: 'Invalid transaction blob', status: 'Failed' }
+
+        this.addTransaction(params.tx_as_hex)
+
+        return { status: 'OK' }
+      }
+    }
+  }
+
+  /**
+   * The JSON-RPC methods
+   * @private
+   */
+  _rpc () {
+    return {
+      f_block_json: params => {
+        const block = this.blocks.filter(block => block.hash === params.hash)[0]
+        if (!block) return rpcError(-5, 'Internal error: can\'t get block by hash')
+
+        return { block: this._blockSummary(block), status: 'OK' }
+      },
+      f_blocks_list_json: params => ({
+        blocks: this.blocks.slice(Math.max(0, params.height - 29), params.height + 1).reverse().map(block => ({
+          cumul_size: 100,
+          difficulty: block.difficulty,
+          hash: block.hash,
+          height: block.height,
+          timestamp: block.timestamp,
+          tx_count: block.transactions.length + 1
+        })),
+        status: 'OK'
+      }),
+      f_on_transactions_pool_json: () => ({
+        status: 'OK',
+        transactions: Array.from(this.pool.values()).map(transaction => ({ amount_out: transaction.amount, fee: 10, hash: transaction.hash, size: 100 }))
+      }),
+      f_transaction_json: params => {
+        const transaction = this.transactions.get(params.hash)
+        if (!transaction) return rpcError(-5, 'transaction wasn\'t found. Hash = ' + params.hash + '.')
+
+        const block = this.blocks[transaction.blockHeight]
+
+        return {
+          block: (block) ? { cumul_size: 100, difficulty: block.difficulty, hash: block.hash, height: block.height, timestamp: block.timestamp, tx_count: block.transactions.length + 1 } : undefined,
+          status: 'OK',
+          tx: transaction.prefix,
+          txDetails: { amount_out: transaction.amount, fee: 10, hash: transaction.hash, mixin: 3, paymentId: '', size: 100 }
+        }
+      },
+      getblockcount: () => ({ count: this.height, status: 'OK' }),
+      getblockheaderbyhash: params => {
+        const block = this.blocks.filter(block => block.hash === params.hash)[0]
+        if (!block) return rpcError(-5, 'Internal error: can\'t get block by hash. Hash = ' + params.hash + '.')
+
+        return { block_header: this._header(block), status: 'OK' }
+      },
+      getblockheaderbyheight: params => {
+        const block = this.blocks[params.height]
+        if (!block) return rpcError(-2, 'Too big height: ' + params.height + ', current blockchain height = ' + (this.height - 1))
+
+        return { block_header: this._header(block), status: 'OK' }
+      },
+      getblocktemplate: params => {
+        const reserveSize = params.reserve_size || 0
+        if (reserveSize > 255) return rpcError(-3, 'To big reserved size, maximum 255')
+
+        const transactions = Array.from(this.pool.keys())
+        const blob = this._blob({
+          height: this.height,
+          prev_hash: this.topBlock.hash,
+          nonce: 0,
+          timestamp: GENESIS_TIMESTAMP + this.height * BLOCK_TIME,
+          major_version: 1,
+          minor_version: 0,
+          transactions: transactions
+        }, reserveSize)
+
+        return {
+          blocktemplate_blob: blob,
+          difficulty: this.topBlock.difficulty + 1,
+          height: this.height,
+          /* The reserved space ends the miner transaction, which is followed by the transaction hashes */
+          reserved_offset: blob.length / 2 - (1 + 32 * transactions.length) - reserveSize,
+          status: 'OK'
+        }
+      },
+      getlastblockheader: () => ({ block_header: this._header(this.topBlock), status: 'OK' }),
+      submitblock: params => {
+        if (!Array.isArray(params) || !/^[0-9a-f]+$/i.test(params[0] || '')) return rpcError(-6, 'Wrong block blob')
+
+        var block
+        try {
+          block = CryptoNote.decodeBlock(params[0])
+        } catch (error) {
+          return rpcError(-6, 'Wrong block blob')
+        }
+
+        /* The proof of work is not checked, only that the block extends the chain */
+        if (block.prev_hash !== this.topBlock.hash) return rpcError(-7, 'Block not accepted')
+
+        this.addBlocks(1)
+
+        return { status: 'OK' }
+      }
+    }
+  }
+
+  _transaction (blob, coinbaseHeight) {
+    const isCoinbase = (typeof coinbaseHeight !== 'undefined')
+    blob = blob || crypto.randomBytes(100).toString('hex')
+
+    const transaction = {
+      hash: (isCoinbase) ? hash('coinbase', coinbaseHeight, this.forks) : sha256(blob),
+      blob: blob,
+      amount: (isCoinbase) ? REWARD : 100,
+      blockHeight: coinbaseHeight,
+      prefix: {
+        extra: '01' + sha256(blob + 'key'),
+        unlock_time: (isCoinbase) ? coinbaseHeight + 40 : 0,
+        version: 1,
+        vin: (isCoinbase)
+          ? [{ type: 'ff', value: { height: coinbaseHeight } }]
+          : [{ type: '02', value: { amount: 110, k_image: sha256(blob + 'image'), key_offsets: [1, 2, 3, 4] } }],
+        vout: [{ amount: (isCoinbase) ? REWARD : 100, target: { data: { key: sha256(blob + 'out') }, type: '02' } }]
+      }
+    }
+
+    this.transactions.set(transaction.hash, transaction)
+
+    return transaction
+  }
+
+  _header (block) {
+    return {
+      block_size: 100,
+      depth: this.height - 1 - block.height,
+      difficulty: block.difficulty,
+      hash: block.hash,
+      height: block.height,
+      major_version: block.major_version,
+      minor_version: block.minor_version,
+      nonce: block.nonce,
+      num_txes: block.transactions.length + 1,
+      orphan_status: false,
+      prev_hash: block.prev_hash,
+      reward: block.reward,
+      timestamp: block.timestamp
+    }
+  }
+
+  _blockSummary (block) {
+    return {
+      alreadyGeneratedCoins: String((block.height + 1) * REWARD),
+      alreadyGeneratedTransactions: block.height + 1,
+      baseReward: block.reward,
+      blockSize: 100,
+      depth: this.height - 1 - block.height,
+      difficulty: block.difficulty,
+      effectiveSizeMedian: 100,
+      hash: block.hash,
+      height: block.height,
+      major_version: block.major_version,
+      minor_version: block.minor_version,
+      nonce: block.nonce,
+      orphan_status: false,
+      penalty: 0,
+      prev_hash: block.prev_hash,
+      reward: block.reward,
+      sizeMedian: 100,
+      timestamp: block.timestamp,
+      totalFeeAmount: block.transactions.length * 10,
+      transactions: [block.coinbase].concat(block.transactions).map(hash => {
+        const transaction = this.transactions.get(hash)
+
+        return { amount_out: transaction.amount, fee: (hash === block.coinbase) ? 0 : 10, hash: hash, size: 100 }
+      }),
+      transactionsCumulativeSize: 100 * (block.transactions.length + 1)
+    }
+  }
+
+  _blockDetails (block) {
+    return {
+      alreadyGeneratedCoins: (block.height + 1) * REWARD,
+      alreadyGeneratedTransactions: block.height + 1,
+      baseReward: block.reward,
+      blockSize: 100,
+      depth: this.height - 1 - block.height,
+      difficulty: block.difficulty,
+      hash: block.hash,
+      index: block.height,
+      majorVersion: block.major_version,
+      minorVersion: block.minor_version,
+      nonce: block.nonce,
+      prevBlockHash: block.prev_hash,
+      reward: block.reward,
+      sizeMedian: 100,
+      timestamp: block.timestamp,
+      totalFeeAmount: block.transactions.length * 10,
+      transactions: [],
+      transactionsCumulativeSize: 100 * (block.transactions.length + 1)
+    }
+  }
+
+  _syncTransaction (hash) {
+    const transaction = this.transactions.get(hash)
+
+    return {
+      hash: transaction.hash,
+      inputs: transaction.prefix.vin.filter(input => input.type === '02').map(input => input.value),
+      outputs: transaction.prefix.vout.map(output => ({ amount: output.amount, key: output.target.data.key })),
+      extra: transaction.prefix.extra,
+      txPublicKey: transaction.prefix.extra.substring(2),
+      unlockTime: transaction.prefix.unlock_time
+    }
+  }
+
+  _globalIndexes (hash) {
+    const transaction = this.transactions.get(hash)
+
+    return transaction.prefix.vout.map((output, index) => transaction.blockHeight * 10 + index)
+  }
+
+  _startHeight (hashes, fallback) {
+    hashes = hashes || []
+
+    for (var i = 0; i < hashes.length; i++) {
+      const block = this.blocks.filter(block => block.hash === hashes[i])[0]
+      if (block) return block.height + 1
+    }
+
+    return fallback
+  }
+
+  _timestampHeight (timestamp) {
+    if (!timestamp) return 0
+
+    return Math.max(0, Math.ceil((timestamp - GENESIS_TIMESTAMP) / BLOCK_TIME))
+  }
+
+  _blob (block, reserveSize) {
+    var minerTransaction
+
+    if (block.coinbase) {
+      minerTransaction = this.transactions.get(block.coinbase).prefix
+    } else {
+      const key = hash('template', block.height, block.prev_hash)
+
+      minerTransaction = {
+        extra: '01' + key + ((reserveSize) ? '02' + Buffer.from([reserveSize]).toString('hex') + '00'.repeat(reserveSize) : ''),
+        unlock_time: block.height + 40,
+        version: 1,
+        vin: [{ type: 'ff', value: { height: block.height } }],
+        vout: [{ amount: REWARD, target: { data: { key: hash('template', 'out', block.height) }, type: '02' } }]
+      }
+    }
+
+    return CryptoNote.encodeBlock({
+      major_version: block.major_version,
+      minor_version: block.minor_version,
+      timestamp: block.timestamp,
+      prev_hash: block.prev_hash,
+      nonce: block.nonce,
+      miner_tx: minerTransaction,
+      tx_hashes: block.transactions
+    })
+  }
+}
+
+function hash () {
+  return sha256(Array.from(arguments).join(':'))
+}
+
+function rpcError (code, message) {
+  return { __rpcError: { code, message } }
+}
+
+function sha256 (data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+module.exports = MockMONCoind
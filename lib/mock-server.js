@@ -0,0 +1,237 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const http = require('http')
+
+/**
+ * The in-process HTTP server that the mock daemon and wallet-api build on
+ * @module MockServer
+ * @class
+ */
+class MockServer {
+  /**
+   * Initializes a new MockServer object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {Object} [opts.fixtures] - responses keyed by route name, either values or functions of (params, body, request) that return (or resolve with) the response
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.fixtures = Object.assign({}, opts.fixtures)
+    this.failures = {}
+    this.requests = []
+    this.sockets = new Set()
+    this.server = http.createServer((request, response) => this._receive(request, response))
+
+    this.server.on('connection', socket => {
+      this.sockets.add(socket)
+      socket.on('close', () => this.sockets.delete(socket))
+    })
+  }
+
+  /**
+   * Simulated Failure
+   * @memberof MockServer
+   * @typedef {Object} Failure
+   * @property {number} [statusCode=500] - the HTTP status code to respond with
+   * @property {*} [body] - the body to respond with
+   * @property {Object} [rpcError] - a JSON-RPC error object ({ code, message }) to respond with instead
+   * @property {boolean} [reset=false] - whether to destroy the connection instead of responding
+   * @property {boolean} [hang=false] - whether to never respond so that the client times out
+   * @property {number} [delay=0] - how long, in milliseconds, to wait before responding
+   * @property {number} [times=1] - how many requests to fail, Infinity fails until cleared
+   */
+
+  /**
+   * The port the server is listening on
+   * @type {number|undefined}
+   */
+  get port () {
+    const address = this.server.address()
+
+    return (address) ? address.port : undefined
+  }
+
+  /**
+   * Starts listening for requests
+   * @async
+   * @param {number} [port=0] - the port to listen on, 0 picks a free port
+   * @param {string} [host=127.0.0.1] - the address to listen on
+   * @returns {Promise<number>} resolves with the port the server is listening on
+   */
+  listen (port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port || 0, host || '127.0.0.1', () => {
+        this.server.removeListener('error', reject)
+
+        return resolve(this.port)
+      })
+    })
+  }
+
+  /**
+   * Stops listening for requests and closes any open connections
+   * @async
+   * @returns {Promise} resolves once the server is closed
+   */
+  close () {
+    const closed = new Promise(resolve => this.server.close(() => resolve()))
+
+    /* Keep-alive and hanging connections would otherwise hold the server open */
+    this.sockets.forEach(socket => socket.destroy())
+
+    return closed
+  }
+
+  /**
+   * Overrides the response of a route
+   * @param {string} route - the route name
+   * @param {*|function} fixture - the response, or a function of (params, body, request) that returns (or resolves with) the response
+   */
+  setFixture (route, fixture) {
+    this.fixtures[route] = fixture
+  }
+
+  /**
+   * Makes the next request(s) to a route fail
+   * @param {string} route - the route name, or '*' for every route
+   * @param {MockServer.Failure} [failure] - how to fail
+   */
+  fail (route, failure) {
+    this.failures[route] = Object.assign({ statusCode: 500, times: 1, delay: 0 }, failure)
+  }
+
+  /**
+   * Clears all simulated failures
+   */
+  clearFailures () {
+    this.failures = {}
+  }
+
+  /**
+   * Resolves the request to a route name, its parameters and handler
+   * @abstract
+   * @param {string} method - the HTTP method
+   * @param {string} path - the request path
+   * @param {*} body - the parsed request body
+   * @param {http.IncomingMessage} request - the request
+   * @returns {Object|undefined} { route, params, handler } or undefined if there is no such route
+   */
+  _route () {
+    return undefined
+  }
+
+  /**
+   * Reads, dispatches, and answers a request
+   * @private
+   * @param {http.IncomingMessage} request - the request
+   * @param {http.ServerResponse} response - the response
+   */
+  _receive (request, response) {
+    const chunks = []
+
+    request.on('data', chunk => chunks.push(chunk))
+    request.on('end', () => {
+      const raw = Buffer.concat(chunks).toString()
+      var body
+
+      try {
+        body = (raw.length !== 0) ? JSON.parse(raw) : undefined
+      } catch (e) {
+        return send(response, 400, { errorMessage: 'Could not parse request body' })
+      }
+
+      this.requests.push({ method: request.method, path: request.url, headers: request.headers, body: body })
+
+      Promise.resolve()
+        .then(() => { return this._handle(request, body) })
+        .then(result => { if (!result.handled) send(response, result.statusCode, result.body) })
+        .catch(error => send(response, error.statusCode || 500, error.body || { errorMessage: error.message }))
+    })
+  }
+
+  /**
+   * Dispatches a request to a fixture or a route handler
+   * @private
+   * @param {http.IncomingMessage} request - the request
+   * @param {*} body - the parsed request body
+   * @returns {Promise<Object>} resolves with { statusCode, body }, or { handled: true } if no response should be sent
+   */
+  _handle (request, body) {
+    const match = this._route(request.method, request.url, body, request)
+    if (!match) return Promise.resolve({ statusCode: 404, body: { errorMessage: 'The requested route does not exist' } })
+
+    return this._failure(match.route, request, body)
+      .then(handled => {
+        if (handled) return handled
+
+        const fixture = this.fixtures[match.route]
+        if (typeof fixture === 'function') return fixture(match.params, body, request)
+        if (typeof fixture !== 'undefined') return fixture
+
+        return match.handler(match.params, body, request)
+      })
+      .then(result => {
+        if (result && result.__response) return result
+
+        return (match.wrap) ? match.wrap(result) : { statusCode: 200, body: result }
+      })
+  }
+
+  /**
+   * Applies a simulated failure to the request if one is set for the route
+   * @private
+   * @param {string} route - the route name
+   * @param {http.IncomingMessage} request - the request
+   * @param {*} body - the parsed request body
+   * @returns {Promise<Object|undefined>} resolves with the failure response or undefined to continue normally
+   */
+  _failure (route, request, body) {
+    const key = (this.failures[route]) ? route : '*'
+    const failure = this.failures[key]
+    if (!failure) return Promise.resolve()
+
+    if (--failure.times <= 0) delete this.failures[key]
+
+    return new Promise(resolve => setTimeout(resolve, failure.delay))
+      .then(() => {
+        if (failure.reset) {
+          request.socket.destroy()
+
+          return { __response: true, handled: true }
+        }
+
+        if (failure.hang) return { __response: true, handled: true }
+
+        if (failure.rpcError) {
+          return { __response: true, statusCode: 200, body: { jsonrpc: '2.0', id: (body) ? body.id : undefined, error: failure.rpcError } }
+        }
+
+        return { __response: true, statusCode: failure.statusCode, body: failure.body }
+      })
+  }
+}
+
+/**
+ * Builds a response with an explicit status code for use in fixtures and handlers
+ * @memberof MockServer
+ * @param {number} statusCode - the HTTP status code
+ * @param {*} [body] - the body of the response
+ * @returns {Object} the response
+ */
+MockServer.response = function (statusCode, body) {
+  return { __response: true, statusCode, body }
+}
+
+function send (response, statusCode, body) {
+  if (response.headersSent || response.finished) return
+
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' })
+  response.end((body !== undefined) ? JSON.stringify(body) : undefined)
+}
+
+module.exports = MockServer
@@ -0,0 +1,524 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Address = require('./address')
+const crypto = require('crypto')
+const Errors = require('./errors')
+const MockServer = require('./mock-server')
+
+const FEE = 10
+const FUSION_THRESHOLD = 12
+
+/**
+ * An in-process fake wallet-api that keeps a wallet in memory. Every route
+ * can be overridden with fixtures, and failures can be simulated. Route
+ * names are the method and path pattern (ie. 'GET /balance/:address').
+ * @module MockWalletAPI
+ * @class
+ * @extends MockServer
+ */
+class MockWalletAPI extends MockServer {
+  /**
+   * Initializes a new MockWalletAPI object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {string} [opts.password=password] - the API key clients must supply
+   * @param {boolean} [opts.walletOpen=true] - whether a wallet is open from the start
+   * @param {string[]} [opts.files] - the filenames of the wallet containers that exist, any filename can be opened if not supplied
+   * @param {number} [opts.balance=0] - the unlocked atomic balance of the primary address
+   * @param {MockMONCoind} [opts.daemon] - a mock daemon that sent transactions are relayed to, and the sync status is read from
+   * @param {number} [opts.scanSpeed] - how many blocks per second the wallet scans from its scan height, the wallet is always synced if not supplied
+   * @param {Object} [opts.fixtures] - responses keyed by route name (see {@link MockServer})
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super(opts)
+
+    this.password = opts.password || 'password'
+    this.walletOpen = (typeof opts.walletOpen !== 'undefined') ? opts.walletOpen : true
+    this.files = (opts.files) ? new Set(opts.files) : undefined
+    this.daemon = opts.daemon
+    this.node = { daemonHost: '127.0.0.1', daemonPort: 12898, daemonSSL: false }
+    this.addresses = []
+    this.transactions = []
+    this.prepared = new Map()
+    this.credits = []
+    this.fusedTransactions = 0
+    this.scanHeight = 0
+    this.scanSpeed = opts.scanSpeed
+    this.scanStarted = Date.now()
+
+    this.createAddress()
+    this.setBalance(this.addresses[0].address, opts.balance || 0)
+  }
+
+  /**
+   * The primary address of the wallet
+   * @type {string}
+   */
+  get primaryAddress () {
+    return this.addresses[0].address
+  }
+
+  /**
+   * Adds a subwallet to the wallet
+   * @param {string} [privateSpendKey] - the private spend key, a deterministic one is generated if not supplied
+   * @returns {Object} the subwallet
+   */
+  createAddress (privateSpendKey) {
+    privateSpendKey = privateSpendKey || hash('spend', this.addresses.length)
+
+    const subWallet = {
+      address: address(privateSpendKey),
+      privateSpendKey: privateSpendKey,
+      publicSpendKey: hash('public', privateSpendKey),
+      unlocked: 0,
+      locked: 0
+    }
+
+    this.addresses.push(subWallet)
+
+    return subWallet
+  }
+
+  /**
+   * Sets the balance of a subwallet
+   * @param {string} address - the subwallet address
+   * @param {number} unlocked - the unlocked atomic balance
+   * @param {number} [locked=0] - the locked atomic balance
+   */
+  setBalance (address, unlocked, locked) {
+    const subWallet = this._subWallet(address)
+    if (!subWallet) throw new Error('Unknown address: ' + address)
+
+    subWallet.unlocked = unlocked
+    subWallet.locked = locked || 0
+  }
+
+  /**
+   * Simulates an incoming transfer, relaying it to the daemon so that it is mined with the next block. The amount stays locked until then.
+   * @param {string} address - the receiving subwallet address, or an integrated address built from one
+   * @param {number} amount - the atomic amount received
+   * @param {string} [paymentId] - the payment ID, taken from the address if it is an integrated address
+   * @returns {string} the transaction hash
+   */
+  receive (address, amount, paymentId) {
+    const info = Address.decode(address)
+    const subWallet = this._subWallet(info.actualAddress)
+    if (!subWallet) throw new Error('Unknown address: ' + address)
+
+    const received = transaction([{ address: subWallet.address, amount: amount }], FEE, paymentId || info.paymentID, 0, amount)
+
+    subWallet.locked += amount
+    this.credits.push({ address: subWallet.address, amount: amount, hash: received.hash })
+
+    if (this.daemon) this.daemon.addTransaction(received.blob)
+
+    this.transactions.push({
+      hash: received.hash,
+      fee: received.fee,
+      isCoinbaseTransaction: false,
+      paymentID: received.paymentId,
+      unlockTime: 0,
+      transfers: received.destinations
+    })
+
+    return received.hash
+  }
+
+  /**
+   * Resolves the request to a route
+   * @private
+   */
+  _route (method, path, body) {
+    this._settle()
+
+    const segments = path.split('?')[0].split('/').filter(segment => segment.length !== 0)
+    const routes = this._routes()
+
+    for (var i = 0; i < routes.length; i++) {
+      const pattern = routes[i][0].split(' ')
+      if (pattern[0] !== method) continue
+
+      const params = matchPath(pattern[1], segments)
+      if (!params) continue
+
+      const handler = routes[i][1]
+      const requiresWallet = (routes[i][2] !== false)
+
+      return {
+        route: routes[i][0],
+        params: params,
+        handler: (params, body) => {
+          if (requiresWallet && !this.walletOpen) return MockServer.response(403)
+
+          return handler(params, body || {})
+        }
+      }
+    }
+
+    return undefined
+  }
+
+  /**
+   * Rejects requests without the API key before dispatching them
+   * @private
+   */
+  _handle (request, body) {
+    if (request.headers['x-api-key'] !== this.password) return Promise.resolve({ statusCode: 401 })
+
+    return super._handle(request, body)
+  }
+
+  /**
+   * The routes in the order they are matched, a third element of false
+   * marks routes that do not require an open wallet
+   * @private
+   */
+  _routes () {
+    const openWallet = (params, body, exists) => {
+      if (this.walletOpen) return MockServer.response(403)
+      if (!body.filename || !body.password) return badRequest('Missing filename or password')
+
+      if (this.files) {
+        if (exists && !this.files.has(body.filename)) return badRequest('The filename you are attempting to open does not exist, or the wallet does not have permission to open it.', Errors.WalletErrorCode.FILENAME_NON_EXISTENT)
+
+        this.files.add(body.filename)
+      }
+
+      this.walletOpen = true
+      this.node = { daemonHost: body.daemonHost, daemonPort: body.daemonPort, daemonSSL: body.daemonSSL }
+      this.scanHeight = body.scanHeight || this.scanHeight
+      this.scanStarted = Date.now()
+    }
+
+    return [
+      ['GET /addresses', () => ({ addresses: this.addresses.map(subWallet => subWallet.address) })],
+      ['GET /addresses/primary', () => ({ address: this.primaryAddress })],
+      ['POST /addresses/create', () => this._keys(this.createAddress())],
+      ['POST /addresses/import', (params, body) => ({ address: this.createAddress(body.privateSpendKey).address })],
+      ['POST /addresses/import/deterministic', (params, body) => ({ address: this.createAddress(hash('spend', body.walletIndex)).address })],
+      ['POST /addresses/import/view', (params, body) => ({ address: this.createAddress(body.publicSpendKey).address })],
+      ['POST /addresses/validate', (params, body) => {
+        if (!Address.validate(body.address)) return badRequest('Invalid address')
+
+        const info = Address.decode(body.address)
+        delete info.prefix
+
+        return info
+      }, false],
+      ['GET /addresses/:address/:paymentId', params => {
+        if (!Address.validate(params.address, { allowIntegrated: false })) return badRequest('Invalid address')
+        if (!/^[0-9a-f]{64}$/i.test(params.paymentId)) return badRequest('Invalid payment ID')
+
+        return { integratedAddress: Address.createIntegrated(params.address, params.paymentId) }
+      }],
+      ['DELETE /addresses/:address', params => {
+        const subWallet = this._subWallet(params.address)
+        if (!subWallet) return MockServer.response(404)
+        if (subWallet === this.addresses[0]) return badRequest('Cannot delete the primary address')
+
+        this.addresses.splice(this.addresses.indexOf(subWallet), 1)
+      }],
+      ['GET /balance', () => this._balance(this.addresses)],
+      ['GET /balance/:address', params => {
+        const subWallet = this._subWallet(params.address)
+        if (!subWallet) return MockServer.response(404)
+
+        return this._balance([subWallet])
+      }],
+      ['GET /balances', () => this.addresses.map(subWallet => Object.assign({ address: subWallet.address }, this._balance([subWallet])))],
+      ['GET /keys', () => ({ privateViewKey: hash('view', this.primaryAddress) })],
+      ['GET /keys/mnemonic/:address', params => {
+        if (!this._subWallet(params.address)) return MockServer.response(404)
+
+        return { mnemonicSeed: Array.from({ length: 25 }, (value, index) => 'word' + index).join(' ') }
+      }],
+      ['GET /keys/:address', params => {
+        const subWallet = this._subWallet(params.address)
+        if (!subWallet) return MockServer.response(404)
+
+        return { privateSpendKey: subWallet.privateSpendKey, publicSpendKey: subWallet.publicSpendKey }
+      }],
+      ['GET /node', () => ({ daemonHost: this.node.daemonHost, daemonPort: this.node.daemonPort, daemonSSL: this.node.daemonSSL, nodeFee: 0, nodeAddress: '' })],
+      ['PUT /node', (params, body) => {
+        this.node = {
+          daemonHost: body.daemonHost || this.node.daemonHost,
+          daemonPort: body.daemonPort || this.node.daemonPort,
+          daemonSSL: body.daemonSSL || false
+        }
+      }],
+      ['PUT /reset', (params, body) => {
+        this.scanHeight = body.scanHeight || 0
+        this.scanStarted = Date.now()
+      }],
+      ['PUT /save', () => undefined],
+      ['GET /status', () => {
+        const height = (this.daemon) ? this.daemon.height : 0
+        const scanned = (this.scanSpeed) ? this.scanHeight + Math.floor((Date.now() - this.scanStarted) / 1000 * this.scanSpeed) : height
+
+        return {
+          hashrate: 0,
+          isViewWallet: false,
+          localDaemonBlockCount: height,
+          networkBlockCount: height,
+          peerCount: 8,
+          subWalletCount: this.addresses.length,
+          walletBlockCount: Math.min(scanned, height)
+        }
+      }],
+      ['POST /transactions/send/basic', (params, body) => this._send([{ address: body.destination, amount: body.amount }], body.paymentID)],
+      ['POST /transactions/send/advanced', (params, body) => this._send(body.destinations || [], body.paymentID, body.fee, body.unlockTime)],
+      ['POST /transactions/send/fusion/basic', () => this._fusion()],
+      ['POST /transactions/send/fusion/advanced', (params, body) => this._fusion(body.destination)],
+      ['POST /transactions/prepare/basic', (params, body) => this._store([{ address: body.destination, amount: body.amount }], body.paymentID)],
+      ['POST /transactions/prepare/advanced', (params, body) => this._store(body.destinations || [], body.paymentID, body.fee, body.unlockTime)],
+      ['POST /transactions/send/prepared', (params, body) => {
+        const prepared = this.prepared.get(body.transactionHash)
+        if (!prepared) return MockServer.response(404)
+
+        this.prepared.delete(body.transactionHash)
+
+        return this._relay(prepared)
+      }],
+      ['DELETE /transactions/prepared/:hash', params => {
+        if (!this.prepared.delete(params.hash)) return MockServer.response(404)
+      }],
+      ['GET /transactions', () => ({ transactions: this._transactions() })],
+      ['GET /transactions/unconfirmed', () => ({ transactions: this._transactions().filter(transaction => transaction.blockHeight === 0) })],
+      ['GET /transactions/unconfirmed/:address', params => ({
+        transactions: this._transactions().filter(transaction => transaction.blockHeight === 0 && involves(transaction, params.address))
+      })],
+      ['GET /transactions/hash/:hash', params => {
+        const transaction = this._transactions().filter(transaction => transaction.hash === params.hash)[0]
+        if (!transaction) return MockServer.response(404)
+
+        return { transaction }
+      }],
+      ['GET /transactions/privatekey/:hash', params => {
+        if (!this.transactions.some(transaction => transaction.hash === params.hash)) return MockServer.response(404)
+
+        return { transactionPrivateKey: hash('txkey', params.hash) }
+      }],
+      ['GET /transactions/address/:address/:startHeight', params => ({
+        transactions: this._transactions(params.startHeight).filter(transaction => involves(transaction, params.address))
+      })],
+      ['GET /transactions/address/:address/:startHeight/:endHeight', params => ({
+        transactions: this._transactions(params.startHeight, params.endHeight).filter(transaction => involves(transaction, params.address))
+      })],
+      ['GET /transactions/:startHeight', params => ({ transactions: this._transactions(params.startHeight) })],
+      ['GET /transactions/:startHeight/:endHeight', params => ({ transactions: this._transactions(params.startHeight, params.endHeight) })],
+      ['DELETE /wallet', () => { this.walletOpen = false }],
+      ['POST /wallet/create', openWallet, false],
+      ['POST /wallet/open', (params, body) => openWallet(params, body, true), false],
+      ['POST /wallet/import/key', openWallet, false],
+      ['POST /wallet/import/seed', openWallet, false],
+      ['POST /wallet/import/view', openWallet, false]
+    ]
+  }
+
+  /**
+   * Validates and builds an outgoing transaction from the primary address
+   * @private
+   */
+  _prepare (destinations, paymentId, fee, unlockTime) {
+    fee = (typeof fee !== 'undefined') ? Number(fee) : FEE
+
+    if (destinations.length === 0) return badRequest('No destinations given')
+
+    for (var i = 0; i < destinations.length; i++) {
+      if (typeof destinations[i].address !== 'string' || destinations[i].address.length === 0) return badRequest('Invalid destination address')
+      if (!(Number(destinations[i].amount) > 0)) return badRequest('Amount must be greater than zero')
+    }
+
+    const total = destinations.reduce((total, destination) => total + Number(destination.amount), fee)
+
+    if (total > this.addresses[0].unlocked) return badRequest('Not enough unlocked funds were found to cover this transaction')
+
+    return transaction(destinations.map(destination => ({ address: destination.address, amount: Number(destination.amount) })), fee, paymentId, unlockTime, total)
+  }
+
+  /**
+   * Creates and relays an outgoing transaction from the primary address
+   * @private
+   */
+  _send (destinations, paymentId, fee, unlockTime) {
+    const prepared = this._prepare(destinations, paymentId, fee, unlockTime)
+    if (prepared.__response) return prepared
+
+    return this._relay(prepared)
+  }
+
+  /**
+   * Creates an outgoing transaction and keeps it until it is sent or deleted
+   * @private
+   */
+  _store (destinations, paymentId, fee, unlockTime) {
+    const prepared = this._prepare(destinations, paymentId, fee, unlockTime)
+    if (prepared.__response) return prepared
+
+    this.prepared.set(prepared.hash, prepared)
+
+    return { fee: prepared.fee, transactionHash: prepared.hash }
+  }
+
+  /**
+   * Creates a fusion transaction, which locks the funds of the subwallet until it is mined
+   * @private
+   */
+  _fusion (address) {
+    const count = this.transactions.length - this.fusedTransactions + this.addresses.length
+    if (count < FUSION_THRESHOLD) return badRequest('Cannot send fusion transaction - wallet is already fully optimized.', Errors.WalletErrorCode.FULLY_OPTIMIZED)
+
+    const subWallet = (address) ? this._subWallet(address) : this.addresses[0]
+    if (!subWallet) return badRequest('Invalid destination address')
+
+    const response = this._relay(transaction([{ address: subWallet.address, amount: 0 }], 0, '', 0, 0))
+
+    this.credits.push({ address: subWallet.address, amount: subWallet.unlocked, hash: response.transactionHash })
+    subWallet.locked += subWallet.unlocked
+    subWallet.unlocked = 0
+    this.fusedTransactions = this.transactions.length
+
+    return response
+  }
+
+  /**
+   * Deducts, records, and relays an outgoing transaction to the daemon
+   * @private
+   */
+  _relay (prepared) {
+    const source = this.addresses[0]
+
+    if (prepared.total > source.unlocked) return badRequest('Not enough unlocked funds were found to cover this transaction')
+
+    source.unlocked -= prepared.total
+
+    if (this.daemon) this.daemon.addTransaction(prepared.blob)
+
+    this.transactions.push({
+      hash: prepared.hash,
+      fee: prepared.fee,
+      isCoinbaseTransaction: false,
+      paymentID: prepared.paymentId || '',
+      unlockTime: prepared.unlockTime || 0,
+      transfers: [{ address: source.address, amount: -prepared.total }].concat(prepared.destinations)
+    })
+
+    return { transactionHash: prepared.hash }
+  }
+
+  /**
+   * Returns the wallet transactions within the supplied heights, looking up their blocks on the daemon
+   * @private
+   */
+  _transactions (startHeight, endHeight) {
+    startHeight = (typeof startHeight !== 'undefined') ? Number(startHeight) : 0
+    endHeight = (typeof endHeight !== 'undefined') ? Number(endHeight) : Infinity
+
+    return this.transactions
+      .map(transaction => {
+        const daemonTransaction = (this.daemon) ? this.daemon.transactions.get(transaction.hash) : undefined
+        const blockHeight = (daemonTransaction && typeof daemonTransaction.blockHeight !== 'undefined') ? daemonTransaction.blockHeight : 0
+        const block = (blockHeight !== 0) ? this.daemon.blocks[blockHeight] : undefined
+
+        return Object.assign({}, transaction, {
+          blockHeight: blockHeight,
+          timestamp: (block) ? block.timestamp : 0,
+          transfers: transaction.transfers.map(transfer => Object.assign({}, transfer))
+        })
+      })
+      .filter(transaction => transaction.blockHeight === 0 || (transaction.blockHeight >= startHeight && transaction.blockHeight < endHeight))
+  }
+
+  /**
+   * Unlocks the funds of incoming and fusion transactions that have been mined
+   * @private
+   */
+  _settle () {
+    if (!this.daemon) return
+
+    this.credits = this.credits.filter(credit => {
+      const daemonTransaction = this.daemon.transactions.get(credit.hash)
+      if (!daemonTransaction || typeof daemonTransaction.blockHeight === 'undefined') return true
+
+      const subWallet = this._subWallet(credit.address)
+
+      if (subWallet) {
+        subWallet.locked -= credit.amount
+        subWallet.unlocked += credit.amount
+      }
+
+      return false
+    })
+  }
+
+  _balance (subWallets) {
+    return subWallets.reduce((balance, subWallet) => {
+      balance.unlocked += subWallet.unlocked
+      balance.locked += subWallet.locked
+
+      return balance
+    }, { unlocked: 0, locked: 0 })
+  }
+
+  _keys (subWallet) {
+    return { address: subWallet.address, privateSpendKey: subWallet.privateSpendKey, publicSpendKey: subWallet.publicSpendKey }
+  }
+
+  _subWallet (address) {
+    return this.addresses.filter(subWallet => subWallet.address === address)[0]
+  }
+}
+
+function address (privateSpendKey) {
+  return Address.encode(hash('public', privateSpendKey), hash('view', privateSpendKey))
+}
+
+function badRequest (errorMessage, errorCode) {
+  return MockServer.response(400, { errorCode, errorMessage })
+}
+
+function hash () {
+  return crypto.createHash('sha256').update(Array.from(arguments).join(':')).digest('hex')
+}
+
+function involves (transaction, address) {
+  return transaction.transfers.some(transfer => transfer.address === address)
+}
+
+function matchPath (pattern, segments) {
+  const parts = pattern.split('/').filter(part => part.length !== 0)
+  if (parts.length !== segments.length) return undefined
+
+  const params = {}
+
+  for (var i = 0; i < parts.length; i++) {
+    if (parts[i][0] === ':') {
+      params[parts[i].substring(1)] = decodeURIComponent(segments[i])
+    } else if (parts[i] !== segments[i]) {
+      return undefined
+    }
+  }
+
+  return params
+}
+
+function transaction (destinations, fee, paymentId, unlockTime, total) {
+  const blob = crypto.randomBytes(100).toString('hex')
+
+  return {
+    blob: blob,
+    hash: crypto.createHash('sha256').update(blob).digest('hex'),
+    destinations: destinations,
+    fee: fee,
+    paymentId: paymentId,
+    unlockTime: unlockTime,
+    total: total
+  }
+}
+
+module.exports = MockWalletAPI
@@ -0,0 +1,282 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const MONCoind = require('./moncoind-rpc')
+
+/* Errors that guarantee the request never reached the daemon, which
+   makes it safe to fail over even for calls that are not idempotent */
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN']
+
+/**
+ * @module MONCoindPool
+ * @class
+ * @extends MONCoind
+ */
+class MONCoindPool extends MONCoind {
+  /**
+   * Initializes a new MONCoindPool object
+   * @constructor
+   * @param {Object} opts - Configuration options, any other options are passed to each {@link MONCoind} node
+   * @param {Array<string|Object>} opts.hosts - the nodes in the pool as 'host:port' strings or objects of {@link MONCoind} options
+   * @param {string} [opts.strategy=round-robin] - how to pick a node for each call: 'round-robin' or 'latency'
+   * @param {number} [opts.healthCheckInterval=30000] - how often, in milliseconds, to health check the nodes, 0 disables periodic checks
+   * @param {number} [opts.maxHeightLag=2] - how many blocks a node may be behind its observed network height and still be healthy
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super(opts)
+
+    if (!Array.isArray(opts.hosts) || opts.hosts.length === 0) throw new Error('Must supply an array of hosts')
+
+    this.strategy = opts.strategy || 'round-robin'
+    this.healthCheckInterval = (typeof opts.healthCheckInterval !== 'undefined') ? opts.healthCheckInterval : 30000
+    this.maxHeightLag = (typeof opts.maxHeightLag !== 'undefined') ? opts.maxHeightLag : 2
+    this.cursor = 0
+
+    if (['round-robin', 'latency'].indexOf(this.strategy) === -1) throw new Error('Unknown strategy: ' + this.strategy)
+
+    this.nodes = opts.hosts.map(host => {
+      const nodeOpts = Object.assign({}, opts, parseHost(host))
+      delete nodeOpts.hosts
+      delete nodeOpts.cache
+
+      return {
+        daemon: new MONCoind(nodeOpts),
+        host: nodeOpts.host,
+        port: nodeOpts.port || 12898,
+        healthy: true,
+        synced: undefined,
+        height: undefined,
+        networkHeight: undefined,
+        latency: undefined,
+        lastChecked: undefined,
+        lastError: undefined
+      }
+    })
+
+    if (this.healthCheckInterval > 0) this.start()
+  }
+
+  /**
+   * Pool Node
+   * @memberof MONCoindPool
+   * @typedef {Object} PoolNode
+   * @property {MONCoind} daemon - the client for the node
+   * @property {string} host - the address of the node
+   * @property {number} port - the RPC port of the node
+   * @property {boolean} healthy - whether the node passed its last health check
+   * @property {boolean} [synced] - whether the node reported itself as synced
+   * @property {number} [height] - the height the node last reported
+   * @property {number} [networkHeight] - the network height the node last reported
+   * @property {number} [latency] - the smoothed response time of the node in milliseconds
+   * @property {number} [lastChecked] - the timestamp of the last health check
+   * @property {Error} [lastError] - the last error encountered when talking to the node
+   */
+
+  /**
+   * Health checks every node in the pool using info()
+   * @async
+   * @returns {Promise<MONCoindPool.PoolNode[]>} resolves with the updated node list
+   */
+  checkHealth () {
+    return Promise.all(this.nodes.map(node => {
+      const start = Date.now()
+
+      return node.daemon.info()
+        .then(info => {
+          updateLatency(node, Date.now() - start)
+          node.synced = info.synced
+          node.height = info.height
+          node.networkHeight = info.network_height
+          node.lastError = undefined
+          node.healthy = (info.synced === true && (info.network_height - info.height) <= this.maxHeightLag)
+        })
+        .catch(error => {
+          node.lastError = error
+          node.healthy = false
+        })
+        .then(() => { node.lastChecked = Date.now() })
+    }))
+      .then(() => { return this.nodes })
+  }
+
+  /**
+   * Starts periodically health checking the nodes in the pool
+   */
+  start () {
+    if (this.timer) return
+
+    this.checkHealth()
+    this.timer = setInterval(() => this.checkHealth(), this.healthCheckInterval)
+    if (typeof this.timer.unref === 'function') this.timer.unref()
+  }
+
+  /**
+   * Stops periodically health checking the nodes in the pool
+   */
+  stop () {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    delete this.timer
+  }
+
+  /**
+   * RPC GET Request dispatched to a node in the pool
+   * @async
+   * @private
+   * @param {string} method - the RPC method to call
+   * @param {Object} [opts] - request options
+   * @param {number} [opts.priority] - the priority of the request, defaults to the priority of the pool
+   * @returns {Object} the response
+   */
+  _get (method, opts) {
+    opts = Object.assign({ priority: this.priority }, opts)
+
+    return this._dispatch(daemon => daemon._get(method, opts), true)
+  }
+
+  /**
+   * RPC raw POST Request dispatched to a node in the pool
+   * @async
+   * @private
+   * @param {string} endpoint - the RPC endpoint to call
+   * @param {Object} body - the body of the POST request
+   * @param {Object} [opts] - request options
+   * @param {boolean} [opts.idempotent] - whether the request is safe to retry
+   * @param {number} [opts.priority] - the priority of the request, defaults to the priority of the pool
+   * @returns {Object} the response
+   */
+  _rawPost (endpoint, body, opts) {
+    opts = Object.assign({ priority: this.priority }, opts)
+    const idempotent = (typeof opts.idempotent !== 'undefined') ? opts.idempotent : true
+
+    return this._dispatch(daemon => daemon._rawPost(endpoint, body, opts), idempotent)
+  }
+
+  /**
+   * Sends a JSON-RPC batch request to a node in the pool, each node remembers whether it supports batches
+   * @async
+   * @private
+   * @param {Object[]} body - the JSON-RPC requests
+   * @param {Object} [opts] - request options
+   * @param {number} [opts.priority] - the priority of the request, defaults to the priority of the pool
+   * @returns {Promise<Object[]|undefined>} resolves with the responses, or undefined if the node does not support batches, else rejects with error
+   */
+  _rawBatch (body, opts) {
+    opts = Object.assign({ priority: this.priority }, opts)
+
+    return this._dispatch(daemon => daemon._rawBatch(body, opts), true)
+  }
+
+  /**
+   * Whether the nodes in the pool support JSON-RPC batch requests
+   * @private
+   * @returns {boolean|undefined} undefined until every node has been sent a batch request, then whether any node supports them
+   */
+  _batchSupported () {
+    const supported = this.nodes.map(node => node.daemon._batchSupported())
+
+    if (supported.indexOf(undefined) !== -1) return undefined
+
+    return (supported.indexOf(true) !== -1)
+  }
+
+  /**
+   * Sends the call to the preferred node, failing over to the next node on error
+   * @async
+   * @private
+   * @param {function(MONCoind): Promise} fn - the call to perform
+   * @param {boolean} idempotent - whether the call may be repeated on another node
+   * @returns {Promise} resolves with the response or rejects with the last error
+   */
+  _dispatch (fn, idempotent) {
+    const candidates = this._candidates()
+
+    const attempt = (index) => {
+      const node = candidates[index]
+      const start = Date.now()
+
+      return Promise.resolve()
+        .then(() => { return fn(node.daemon) })
+        .then(response => {
+          updateLatency(node, Date.now() - start)
+
+          /* A node that was only marked down because we could not
+             reach it is evidently reachable again */
+          if (node.lastError) {
+            node.healthy = true
+            node.lastError = undefined
+          }
+
+          return response
+        })
+        .catch(error => {
+          if (!isNodeFailure(error)) throw error
+
+          node.healthy = false
+          node.lastError = error
+
+          const canFailOver = (idempotent || CONNECTION_ERRORS.indexOf(error.code) !== -1)
+          if (!canFailOver || index + 1 >= candidates.length) throw error
+
+          return attempt(index + 1)
+        })
+    }
+
+    return attempt(0)
+  }
+
+  /**
+   * Orders the nodes in the pool by preference for the next call
+   * @private
+   * @returns {MONCoindPool.PoolNode[]} the nodes, healthy nodes first
+   */
+  _candidates () {
+    var healthy = this.nodes.filter(node => node.healthy)
+    const unhealthy = this.nodes.filter(node => !node.healthy)
+
+    if (this.strategy === 'latency') {
+      healthy.sort((a, b) => {
+        const left = (typeof a.latency !== 'undefined') ? a.latency : Infinity
+        const right = (typeof b.latency !== 'undefined') ? b.latency : Infinity
+
+        return left - right
+      })
+    } else if (healthy.length !== 0) {
+      const offset = this.cursor++ % healthy.length
+      healthy = healthy.slice(offset).concat(healthy.slice(0, offset))
+    }
+
+    /* If every node is marked down we still try them all as the
+       health information may simply be stale */
+    return healthy.concat(unhealthy)
+  }
+}
+
+function isNodeFailure (error) {
+  if (error.statusCode) return (error.statusCode >= 500)
+
+  return (typeof error.code !== 'undefined')
+}
+
+function parseHost (host) {
+  if (typeof host !== 'string') return host
+
+  const idx = host.lastIndexOf(':')
+  if (idx === -1) return { host }
+
+  return {
+    host: host.substring(0, idx),
+    port: parseInt(host.substring(idx + 1))
+  }
+}
+
+function updateLatency (node, elapsed) {
+  node.latency = (typeof node.latency !== 'undefined') ? Math.round(node.latency * 0.7 + elapsed * 0.3) : elapsed
+}
+
+module.exports = MONCoindPool
@@ -4,9 +4,24 @@
 
 'use strict'
 
+const BlockIterator = require('./block-iterator')
+const BlockTemplateManager = require('./block-template-manager')
+const BlockWatcher = require('./block-watcher')
+const ConfirmationTracker = require('./confirmation-tracker')
+const Errors = require('./errors')
+const MempoolWatcher = require('./mempool-watcher')
 const packageInfo = require('../package.json')
-const request = require('request-promise-native')
+const ResponseCache = require('./response-cache')
+const RpcBatch = require('./rpc-batch')
+const TransactionExtra = require('./transaction-extra')
+const Transport = require('./transport')
 const util = require('util')
+const WalletSynchronizer = require('./wallet-synchronizer')
+
+/* JSON-RPC methods and raw endpoints that change state on the daemon
+   and therefore must never be retried automatically */
+const NON_IDEMPOTENT_METHODS = ['submitblock']
+const NON_IDEMPOTENT_ENDPOINTS = ['sendrawtransaction']
 
 /**
  * @module MONCoind
@@ -23,6 +38,13 @@ class MONCoind {
    * @param {boolean} [opts.ssl=false] - whether the daemon uses SSL (HTTPS) or not
    * @param {string} [opts.userAgent=moncoin-rpc/version] - the user agent string to use with requests
    * @param {boolen} [opts.keepAlive=true] - whether the underying HTTP(s) connection should be kept alive and reused
+   * @param {string|function} [opts.adapter=http] - the HTTP adapter to use: 'http', 'fetch', or a custom function (see {@link Transport})
+   * @param {http.Agent} [opts.agent] - a custom agent to use with the http adapter
+   * @param {function} [opts.fetch] - a custom fetch implementation to use with the fetch adapter
+   * @param {Object|RetryPolicy|boolean} [opts.retry] - the retry policy (or its options) to apply to read-only calls, or false to disable retries (see {@link RetryPolicy})
+   * @param {number} [opts.maxConcurrent] - the maximum number of requests in flight at once, unlimited by default
+   * @param {number} [opts.requestsPerSecond] - the maximum number of requests started per second, unlimited by default
+   * @param {boolean|Object|ResponseCache} [opts.cache=false] - whether to cache responses about blocks that are deep enough to be final, either true, the cache options, or a shared cache (see {@link ResponseCache})
    */
   constructor (opts) {
     opts = opts || {}
@@ -32,6 +54,30 @@ class MONCoind {
     this.ssl = opts.ssl || false
     this.userAgent = opts.userAgent || util.format('%s/%s', packageInfo.name, packageInfo.version)
     this.keepAlive = (typeof opts.keepAlive !== 'undefined') ? opts.keepAlive : true
+    this.transport = new Transport({
+      host: this.host,
+      port: this.port,
+      timeout: this.timeout,
+      ssl: this.ssl,
+      userAgent: this.userAgent,
+      keepAlive: this.keepAlive,
+      adapter: opts.adapter,
+      agent: opts.agent,
+      fetch: opts.fetch,
+      retry: opts.retry,
+      maxConcurrent: opts.maxConcurrent,
+      requestsPerSecond: opts.requestsPerSecond
+    })
+    this.priority = 0
+
+    /* Kept in an object of its own so that the views of this client share it */
+    this.capabilities = { batch: undefined }
+
+    if (opts.cache instanceof ResponseCache) {
+      this.cache = opts.cache
+    } else if (opts.cache) {
+      this.cache = new ResponseCache((typeof opts.cache === 'object') ? opts.cache : {})
+    }
   }
 
   /**
@@ -39,22 +85,17 @@ class MONCoind {
    * @async
    * @private
    * @param {string} method - the RPC method to call
+   * @param {Object} [opts] - request options
+   * @param {number} [opts.priority] - the priority of the request, defaults to the priority of the client
    * @returns {Object} the response
    */
-  _get (method) {
+  _get (method, opts) {
     if (method.length === 0) throw new Error('no method supplied')
-    const protocol = (this.ssl) ? 'https' : 'http'
+    opts = opts || {}
 
-    return request({
-      uri: util.format('%s://%s:%s/%s', protocol, this.host, this.port, method),
-      method: 'GET',
-      json: true,
-      timeout: this.timeout,
-      forever: this.keepAlive,
-      headers: {
-        'User-Agent': this.userAgent
-      }
-    })
+    const priority = (typeof opts.priority !== 'undefined') ? opts.priority : this.priority
+
+    return this.transport.request('GET', '/' + method, undefined, { priority })
   }
 
   /**
@@ -75,12 +116,49 @@ class MONCoind {
       params: params
     }
 
-    return this._rawPost('json_rpc', body)
-      .then(response => {
-        if (response.error) throw new Error(response.error.message)
+    return this._rawPost('json_rpc', body, { idempotent: (NON_IDEMPOTENT_METHODS.indexOf(method) === -1) })
+      .catch(error => {
+        if (error instanceof Errors.RpcError) error.rpcMethod = method
 
-        return response.result
+        throw error
+      })
+      .then(response => { return this._rpcResult(method, response) })
+  }
+
+  /**
+   * Extracts the result from a JSON-RPC response
+   * @private
+   * @param {string} method - the RPC method that was called
+   * @param {Object} response - the JSON-RPC response
+   * @returns {Object} the result
+   */
+  _rpcResult (method, response) {
+    if (response.error) {
+      throw new Errors.JsonRpcError(response.error.message, {
+        rpcCode: response.error.code,
+        endpoint: '/json_rpc',
+        method: 'POST',
+        rpcMethod: method,
+        body: response
       })
+    }
+
+    return response.result
+  }
+
+  /**
+   * Answers from the response cache when one is configured
+   * @async
+   * @private
+   * @param {string} key - the cache key
+   * @param {function(): Promise} fetch - fetches the response from the daemon
+   * @param {function(*): Object} describe - returns { height, top } for a response (see {@link ResponseCache#fetch})
+   * @returns {Promise<*>} resolves with the response
+   */
+  _cached (key, fetch, describe) {
+    if (!this.cache) return fetch()
+
+    return this.cache.fetch(key, fetch, describe)
   }
 
   /**
@@ -89,24 +167,53 @@ class MONCoind {
    * @private
    * @param {string} endpoint - the RPC endpoint to call
    * @param {Object} body - the body of the POST request
+   * @param {Object} [opts] - request options
+   * @param {boolean} [opts.idempotent] - whether the request is safe to retry
+   * @param {number} [opts.priority] - the priority of the request, defaults to the priority of the client
    * @returns {Object} the response
    */
-  _rawPost (endpoint, body) {
-    if (endpoint.length === 0) throw new new Error('no endpoint supplied')()
-    if (body === undefined) throw new new Error('no body supplied')()
-    const protocol = (this.ssl) ? 'https' : 'http'
+  _rawPost (endpoint, body, opts) {
+    if (endpoint.length === 0) throw new Error('no endpoint supplied')
+    if (body === undefined) throw new Error('no body supplied')
+    opts = opts || {}
 
-    return request({
-      uri: util.format('%s://%s:%s/%s', protocol, this.host, this.port, endpoint),
-      method: 'POST',
-      body: body,
-      json: true,
-      timeout: this.timeout,
-      forever: this.keepAlive,
-      headers: {
-        'User-Agent': this.userAgent
-      }
-    })
+    const idempotent = (typeof opts.idempotent !== 'undefined') ? opts.idempotent : (NON_IDEMPOTENT_ENDPOINTS.indexOf(endpoint) === -1)
+    const priority = (typeof opts.priority !== 'undefined') ? opts.priority : this.priority
+
+    return this.transport.request('POST', '/' + endpoint, body, { idempotent, priority })
+  }
+
+  /**
+   * Sends JSON-RPC calls as a single batch request, remembering whether the daemon supports batches
+   * @async
+   * @private
+   * @param {Object[]} body - the JSON-RPC requests
+   * @param {Object} [opts] - request options (see {@link MONCoind#_rawPost})
+   * @returns {Promise<Object[]|undefined>} resolves with the responses, or undefined if the daemon does not support batches, else rejects with error
+   */
+  _rawBatch (body, opts) {
+    if (this.capabilities.batch === false) return Promise.resolve()
+
+    return this._rawPost('json_rpc', body, Object.assign({ idempotent: true }, opts))
+      .then(responses => {
+        this.capabilities.batch = Array.isArray(responses)
+
+        return (this.capabilities.batch) ? responses : undefined
+      }, error => {
+        /* A daemon that does not understand batches rejects the request itself */
+        if (!(error instanceof Errors.HttpError) || error.statusCode >= 500) throw error
+
+        this.capabilities.batch = false
+      })
+  }
+
+  /**
+   * Whether the daemon supports JSON-RPC batch requests
+   * @private
+   * @returns {boolean|undefined} undefined until a batch request has been sent
+   */
+  _batchSupported () {
+    return this.capabilities.batch
   }
 
   /**
@@ -146,6 +253,15 @@ class MONCoind {
    * @property {number} transactionsCumulativeSize - the total size of the transactions in the block
    */
 
+  /**
+   * Creates a builder that collects JSON-RPC calls and sends them together as batch requests, falling back to individual requests if the daemon does not support batching
+   * @param {Object} [opts] - Configuration options (see {@link RpcBatch})
+   * @returns {RpcBatch} the batch
+   */
+  batch (opts) {
+    return new RpcBatch(this, opts)
+  }
+
   /**
    * Returns information on a single block by hash
    * @async
@@ -155,8 +271,11 @@ class MONCoind {
   block (hash) {
     if (!hash) throw new Error('must specify hash')
 
-    return this._post('f_block_json', { hash })
-      .then(response => { return response.block })
+    return this._cached('block:' + hash, () => {
+      return this._post('f_block_json', { hash })
+        .then(response => { return response.block })
+    }, describeBlock)
+      .then(block => { return refreshDepth(this.cache, block) })
   }
 
   /**
@@ -166,7 +285,11 @@ class MONCoind {
    */
   blockCount () {
     return this._post('getblockcount')
-      .then(response => { return response.count })
+      .then(response => {
+        if (this.cache) this.cache.observe(response.count - 1)
+
+        return response.count
+      })
   }
 
   /**
@@ -197,8 +320,11 @@ class MONCoind {
   blockHeaderByHash (hash) {
     if (!hash) throw new Error('must specify hash')
 
-    return this._post('getblockheaderbyhash', { hash })
-      .then(response => { return response.block_head })
+    return this._cached('header:' + hash, () => {
+      return this._post('getblockheaderbyhash', { hash })
+        .then(response => { return response.block_header })
+    }, describeBlock)
+      .then(header => { return refreshDepth(this.cache, header) })
   }
 
   /**
@@ -210,8 +336,11 @@ class MONCoind {
   blockHeaderByHeight (height) {
     if (typeof height === 'undefined') throw new Error('must specify height')
 
-    return this._post('getblockheaderbyheight', { height })
-      .then(response => { return response.block_header })
+    return this._cached('headerAt:' + height, () => {
+      return this._post('getblockheaderbyheight', { height })
+        .then(response => { return response.block_header })
+    }, describeBlock)
+      .then(header => { return refreshDepth(this.cache, header) })
   }
 
   /**
@@ -235,8 +364,10 @@ class MONCoind {
   blockShortHeaders (height) {
     if (typeof height === 'undefined') throw new Error('must specify height')
 
-    return this._post('f_blocks_list_json', { height })
-      .then(response => { return response.blocks })
+    return this._cached('shortHeaders:' + height, () => {
+      return this._post('f_blocks_list_json', { height })
+        .then(response => { return response.blocks })
+    }, () => { return { height } })
   }
 
   /**
@@ -504,6 +635,20 @@ class MONCoind {
     })
   }
 
+  /**
+   * Starts keeping a block template up to date for mining
+   * @param {Object} opts - the options to use (see {@link BlockTemplateManager})
+   * @param {string} opts.walletAddress - the address that block rewards are paid to
+   * @param {number} [opts.reserveSize=8] - how many bytes to reserve in the template for the extra nonce
+   * @param {number} [opts.interval=1000] - how often, in milliseconds, to check the daemon for a new block
+   * @param {number} [opts.poolInterval=10000] - how often, in milliseconds, to check the transaction pool for changes
+   * @param {number} [opts.maxJobAge=300000] - how long, in milliseconds, a job may still be submitted after it was handed out
+   * @returns {BlockTemplateManager} a started manager that emits template, accepted, rejected, and error events
+   */
+  manageBlockTemplates (opts) {
+    return new BlockTemplateManager(this, opts).start()
+  }
+
   /**
    * Node Fee Response
    * @memberof MONCoind
@@ -535,12 +680,19 @@ class MONCoind {
       txid: transactionHash
     }
 
-    return this._rawPost('get_o_indexes', body)
-      .then(response => {
-        if (response.status.toLowerCase() !== 'ok') throw new Error('Transaction not found')
-
-        return response.o_indexes
-      })
+    return this._cached('globalIndexes:' + transactionHash, () => {
+      return this._rawPost('get_o_indexes', body)
+        .then(response => {
+          if (response.status.toLowerCase() !== 'ok') throw new Errors.NotFoundError('Transaction not found', details('get_o_indexes', response))
+
+          return response.o_indexes
+        })
+    }, () => {
+      /* The indexes are only as final as the transaction, which we
+         only know to be final if it has been cached */
+      return this.cache.peek('transaction:' + transactionHash)
+        .then(transaction => { return { height: (transaction && transaction.block) ? transaction.block.height : undefined } })
+    })
   }
 
   /**
@@ -564,8 +716,8 @@ class MONCoind {
 
     return this._rawPost('get_global_indexes_for_range', { startHeight, endHeight })
       .then(response => {
-        if (!response.status || !response.indexes) throw new Error('Missing indexes or status key')
-        if (response.status.toLowerCase() !== 'ok') throw new Error('Status is not OK')
+        if (!response.status || !response.indexes) throw new Errors.DaemonStatusError('Missing indexes or status key', details('get_global_indexes_for_range', response), response.status)
+        if (response.status.toLowerCase() !== 'ok') throw new Errors.DaemonStatusError('Status is not OK', details('get_global_indexes_for_range', response), response.status)
 
         return response.indexes
       })
@@ -624,6 +776,19 @@ class MONCoind {
     return this._get('info')
   }
 
+  /**
+   * Creates an async iterator that walks a range of the chain, fetching blocks and optionally their transactions in parallel while yielding them in height order
+   * @param {Object} [opts] - Configuration options (see {@link BlockIterator})
+   * @param {number} [opts.from=0] - the first height to yield
+   * @param {number} [opts.to] - the last height to yield, defaults to the top block when iteration begins
+   * @param {boolean} [opts.includeTransactions=false] - whether to fetch the full details of every transaction in each block
+   * @param {number} [opts.concurrency=4] - how many blocks to fetch ahead of the consumer
+   * @returns {BlockIterator} the iterator
+   */
+  iterateBlocks (opts) {
+    return new BlockIterator(this, opts)
+  }
+
   /**
    * Retrieves the last block header
    * @async
@@ -631,7 +796,36 @@ class MONCoind {
    */
   lastBlockHeader () {
     return this._post('getlastblockheader')
-      .then(response => { return response.block_header })
+      .then(response => {
+        if (this.cache) this.cache.observe(response.block_header.height)
+
+        return response.block_header
+      })
+  }
+
+  /**
+   * Starts watching the daemon for new blocks and chain reorganizations
+   * @param {Object} [opts] - the options to use when watching (see {@link BlockWatcher})
+   * @param {number} [opts.interval=5000] - how often, in milliseconds, to poll the daemon for a new top block
+   * @param {number} [opts.startHeight] - the height to begin emitting blocks from, defaults to the current top block
+   * @param {number} [opts.maxDepth=100] - how many recent headers to remember for reorganization detection
+   * @returns {BlockWatcher} a started watcher that emits block, reorg, and error events
+   */
+  watchBlocks (opts) {
+    if (!this.cache) return new BlockWatcher(this, opts).start()
+
+    /* The watcher must see the chain as it is now to find forks */
+    const uncached = Object.create(this)
+    uncached.cache = undefined
+
+    const watcher = new BlockWatcher(uncached, opts)
+    watcher.on('block', header => this.cache.observe(header.height))
+    watcher.on('reorg', event => {
+      this.cache.invalidateFrom(event.forkHeight + 1)
+        .catch(error => watcher.report(error))
+    })
+
+    return watcher.start()
   }
 
   /**
@@ -656,7 +850,7 @@ class MONCoind {
    * @memberof MONCoind
    * @typedef PoolChangesAdded
    * @property {string} hash - the transaction hash
-   * @property {MONCoind.TransactionPrefix} prefix - the transaction prefix
+   * @property {MONCoind.TransactionPrefix} prefix - the transaction prefix, with the parsedExtra property added when requested
    */
 
   /**
@@ -673,9 +867,13 @@ class MONCoind {
    * @async
    * @param {string} tailBlockHash - the last known block hash
    * @param {string[]} knownTransactionHashes - the transaction hashes that we know of
+   * @param {Object} [opts] - additional options
+   * @param {boolean} [opts.parseExtra=false] - whether to add the parsed extra field to each transaction prefix as parsedExtra (see {@link TransactionExtra})
    * @returns {Promise<MONCoind.PoolChanges>} resolves with pool change information or rejects with error
    */
-  poolChanges (tailBlockHash, knownTransactionHashes) {
+  poolChanges (tailBlockHash, knownTransactionHashes, opts) {
+    opts = opts || {}
+
     if (tailBlockHash === undefined) throw new Error('must supply a tail block hash')
     if (!Array.isArray(knownTransactionHashes)) throw new Error('must supply an array of known transaction hashes')
 
@@ -693,7 +891,7 @@ class MONCoind {
           .forEach(tx => {
             tmp.push({
               hash: tx['transactionPrefixInfo.txHash'],
-              prefix: tx['transactionPrefixInfo.txPrefix']
+              prefix: (opts.parseExtra) ? parseExtra(tx['transactionPrefixInfo.txPrefix']) : tx['transactionPrefixInfo.txPrefix']
             })
           })
 
@@ -703,6 +901,17 @@ class MONCoind {
       })
   }
 
+  /**
+   * Starts watching the transaction pool of the daemon
+   * @param {Object} [opts] - the options to use when watching (see {@link MempoolWatcher})
+   * @param {number} [opts.interval=2000] - how often, in milliseconds, to poll the daemon for pool changes
+   * @param {boolean} [opts.parseExtra=true] - whether to add the parsed extra field to each transaction prefix as parsedExtra
+   * @returns {MempoolWatcher} a started watcher that emits added, removed, reset, and error events
+   */
+  watchMempool (opts) {
+    return new MempoolWatcher(this, opts).start()
+  }
+
   /**
    * A Random Output
    * @memberof MONCoind
@@ -796,18 +1005,25 @@ class MONCoind {
       body.blockCount = Math.abs(blockCount)
     }
 
-    return this._rawPost('getblocks', body)
-      .then(response => {
-        /* We need to do a little bit of massaging here on this
-           response because the daemon returns some funny
-           business that we don't care for in JS */
-        return {
-          blocks: response['response.blocks'],
-          current_height: response['response.current_height'],
-          start_height: response['response.start_height'],
-          status: response['response.status']
-        }
-      })
+    return this._cached('rawBlocks:' + (blockCount || '') + ':' + blockHashes.join(','), () => {
+      return this._rawPost('getblocks', body)
+        .then(response => {
+          /* We need to do a little bit of massaging here on this
+             response because the daemon returns some funny
+             business that we don't care for in JS */
+          return {
+            blocks: response['response.blocks'],
+            current_height: response['response.current_height'],
+            start_height: response['response.start_height'],
+            status: response['response.status']
+          }
+        })
+    }, response => {
+      return {
+        height: (response.blocks && response.blocks.length !== 0) ? response.start_height + response.blocks.length - 1 : undefined,
+        top: response.current_height - 1
+      }
+    })
   }
 
   /**
@@ -827,7 +1043,8 @@ class MONCoind {
   sendRawTransaction (transaction) {
     if (!transaction) throw new Error('must specify raw serialized transaction')
 
-    return this._rawPost('sendrawtransaction', { tx_as_hex: transaction })
+    /* Sending it again after an error, to this or another node, could send it twice */
+    return this._rawPost('sendrawtransaction', { tx_as_hex: transaction }, { idempotent: false })
   }
 
   /**
@@ -891,6 +1108,7 @@ class MONCoind {
    * @memberof MONCoind
    * @typedef TransactionPrefix
    * @property {string} extra - the transaction extra information as hexadecimcal
+   * @property {TransactionExtra.ParsedExtra} [parsedExtra] - the parsed transaction extra information, when requested
    * @property {number} unlock_time - the transaction unlock time
    * @property {number} version - the transaction version number
    * @property {MONCoind.VINCoinbase|MONCoind.VIN[]} vin - the transaction inputs
@@ -921,17 +1139,31 @@ class MONCoind {
    * Retrieves a single transaction's information
    * @async
    * @param {string} hash - the transaction hash
+   * @param {Object} [opts] - additional options
+   * @param {boolean} [opts.parseExtra=false] - whether to add the parsed extra field to the transaction as parsedExtra (see {@link TransactionExtra})
    * @returns {Promise<MONCoind.TransactionResponse>} resolves with transaction response or rejects with error
    */
-  transaction (hash) {
+  transaction (hash, opts) {
+    opts = opts || {}
+
     if (!hash) throw new Error('must specify hash')
 
-    return this._post('f_transaction_json', { hash })
-      .then(response => {
-        if (response.tx && response.tx['']) delete response.tx['']
+    const response = this._cached('transaction:' + hash, () => {
+      return this._post('f_transaction_json', { hash })
+        .then(response => {
+          if (response.tx && response.tx['']) delete response.tx['']
 
-        return response
-      })
+          return response
+        })
+    }, response => { return { height: (response.block) ? response.block.height : undefined } })
+
+    if (!opts.parseExtra) return response
+
+    return response.then(response => {
+      if (response.tx) parseExtra(response.tx)
+
+      return response
+    })
   }
 
   /**
@@ -964,8 +1196,8 @@ class MONCoind {
 
     return this._rawPost('get_transactions_status', { transactionHashes })
       .then(response => {
-        if (!response.status || !response.transactionsInPool || !response.transactionsInBlock || !response.transactionsUnknown) throw new Error('Missing status of transactions key')
-        if (response.status.toLowerCase() !== 'ok') throw new Error('Status is not OK')
+        if (!response.status || !response.transactionsInPool || !response.transactionsInBlock || !response.transactionsUnknown) throw new Errors.DaemonStatusError('Missing status of transactions key', details('get_transactions_status', response), response.status)
+        if (response.status.toLowerCase() !== 'ok') throw new Errors.DaemonStatusError('Status is not OK', details('get_transactions_status', response), response.status)
 
         return {
           transactionsInPool: response.transactionsInPool,
@@ -975,6 +1207,36 @@ class MONCoind {
       })
   }
 
+  /**
+   * Creates a resumable sync iterator that pages through the chain using walletSyncData, keeping the
+   * block hash checkpoints up to date and yielding blocks (and rollback notifications) in order
+   * @param {Object} [opts] - the options to use when syncing (see {@link WalletSynchronizer})
+   * @param {number} [opts.startHeight=0] - the height to start syncing from
+   * @param {number} [opts.startTimestamp=0] - the timestamp to start syncing from
+   * @param {boolean} [opts.skipCoinbaseTransactions=false] - whether to skip blocks that only contain a coinbase transaction
+   * @param {Object} [opts.store] - the store used to persist the sync state across restarts
+   * @param {boolean} [opts.follow=false] - whether to keep waiting for new blocks once synced instead of finishing
+   * @param {number} [opts.interval=5000] - how long, in milliseconds, to wait before checking for new blocks once synced while following, or before asking again when the daemon returns nothing before we are synced
+   * @returns {WalletSynchronizer} an async iterable of {@link WalletSynchronizer.SyncItem}
+   */
+  walletSync (opts) {
+    return new WalletSynchronizer(this, opts)
+  }
+
+  /**
+   * Waits for transactions to be included in a block and buried under the requested number of blocks
+   * @param {string|string[]} hashes - the transaction hashes to wait for
+   * @param {Object} [opts] - the options to use when waiting (see {@link ConfirmationTracker})
+   * @param {number} [opts.confirmations=1] - how deep in the chain a transaction must be to be confirmed
+   * @param {number} [opts.timeout=0] - how long, in milliseconds, to wait before giving up, 0 waits forever
+   * @param {number} [opts.interval=5000] - how often, in milliseconds, to check the status of the transactions
+   * @param {number} [opts.maxErrors=10] - how many checks in a row may fail with an error that can be retried before giving up, 0 never gives up
+   * @returns {ConfirmationTracker} a started tracker that can be awaited and emits progress, confirmed, dropped, and error events
+   */
+  waitForConfirmations (hashes, opts) {
+    return new ConfirmationTracker(this, hashes, opts).start()
+  }
+
   /**
    * @memberof MONCoind
    * @typedef WalletSyncTransactionOutput
@@ -988,6 +1250,8 @@ class MONCoind {
    * @property {string} hash - the transaction hash
    * @property {MONCoind.TransactionDetailInputKeyInput} [inputs] - the transaction inputs
    * @property {MONCoind.WalletSyncTransactionOutput[]} outputs - the transaction outputs
+   * @property {string} [extra] - the transaction extra information as hexadecimal, if the daemon includes it
+   * @property {TransactionExtra.ParsedExtra} [parsedExtra] - the parsed transaction extra information, when requested
    * @property {string} txPublicKey - the one-time public key of the transaction
    * @property {number} unlockTime - the unlock time (or block) of the transaction
    */
@@ -1029,6 +1293,7 @@ class MONCoind {
    * @param {number} [opts.startTimestamp=0] - the timestamp to start from
    * @param {string[]} [opts.blockHashCheckpoints] - the block hash checkpoints
    * @param {boolean} [opts.skipCoinbaseTransactions=false] - whether to skip returning blocks with just coinbase transactions
+   * @param {boolean} [opts.parseExtra=false] - whether to add the parsed extra field to each transaction that includes one as parsedExtra (see {@link TransactionExtra})
    * @returns {Promise<MONCoind.WalletSyncDataResponse>} resolves with sync data response or rejects with error
    */
   walletSyncData (opts) {
@@ -1057,12 +1322,58 @@ class MONCoind {
       skipCoinbaseTransactions: opts.skipCoinbaseTransactions
     })
       .then(response => {
-        if (!response.status || !response.items) throw new Error('Missing items or status key')
-        if (response.status.toLowerCase() !== 'ok') throw new Error('Status is not OK')
+        if (!response.status || !response.items) throw new Errors.DaemonStatusError('Missing items or status key', details('getwalletsyncdata', response), response.status)
+        if (response.status.toLowerCase() !== 'ok') throw new Errors.DaemonStatusError('Status is not OK', details('getwalletsyncdata', response), response.status)
+
+        if (opts.parseExtra) {
+          response.items.forEach(item => {
+            if (item.coinbaseTX) parseExtra(item.coinbaseTX)
+            item.transactions.forEach(parseExtra)
+          })
+        }
 
         return response
       })
   }
+
+  /**
+   * Returns a view of this client whose calls are queued at the given priority when the maxConcurrent or requestsPerSecond limits are set. Use a negative priority for bulk work so that other calls go ahead of it.
+   * @param {number} priority - the priority of the calls, higher priorities are sent first, the default is 0
+   * @returns {MONCoind} the client view, sharing the connection and limits of this client
+   */
+  withPriority (priority) {
+    const view = Object.create(this)
+    view.priority = priority
+
+    return view
+  }
+}
+
+function describeBlock (block) {
+  return { height: block.height, top: block.height + block.depth }
+}
+
+function details (endpoint, response) {
+  return {
+    endpoint: '/' + endpoint,
+    method: 'POST',
+    body: response
+  }
+}
+
+function parseExtra (transaction) {
+  if (typeof transaction.extra !== 'undefined') transaction.parsedExtra = TransactionExtra.parse(transaction.extra)
+
+  return transaction
+}
+
+function refreshDepth (cache, block) {
+  /* A cached block reports the depth it had when it was cached */
+  if (cache && typeof cache.topHeight !== 'undefined' && block) {
+    block.depth = Math.max(block.depth, cache.topHeight - block.height)
+  }
+
+  return block
 }
 
 module.exports = MONCoind
@@ -0,0 +1,155 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Poller = require('./poller')
+
+/**
+ * Keeps a wallet connected to a working node by moving it along an ordered
+ * list of candidates whenever the current node stops advancing
+ * @module NodeManager
+ * @class
+ * @extends Poller
+ */
+class NodeManager extends Poller {
+  /**
+   * Initializes a new NodeManager object
+   * @constructor
+   * @param {WalletAPI} wallet - the wallet to manage
+   * @param {Array<string|Object>} nodes - the candidate nodes, in order of preference, as 'host:port' strings or objects of { host, port, ssl }
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.interval=30000] - how often, in milliseconds, to check the wallet status
+   * @param {number} [opts.stallTimeout=600000] - how long, in milliseconds, the node block count may stay the same before moving to the next node
+   * @param {number} [opts.switchTimeout=30000] - how long, in milliseconds, to wait for the wallet to connect to a node before trying the next one
+   */
+  constructor (wallet, nodes, opts) {
+    super()
+    opts = opts || {}
+
+    if (!wallet) throw new Error('Must supply a wallet')
+    if (!Array.isArray(nodes) || nodes.length === 0) throw new Error('Must supply an array of nodes')
+
+    this.wallet = wallet
+    this.nodes = nodes.map(parseNode)
+    this.interval = opts.interval || 30000
+    this.stallTimeout = opts.stallTimeout || 600000
+    this.switchTimeout = opts.switchTimeout || 30000
+    this.index = -1
+  }
+
+  /**
+   * Candidate Node
+   * @memberof NodeManager
+   * @typedef {Object} Node
+   * @property {string} host - the host of the node
+   * @property {number} port - the port of the node
+   * @property {boolean} ssl - whether the node uses SSL
+   */
+
+  /**
+   * Switch Event
+   * @memberof NodeManager
+   * @typedef {Object} SwitchEvent
+   * @property {NodeManager.Node} [from] - the node the wallet was using, undefined for the first switch
+   * @property {NodeManager.Node} to - the node the wallet is now using
+   */
+
+  /**
+   * Switch event, emitted once the wallet is confirmed to be using a new node
+   * @event NodeManager#switch
+   * @type {NodeManager.SwitchEvent}
+   */
+
+  /**
+   * Stalled event, emitted when the block count of the current node has not advanced within the stall timeout
+   * @event NodeManager#stalled
+   * @type {NodeManager.Node}
+   */
+
+  /**
+   * Error event, emitted when checking the wallet or switching to a candidate fails.
+   * @event NodeManager#error
+   * @type {Error}
+   */
+
+  /**
+   * The node the wallet is currently using
+   * @type {NodeManager.Node|undefined}
+   */
+  get current () {
+    return this.nodes[this.index]
+  }
+
+  /**
+   * Checks the wallet status once and moves to the next node if the current one has stalled
+   * @async
+   * @returns {Promise} resolves once checked else rejects with error
+   */
+  async poll () {
+    if (!this.current) return this.next()
+
+    const status = await this.wallet.status()
+
+    if (status.localDaemonBlockCount > this.lastHeight) {
+      this.lastHeight = status.localDaemonBlockCount
+      this.lastAdvanced = Date.now()
+    } else if (Date.now() - this.lastAdvanced >= this.stallTimeout) {
+      this.emit('stalled', this.current)
+
+      return this.next()
+    }
+  }
+
+  /**
+   * Moves the wallet to the next candidate that it can connect to, wrapping around to the start of the list
+   * @async
+   * @returns {Promise<NodeManager.Node>} resolves with the new node else rejects with error if no candidate could be reached
+   */
+  async next () {
+    const from = this.current
+
+    for (var i = 1; i <= this.nodes.length; i++) {
+      const index = (this.index + i) % this.nodes.length
+      const node = this.nodes[index]
+
+      /* Moving to the node we are already on would not help */
+      if (from && index === this.index && this.nodes.length !== 1) continue
+
+      try {
+        await this.wallet.setNode(node.host, node.port, node.ssl, { timeout: this.switchTimeout })
+      } catch (error) {
+        this._error(error)
+
+        continue
+      }
+
+      const status = await this.wallet.status()
+
+      this.index = index
+      this.lastHeight = status.localDaemonBlockCount
+      this.lastAdvanced = Date.now()
+      this.emit('switch', { from, to: node })
+
+      return node
+    }
+
+    throw new Error('None of the candidate nodes could be reached')
+  }
+}
+
+function parseNode (node) {
+  if (typeof node !== 'string') return { host: node.host, port: node.port, ssl: node.ssl || false }
+
+  const idx = node.lastIndexOf(':')
+  if (idx === -1) return { host: node, port: 12898, ssl: false }
+
+  return {
+    host: node.substring(0, idx),
+    port: parseInt(node.substring(idx + 1)),
+    ssl: false
+  }
+}
+
+module.exports = NodeManager
@@ -0,0 +1,463 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global BigInt */
+
+const crypto = require('crypto')
+const Errors = require('./errors')
+const EventEmitter = require('events').EventEmitter
+const MemoryStore = require('./memory-store')
+
+/**
+ * Pays out queued amounts in as few transactions as the wallet allows.
+ * Destinations are grouped into transactions of a limited size, which are
+ * split further when the wallet reports that they are too large, and the
+ * wallet is fused when even a single payout does not fit. Transactions are
+ * prepared and recorded before they are relayed, so that a payout queue
+ * that is resumed after a crash can tell which payouts were sent. Supply a
+ * daemon to have it asked about such transactions too, as a wallet that was
+ * restarted only knows of them once it has synced past them.
+ * @module PayoutQueue
+ * @class
+ * @extends EventEmitter
+ */
+class PayoutQueue extends EventEmitter {
+  /**
+   * Initializes a new PayoutQueue object
+   * @constructor
+   * @param {WalletAPI} wallet - the wallet to pay from
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.maxDestinations=20] - the most destinations to put in a single transaction
+   * @param {number} [opts.mixin] - the number of mixins to use
+   * @param {number|string|BigInt} [opts.fee] - the human readable transaction fee (or BigInt atomic fee)
+   * @param {string[]} [opts.sourceAddresses] - the addresses to pay from, which are also the addresses that are fused
+   * @param {string} [opts.changeAddress] - the address to send change to
+   * @param {Object} [opts.store] - the store used to persist the queue across restarts, an object with load() and save(state) methods (see {@link MemoryStore})
+   * @param {MONCoind} [opts.daemon] - the daemon to look up the transactions that were prepared before a restart on
+   */
+  constructor (wallet, opts) {
+    super()
+    opts = opts || {}
+
+    if (!wallet) throw new Error('Must supply a wallet')
+
+    this.wallet = wallet
+    this.maxDestinations = opts.maxDestinations || 20
+    this.mixin = opts.mixin
+    this.fee = opts.fee
+    this.sourceAddresses = opts.sourceAddresses || []
+    this.changeAddress = opts.changeAddress
+    this.store = opts.store || new MemoryStore()
+    this.daemon = opts.daemon
+  }
+
+  /**
+   * Payout
+   * @memberof PayoutQueue
+   * @typedef {Object} Payout
+   * @property {string} id - the payout ID
+   * @property {string} address - the address of the recipient
+   * @property {string} amount - the atomic amount to send to the recipient
+   * @property {string} [paymentId] - the payment ID to include with the transaction
+   * @property {string} status - 'queued', 'prepared' while its transaction is being relayed, 'sent' or 'failed'
+   * @property {string} [transactionHash] - the hash of the transaction that pays it
+   * @property {number} [height] - the network block count when its transaction was prepared
+   * @property {string} [error] - why the payout failed
+   */
+
+  /**
+   * Payout Transaction
+   * @memberof PayoutQueue
+   * @typedef {Object} PayoutTransaction
+   * @property {string} transactionHash - the transaction hash
+   * @property {string|BigInt|number} [fee] - the network fee of the transaction, unknown for transactions recovered after a restart
+   * @property {string[]} payouts - the IDs of the payouts in the transaction
+   */
+
+  /**
+   * Processing Result
+   * @memberof PayoutQueue
+   * @typedef {Object} ProcessResult
+   * @property {PayoutQueue.PayoutTransaction[]} transactions - the transactions sent
+   * @property {string[]} fusions - the hashes of the fusion transactions that are not confirmed yet, and hold back the remaining payouts
+   * @property {number} remaining - how many payouts are still queued, or prepared in a transaction that can not be settled yet
+   */
+
+  /**
+   * Sent event, emitted when a payout transaction is relayed
+   * @event PayoutQueue#sent
+   * @type {PayoutQueue.PayoutTransaction}
+   */
+
+  /**
+   * Fusion event, emitted with the transaction hash when the wallet is fused to make room for a payout
+   * @event PayoutQueue#fusion
+   * @type {string}
+   */
+
+  /**
+   * Failed event, emitted when a payout can not be sent even after fusing the wallet
+   * @event PayoutQueue#failed
+   * @type {PayoutQueue.Payout}
+   */
+
+  /**
+   * Adds payouts to the queue. Payouts with an ID that is already queued or paid are ignored, so
+   * adding the same payouts again after a restart does not pay anyone twice.
+   * @async
+   * @param {Object[]} payouts - the payouts
+   * @param {string} [payouts[].id] - the payout ID, a random one is generated if not supplied
+   * @param {string} payouts[].address - the address of the recipient
+   * @param {number|string|BigInt} payouts[].amount - the atomic amount to send to the recipient
+   * @param {string} [payouts[].paymentId] - the payment ID to include with the transaction
+   * @returns {Promise<PayoutQueue.Payout[]>} resolves with the payouts as queued else rejects with error
+   */
+  async add (payouts) {
+    if (!Array.isArray(payouts)) throw new Error('Must supply an array of payouts')
+
+    for (var i = 0; i < payouts.length; i++) {
+      if (!payouts[i].address) throw new Error('Must supply a wallet address in payout object')
+      if (!/^[0-9]+$/.test(String(payouts[i].amount)) || String(payouts[i].amount) === '0') throw new Error('Must supply a positive atomic amount in payout object')
+    }
+
+    const state = await this._load()
+    const known = new Map(state.payouts.map(payout => [payout.id, payout]))
+
+    const result = payouts.map(payout => {
+      const id = (typeof payout.id !== 'undefined') ? String(payout.id) : crypto.randomBytes(16).toString('hex')
+
+      if (!known.has(id)) {
+        const queued = { id, address: payout.address, amount: String(payout.amount), status: 'queued' }
+        if (payout.paymentId) queued.paymentId = payout.paymentId
+
+        known.set(id, queued)
+        state.payouts.push(queued)
+      }
+
+      return Object.assign({}, known.get(id))
+    })
+
+    await this.store.save(state)
+
+    return result
+  }
+
+  /**
+   * Looks up a payout
+   * @async
+   * @param {string} id - the payout ID
+   * @returns {Promise<PayoutQueue.Payout|undefined>} resolves with the payout or undefined if there is no such payout
+   */
+  async payout (id) {
+    const state = await this._load()
+    const payout = state.payouts.filter(payout => payout.id === String(id))[0]
+
+    return (payout) ? Object.assign({}, payout) : undefined
+  }
+
+  /**
+   * Sends the queued payouts. Calls made while the queue is already being processed wait for that run instead.
+   * @async
+   * @returns {Promise<PayoutQueue.ProcessResult>} resolves once the queue has been worked through else rejects with error
+   */
+  process () {
+    if (!this.processing) {
+      this.processing = this._process()
+        .then(result => {
+          delete this.processing
+
+          return result
+        }, error => {
+          delete this.processing
+
+          throw error
+        })
+    }
+
+    return this.processing
+  }
+
+  /**
+   * Works through the queue
+   * @async
+   * @private
+   * @returns {Promise<PayoutQueue.ProcessResult>} resolves once the queue has been worked through else rejects with error
+   */
+  async _process () {
+    const state = await this._load()
+    const result = { transactions: [], fusions: [], remaining: 0 }
+
+    await this._recover(state, result)
+
+    /* Fusing locks the funds involved until the fusion transaction is in a block */
+    if (state.fusions.length !== 0) {
+      const unconfirmed = await this.wallet.unconfirmedTransactions()
+      const pending = new Set(unconfirmed.map(transaction => transaction.hash))
+
+      state.fusions = state.fusions.filter(hash => pending.has(hash))
+      await this.store.save(state)
+    }
+
+    const batches = (state.fusions.length === 0) ? this._batches(state) : []
+    const height = (batches.length !== 0) ? (await this.wallet.status()).networkBlockCount : undefined
+
+    while (batches.length !== 0) {
+      const batch = batches.shift()
+      var prepared
+
+      try {
+        prepared = await this.wallet.prepareAdvanced(
+          batch.map(payout => ({ address: payout.address, amount: atomic(payout.amount) })),
+          this.mixin, this.fee, this.sourceAddresses, batch[0].paymentId, this.changeAddress)
+      } catch (error) {
+        if (!isTooLarge(error)) throw error
+
+        if (batch.length > 1) {
+          const half = Math.ceil(batch.length / 2)
+          batches.unshift(batch.slice(0, half), batch.slice(half))
+          continue
+        }
+
+        const fusionHash = await this._fuse(state, batch[0], error)
+        if (fusionHash) break
+
+        continue
+      }
+
+      batch.forEach(payout => {
+        payout.status = 'prepared'
+        payout.transactionHash = prepared.transactionHash
+        payout.height = height
+      })
+      await this.store.save(state)
+
+      try {
+        await this.wallet.sendPrepared(prepared.transactionHash)
+      } catch (error) {
+        /* The wallet refused to relay it, anything else may or may not have been relayed */
+        if (error instanceof Errors.BadRequestError || error instanceof Errors.NotFoundError) {
+          requeue(batch)
+          await this.store.save(state)
+        }
+
+        throw error
+      }
+
+      this._sent(batch, prepared.transactionHash, prepared.fee, result)
+      await this.store.save(state)
+    }
+
+    result.fusions = state.fusions.slice()
+    result.remaining = state.payouts.filter(payout => payout.status === 'queued' || payout.status === 'prepared').length
+
+    return result
+  }
+
+  /**
+   * Settles the transactions that were prepared but not known to be relayed when the queue was last stopped.
+   * A transaction that neither the wallet nor the daemon knows of is only queued again once the wallet has
+   * synced past the height it was prepared at, as a wallet that was restarted does not know of the transactions
+   * it sent before then. Until that happens the payouts stay prepared and are checked again on the next run.
+   * @async
+   * @private
+   * @param {Object} state - the queue state
+   * @param {PayoutQueue.ProcessResult} result - the result of the current run
+   * @returns {Promise} resolves once every prepared transaction that can be settled is known to be sent or has been queued again
+   */
+  async _recover (state, result) {
+    const hashes = Array.from(new Set(state.payouts.filter(payout => payout.status === 'prepared').map(payout => payout.transactionHash)))
+    var status
+
+    for (var i = 0; i < hashes.length; i++) {
+      const batch = state.payouts.filter(payout => payout.status === 'prepared' && payout.transactionHash === hashes[i])
+      var sent = await this._relayed(hashes[i])
+
+      /* A prepared transaction survives for as long as the wallet stays open */
+      if (!sent) {
+        try {
+          await this.wallet.sendPrepared(hashes[i])
+          sent = true
+        } catch (error) {
+          if (!isUnknown(error)) throw error
+        }
+      }
+
+      if (sent) {
+        this._sent(batch, hashes[i], undefined, result)
+      } else {
+        status = status || await this.wallet.status()
+
+        if (!isSyncedPast(status, batch[0].height)) continue
+
+        requeue(batch)
+      }
+
+      await this.store.save(state)
+    }
+  }
+
+  /**
+   * Checks whether the wallet, or the daemon if one was supplied, knows of a transaction
+   * @async
+   * @private
+   * @param {string} hash - the transaction hash
+   * @returns {Promise<boolean>} resolves with whether the transaction was relayed
+   */
+  async _relayed (hash) {
+    try {
+      await this.wallet.transactionByHash(hash)
+
+      return true
+    } catch (error) {
+      if (!isUnknown(error)) throw error
+    }
+
+    if (!this.daemon) return false
+
+    const response = await this.daemon.transactionsStatus([hash])
+
+    return response.transactionsUnknown.indexOf(hash) === -1
+  }
+
+  /**
+   * Sends a fusion transaction to make room for a payout that does not fit in a transaction of its own
+   * @async
+   * @private
+   * @param {Object} state - the queue state
+   * @param {PayoutQueue.Payout} payout - the payout
+   * @param {Error} cause - the error the wallet gave for the payout
+   * @returns {Promise<string|undefined>} resolves with the fusion transaction hash, or undefined if the wallet could not be fused any further
+   */
+  async _fuse (state, payout, cause) {
+    var hash
+
+    try {
+      hash = (this.sourceAddresses.length !== 0)
+        ? await this.wallet.sendFusionAdvanced(this.changeAddress || this.sourceAddresses[0], this.mixin, this.sourceAddresses)
+        : await this.wallet.sendFusionBasic()
+    } catch (error) {
+      if (!isOptimized(error)) throw error
+
+      payout.status = 'failed'
+      payout.error = cause.message
+      await this.store.save(state)
+
+      this.emit('failed', Object.assign({}, payout))
+
+      return undefined
+    }
+
+    state.fusions.push(hash)
+    await this.store.save(state)
+
+    this.emit('fusion', hash)
+
+    return hash
+  }
+
+  /**
+   * Records the payouts of a relayed transaction as sent
+   * @private
+   * @param {PayoutQueue.Payout[]} batch - the payouts in the transaction
+   * @param {string} transactionHash - the transaction hash
+   * @param {string|BigInt|number} [fee] - the network fee of the transaction
+   * @param {PayoutQueue.ProcessResult} result - the result of the current run
+   */
+  _sent (batch, transactionHash, fee, result) {
+    batch.forEach(payout => {
+      payout.status = 'sent'
+      payout.transactionHash = transactionHash
+    })
+
+    const transaction = { transactionHash, payouts: batch.map(payout => payout.id) }
+    if (typeof fee !== 'undefined') transaction.fee = fee
+
+    result.transactions.push(transaction)
+    this.emit('sent', transaction)
+  }
+
+  /**
+   * Groups the queued payouts into transactions, keeping payouts with different payment IDs apart
+   * @private
+   * @param {Object} state - the queue state
+   * @returns {PayoutQueue.Payout[][]} the batches
+   */
+  _batches (state) {
+    const groups = new Map()
+
+    state.payouts.filter(payout => payout.status === 'queued').forEach(payout => {
+      const paymentId = payout.paymentId || ''
+
+      if (!groups.has(paymentId)) groups.set(paymentId, [])
+      groups.get(paymentId).push(payout)
+    })
+
+    const batches = []
+
+    groups.forEach(payouts => {
+      for (var i = 0; i < payouts.length; i += this.maxDestinations) batches.push(payouts.slice(i, i + this.maxDestinations))
+    })
+
+    return batches
+  }
+
+  /**
+   * Loads the state from the store the first time it is needed
+   * @private
+   * @returns {Promise<Object>} resolves with the state
+   */
+  _load () {
+    if (!this.loading) {
+      this.loading = this.store.load()
+        .then(state => { return state || { payouts: [], fusions: [] } })
+        .catch(error => {
+          delete this.loading
+
+          throw error
+        })
+    }
+
+    return this.loading
+  }
+}
+
+function atomic (amount) {
+  if (Number.isSafeInteger(Number(amount))) return Number(amount)
+  if (typeof BigInt === 'undefined') throw new Error('Amount exceeds the safe integer range')
+
+  return BigInt(amount)
+}
+
+function isOptimized (error) {
+  if (!(error instanceof Errors.BadRequestError)) return false
+  if (typeof error.errorCode !== 'undefined') return error.errorCode === Errors.WalletErrorCode.FULLY_OPTIMIZED
+
+  return /fully optimized/i.test(error.message)
+}
+
+function isTooLarge (error) {
+  if (!(error instanceof Errors.BadRequestError)) return false
+
+  return error.errorCode === Errors.WalletErrorCode.TOO_MANY_INPUTS_TO_FIT_IN_BLOCK || /too large|too many/i.test(error.message)
+}
+
+function isSyncedPast (status, height) {
+  return status.walletBlockCount >= status.networkBlockCount && status.walletBlockCount > (height || 0)
+}
+
+function isUnknown (error) {
+  return error instanceof Errors.NotFoundError || error instanceof Errors.BadRequestError
+}
+
+function requeue (batch) {
+  batch.forEach(payout => {
+    payout.status = 'queued'
+    delete payout.transactionHash
+    delete payout.height
+  })
+}
+
+module.exports = PayoutQueue
@@ -0,0 +1,124 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * The base of the watchers, trackers and monitors that poll on an interval.
+ * Subclasses implement poll() and set the interval. Polls never overlap, and
+ * errors thrown by poll() are emitted as error events, or discarded if there
+ * is no listener. The failures field counts the polls in a row that failed.
+ * @module Poller
+ * @class
+ * @extends EventEmitter
+ */
+class Poller extends EventEmitter {
+  /**
+   * Initializes a new Poller object
+   * @constructor
+   */
+  constructor () {
+    super()
+
+    this.running = false
+    this.polling = false
+    this.failures = 0
+  }
+
+  /**
+   * Starts polling, beginning straight away
+   * @returns {Poller} the poller
+   */
+  start () {
+    if (this.running) return this
+
+    this.running = true
+
+    /* A poll still in flight from before we were stopped schedules the next one itself */
+    if (!this.polling) this._schedule(0)
+
+    return this
+  }
+
+  /**
+   * Stops polling
+   * @returns {Poller} the poller
+   */
+  stop () {
+    this.running = false
+
+    if (this.timer) {
+      clearTimeout(this.timer)
+      delete this.timer
+    }
+
+    return this
+  }
+
+  /**
+   * Polls once
+   * @abstract
+   * @async
+   * @returns {Promise} resolves once done else rejects with error
+   */
+  poll () {
+    return Promise.resolve()
+  }
+
+  /**
+   * Reports an error encountered outside of poll(), handling it as if poll() had thrown it
+   * @param {Error} error - the error
+   */
+  report (error) {
+    this._error(error)
+  }
+
+  /**
+   * Whether to keep polling after a poll, for subclasses that finish on their own
+   * @private
+   * @returns {boolean} true to schedule the next poll
+   */
+  _continue () {
+    return true
+  }
+
+  /**
+   * Emits the error if anyone is listening for errors
+   * @private
+   * @param {Error} error - the error
+   */
+  _error (error) {
+    if (this.listenerCount('error') !== 0) this.emit('error', error)
+  }
+
+  /**
+   * Schedules the next poll, unless one is scheduled already
+   * @private
+   * @param {number} delay - the delay in milliseconds
+   */
+  _schedule (delay) {
+    if (this.timer) return
+
+    this.timer = setTimeout(() => {
+      delete this.timer
+      this.polling = true
+
+      this.poll()
+        .then(() => {
+          this.failures = 0
+        }, error => {
+          this.failures++
+          this._error(error)
+        })
+        .then(() => {
+          this.polling = false
+          if (this.running && this._continue()) this._schedule(this.interval)
+        })
+    }, delay)
+  }
+}
+
+module.exports = Poller
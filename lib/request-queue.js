@@ -0,0 +1,100 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Limits how many requests run at once and how often they start. Waiting
+ * requests are started highest priority first, and in the order they were
+ * queued within the same priority.
+ * @module RequestQueue
+ * @class
+ */
+class RequestQueue {
+  /**
+   * Initializes a new RequestQueue object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.maxConcurrent=Infinity] - the maximum number of requests in flight at once
+   * @param {number} [opts.requestsPerSecond=Infinity] - the maximum number of requests started per second, spread evenly
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.maxConcurrent = opts.maxConcurrent || Infinity
+    this.requestsPerSecond = opts.requestsPerSecond || Infinity
+    this.running = 0
+    this.pending = []
+    this.lastStart = 0
+
+    if (!(this.maxConcurrent > 0)) throw new Error('maxConcurrent must be greater than zero')
+    if (!(this.requestsPerSecond > 0)) throw new Error('requestsPerSecond must be greater than zero')
+  }
+
+  /**
+   * The number of requests waiting to start
+   * @type {number}
+   */
+  get size () {
+    return this.pending.length
+  }
+
+  /**
+   * Runs the task once the limits allow it
+   * @async
+   * @param {function(): Promise} task - the task to run
+   * @param {number} [priority=0] - the priority of the task, higher priorities start first
+   * @returns {Promise} resolves or rejects as the task does
+   */
+  schedule (task, priority) {
+    priority = priority || 0
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, priority, resolve, reject }
+
+      /* Insert after every entry of the same or a higher priority,
+         scanning from the back as most entries share a priority */
+      var index = this.pending.length
+      while (index > 0 && this.pending[index - 1].priority < priority) index--
+
+      this.pending.splice(index, 0, entry)
+      this._next()
+    })
+  }
+
+  /**
+   * Starts as many waiting requests as the limits allow
+   * @private
+   */
+  _next () {
+    if (this.timer) return
+
+    while (this.pending.length !== 0 && this.running < this.maxConcurrent) {
+      const wait = this.lastStart + (1000 / this.requestsPerSecond) - Date.now()
+
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          delete this.timer
+          this._next()
+        }, wait)
+
+        return
+      }
+
+      const entry = this.pending.shift()
+
+      this.running++
+      this.lastStart = Date.now()
+
+      Promise.resolve()
+        .then(() => { return entry.task() })
+        .then(entry.resolve, entry.reject)
+        .then(() => {
+          this.running--
+          this._next()
+        })
+    }
+  }
+}
+
+module.exports = RequestQueue
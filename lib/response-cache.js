@@ -0,0 +1,162 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const LruStore = require('./lru-store')
+
+/* How many entries are tracked for invalidation before the deepest are pruned */
+const PRUNE_THRESHOLD = 1000
+
+/**
+ * Caches daemon responses once the chain data they describe is buried deep
+ * enough that it is considered final
+ * @module ResponseCache
+ * @class
+ */
+class ResponseCache {
+  /**
+   * Initializes a new ResponseCache object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.minDepth=10] - how many blocks must be on top of a block before data about it is cached
+   * @param {number} [opts.maxEntries=1000] - the maximum number of entries kept by the default in-memory store
+   * @param {Object} [opts.store] - the store to keep entries in, an object with get(key), set(key, value) and delete(key) methods (see {@link LruStore})
+   * @param {number} [opts.maxReorgDepth=1000] - how far below the top of the chain entries are still tracked for invalidation
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.minDepth = (typeof opts.minDepth !== 'undefined') ? opts.minDepth : 10
+    this.store = opts.store || new LruStore({ maxEntries: opts.maxEntries })
+    this.maxReorgDepth = opts.maxReorgDepth || 1000
+    this.topHeight = undefined
+    this.heights = new Map()
+    this.pruneAt = PRUNE_THRESHOLD
+    this.hits = 0
+    this.misses = 0
+  }
+
+  /**
+   * Cache Statistics
+   * @memberof ResponseCache
+   * @typedef {Object} CacheStats
+   * @property {number} hits - how many lookups were answered from the cache
+   * @property {number} misses - how many lookups went to the daemon
+   * @property {number} hitRate - the fraction of lookups answered from the cache
+   */
+
+  /**
+   * The cache statistics
+   * @type {ResponseCache.CacheStats}
+   */
+  get stats () {
+    const lookups = this.hits + this.misses
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: (lookups !== 0) ? this.hits / lookups : 0
+    }
+  }
+
+  /**
+   * Records the height of the top block of the chain. Lower heights than previously seen are ignored.
+   * @param {number} height - the height of the top block
+   */
+  observe (height) {
+    if (typeof height !== 'number' || isNaN(height)) return
+    if (typeof this.topHeight === 'undefined' || height > this.topHeight) this.topHeight = height
+  }
+
+  /**
+   * Returns whether data about the block at the given height is final
+   * @param {number} height - the block height
+   * @returns {boolean} whether the block is deep enough
+   */
+  isFinal (height) {
+    if (typeof height !== 'number' || typeof this.topHeight === 'undefined') return false
+
+    return (this.topHeight - height >= this.minDepth)
+  }
+
+  /**
+   * Looks up an entry without fetching it or counting it in the statistics
+   * @async
+   * @param {string} key - the key of the entry
+   * @returns {Promise<*>} resolves with the response or undefined if it is not cached
+   */
+  peek (key) {
+    return Promise.resolve(this.store.get(key))
+  }
+
+  /**
+   * Answers from the cache, or fetches and caches the response if it is final
+   * @async
+   * @param {string} key - the key of the entry
+   * @param {function(): Promise} fetch - fetches the response from the daemon
+   * @param {function(*): Object|Promise<Object>} describe - returns { height, top } for a response: the height of the block it describes, and the top height of the chain if the response reveals it
+   * @returns {Promise<*>} resolves with the response
+   */
+  async fetch (key, fetch, describe) {
+    const cached = await this.store.get(key)
+
+    if (typeof cached !== 'undefined') {
+      this.hits++
+
+      return cached
+    }
+
+    this.misses++
+
+    const response = await fetch()
+    const description = await describe(response) || {}
+
+    this.observe(description.top)
+
+    if (this.isFinal(description.height)) {
+      await this.store.set(key, response)
+      this.heights.set(key, description.height)
+
+      if (this.heights.size >= this.pruneAt) this._prune()
+    }
+
+    return response
+  }
+
+  /**
+   * Removes every entry describing a block at or above the given height, used when the chain is reorganized
+   * @async
+   * @param {number} height - the lowest height that is no longer valid
+   * @returns {Promise} resolves once the entries have been removed
+   */
+  async invalidateFrom (height) {
+    const keys = Array.from(this.heights.keys()).filter(key => this.heights.get(key) >= height)
+
+    for (var i = 0; i < keys.length; i++) {
+      this.heights.delete(keys[i])
+      await this.store.delete(keys[i])
+    }
+
+    /* The top of the chain may now be lower than we last saw */
+    if (typeof this.topHeight !== 'undefined' && this.topHeight >= height) this.topHeight = height - 1
+  }
+
+  /**
+   * Stops tracking entries too deep to ever be invalidated so that the index does not grow without bound
+   * @private
+   */
+  _prune () {
+    const floor = this.topHeight - this.maxReorgDepth
+
+    this.heights.forEach((height, key) => {
+      if (height < floor) this.heights.delete(key)
+    })
+
+    /* Entries still within reach of a reorganization stay, so wait for as
+       many again to be added before the next pass */
+    this.pruneAt = Math.max(PRUNE_THRESHOLD, this.heights.size * 2)
+  }
+}
+
+module.exports = ResponseCache
@@ -0,0 +1,96 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Helpers = require('./helpers')
+
+/**
+ * @module RetryPolicy
+ * @class
+ */
+class RetryPolicy {
+  /**
+   * Initializes a new RetryPolicy object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.maxAttempts=3] - the maximum number of attempts (including the first) for a call
+   * @param {number} [opts.minDelay=100] - the delay in milliseconds before the first retry
+   * @param {number} [opts.maxDelay=5000] - the maximum delay in milliseconds between retries
+   * @param {number} [opts.factor=2] - the exponential backoff factor applied after every retry
+   * @param {number} [opts.jitter=0.5] - the fraction (0 to 1) of each delay that is randomized
+   * @param {number[]} [opts.retryableStatusCodes=[408, 429, 500, 502, 503, 504]] - the HTTP status codes that may be retried
+   * @param {string[]} [opts.retryableErrors] - the error codes (ie. ECONNRESET, ETIMEDOUT) that may be retried
+   * @param {boolean} [opts.retryNonIdempotent=false] - whether calls that are not idempotent (ie. sending transactions) may be retried
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.maxAttempts = (typeof opts.maxAttempts !== 'undefined') ? opts.maxAttempts : 3
+    this.minDelay = (typeof opts.minDelay !== 'undefined') ? opts.minDelay : 100
+    this.maxDelay = (typeof opts.maxDelay !== 'undefined') ? opts.maxDelay : 5000
+    this.factor = opts.factor || 2
+    this.jitter = (typeof opts.jitter !== 'undefined') ? opts.jitter : 0.5
+    this.retryableStatusCodes = opts.retryableStatusCodes || [408, 429, 500, 502, 503, 504]
+    this.retryableErrors = opts.retryableErrors || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+    this.retryNonIdempotent = opts.retryNonIdempotent || false
+
+    if (this.maxAttempts < 1) throw new Error('maxAttempts must be at least 1')
+    if (this.jitter < 0 || this.jitter > 1) throw new Error('jitter must be between 0 and 1')
+  }
+
+  /**
+   * Calculates how long to wait before the given retry attempt
+   * @param {number} attempt - the attempt that just failed, starting at 1
+   * @returns {number} the delay in milliseconds
+   */
+  delay (attempt) {
+    const base = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1))
+    const jitter = base * this.jitter * Math.random()
+
+    return Math.round(base - jitter)
+  }
+
+  /**
+   * Determines whether the supplied error may be retried
+   * @param {Error} error - the error that occurred
+   * @returns {boolean} whether the error is retryable
+   */
+  isRetryable (error) {
+    if (!error) return false
+    if (error.statusCode) return (this.retryableStatusCodes.indexOf(error.statusCode) !== -1)
+    if (error.code) return (this.retryableErrors.indexOf(error.code) !== -1)
+
+    return false
+  }
+
+  /**
+   * Executes the supplied function, retrying it according to the policy
+   * @async
+   * @param {function(number): Promise} fn - the function to execute, it receives the attempt number
+   * @param {boolean} [idempotent=true] - whether the call is safe to repeat
+   * @returns {Promise} resolves with the result of the function or rejects with the last error
+   */
+  execute (fn, idempotent) {
+    idempotent = (typeof idempotent !== 'undefined') ? idempotent : true
+    const maxAttempts = (idempotent || this.retryNonIdempotent) ? this.maxAttempts : 1
+
+    const attempt = (number) => {
+      return Promise.resolve()
+        .then(() => { return fn(number) })
+        .catch(error => {
+          if (number >= maxAttempts || !this.isRetryable(error)) {
+            error.attempts = number
+            throw error
+          }
+
+          return Helpers.sleep(this.delay(number))
+            .then(() => { return attempt(number + 1) })
+        })
+    }
+
+    return attempt(1)
+  }
+}
+
+module.exports = RetryPolicy
@@ -0,0 +1,254 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+const Helpers = require('./helpers')
+
+/**
+ * Collects daemon JSON-RPC calls and sends them as JSON-RPC batch requests.
+ * Daemons that do not support batching are sent the calls individually
+ * instead, a limited number at a time.
+ * @module RpcBatch
+ * @class
+ */
+class RpcBatch {
+  /**
+   * Initializes a new RpcBatch object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to send the calls to
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.batchSize=100] - the maximum number of calls in a single batch request
+   * @param {number} [opts.concurrency=4] - the maximum number of requests in flight at once
+   */
+  constructor (daemon, opts) {
+    opts = opts || {}
+
+    if (!daemon) throw new Error('Must supply a daemon')
+
+    this.daemon = daemon
+    this.batchSize = opts.batchSize || 100
+    this.concurrency = opts.concurrency || 4
+    this.calls = []
+
+    /* The daemon methods are called against this object so that their
+       argument checks and response handling are reused, while the
+       JSON-RPC call they make is captured rather than sent. The response
+       cache is bypassed as it would answer some calls asynchronously */
+    this.recorder = Object.create(daemon)
+    this.recorder.cache = undefined
+    this.recorder._post = (method, params) => {
+      const call = { method: method, params: params || {} }
+
+      call.response = new Promise((resolve, reject) => {
+        call.resolve = resolve
+        call.reject = reject
+      })
+
+      this.calls.push(call)
+
+      return call.response
+    }
+  }
+
+  /**
+   * Batch Result
+   * @memberof RpcBatch
+   * @typedef {Object} BatchResult
+   * @property {*} [result] - the result of the call, as the equivalent daemon method would resolve with
+   * @property {Error} [error] - the error of the call, as the equivalent daemon method would reject with
+   */
+
+  /**
+   * The number of calls in the batch
+   * @type {number}
+   */
+  get length () {
+    return this.calls.length
+  }
+
+  /**
+   * Adds a {@link MONCoind#block} call to the batch
+   * @param {string} hash - the hash of the block to retrieve
+   * @returns {RpcBatch} the batch
+   */
+  block (hash) {
+    return this._add('block', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#blockCount} call to the batch
+   * @returns {RpcBatch} the batch
+   */
+  blockCount () {
+    return this._add('blockCount', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#blockHeaderByHash} call to the batch
+   * @param {string} hash - the hash of the block
+   * @returns {RpcBatch} the batch
+   */
+  blockHeaderByHash (hash) {
+    return this._add('blockHeaderByHash', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#blockHeaderByHeight} call to the batch
+   * @param {number} height - the height of the block
+   * @returns {RpcBatch} the batch
+   */
+  blockHeaderByHeight (height) {
+    return this._add('blockHeaderByHeight', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#blockShortHeaders} call to the batch
+   * @param {number} height - the height to return the headers from
+   * @returns {RpcBatch} the batch
+   */
+  blockShortHeaders (height) {
+    return this._add('blockShortHeaders', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#lastBlockHeader} call to the batch
+   * @returns {RpcBatch} the batch
+   */
+  lastBlockHeader () {
+    return this._add('lastBlockHeader', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#transaction} call to the batch
+   * @param {string} hash - the hash of the transaction
+   * @param {Object} [opts] - additional options
+   * @param {boolean} [opts.parseExtra=false] - whether to add the parsed extra field to the transaction
+   * @returns {RpcBatch} the batch
+   */
+  transaction (hash, opts) {
+    return this._add('transaction', arguments)
+  }
+
+  /**
+   * Adds a {@link MONCoind#transactionPool} call to the batch
+   * @returns {RpcBatch} the batch
+   */
+  transactionPool () {
+    return this._add('transactionPool', arguments)
+  }
+
+  /**
+   * Sends every call in the batch. A failed call does not fail the batch, its error is returned in its place instead.
+   * @async
+   * @returns {Promise<RpcBatch.BatchResult[]>} resolves with the results in the order the calls were added
+   */
+  async execute () {
+    const calls = this.calls
+    this.calls = []
+
+    if (calls.length === 0) return []
+
+    const results = Promise.all(calls.map(call => {
+      return call.promise.then(result => ({ result }), error => ({ error }))
+    }))
+
+    var pending = calls
+
+    /* Find out whether the daemon supports batches with the first chunk
+       so that a fallback does not multiply the number of requests in flight */
+    if (typeof this.daemon._batchSupported() === 'undefined') {
+      await this._sendBatch(pending.slice(0, this.batchSize))
+      pending = pending.slice(this.batchSize)
+    }
+
+    if (this.daemon._batchSupported() === false) {
+      await this._sendEach(pending)
+    } else {
+      const chunks = []
+      for (var i = 0; i < pending.length; i += this.batchSize) chunks.push(pending.slice(i, i + this.batchSize))
+
+      await Helpers.mapLimit(chunks, this.concurrency, chunk => this._sendBatch(chunk))
+    }
+
+    return results
+  }
+
+  /**
+   * Records a call of the given daemon method
+   * @private
+   * @param {string} name - the daemon method name
+   * @param {Arguments} args - the arguments of the call
+   * @returns {RpcBatch} the batch
+   */
+  _add (name, args) {
+    const promise = this.daemon[name].apply(this.recorder, args)
+
+    this.calls[this.calls.length - 1].promise = promise
+
+    return this
+  }
+
+  /**
+   * Sends a chunk of calls as a single batch request, falling back to
+   * individual requests if the daemon does not support batching
+   * @private
+   * @async
+   * @param {Object[]} calls - the calls
+   * @returns {Promise} resolves once every call has settled
+   */
+  async _sendBatch (calls) {
+    if (this.daemon._batchSupported() === false || calls.length === 1) return this._sendEach(calls)
+
+    const body = calls.map((call, index) => ({ jsonrpc: '2.0', id: index, method: call.method, params: call.params }))
+    var responses
+
+    try {
+      responses = await this.daemon._rawBatch(body)
+    } catch (error) {
+      return calls.forEach(call => call.reject(error))
+    }
+
+    /* The node the request went to does not support batching */
+    if (!responses) return this._sendEach(calls)
+
+    const byId = new Map()
+    responses.forEach(response => { if (response) byId.set(response.id, response) })
+
+    calls.forEach((call, index) => {
+      const response = byId.get(index)
+
+      if (!response) {
+        return call.reject(new Errors.JsonRpcError('The batch response did not include this call', {
+          endpoint: '/json_rpc',
+          method: 'POST',
+          rpcMethod: call.method
+        }))
+      }
+
+      try {
+        call.resolve(this.daemon._rpcResult(call.method, response))
+      } catch (error) {
+        call.reject(error)
+      }
+    })
+  }
+
+  /**
+   * Sends calls individually, a limited number at a time
+   * @private
+   * @async
+   * @param {Object[]} calls - the calls
+   * @returns {Promise} resolves once every call has settled
+   */
+  _sendEach (calls) {
+    return Helpers.mapLimit(calls, this.concurrency, call => {
+      return this.daemon._post(call.method, call.params)
+        .then(call.resolve, call.reject)
+    })
+  }
+}
+
+module.exports = RpcBatch
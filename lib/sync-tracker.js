@@ -0,0 +1,164 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+const Tracker = require('./tracker')
+
+/* How many of the most recent status checks the scan speed is measured over */
+const SPEED_SAMPLES = 10
+
+/**
+ * Follows the wallet as it scans the chain until it has caught up with the network
+ * @module SyncTracker
+ * @class
+ * @extends Tracker
+ */
+class SyncTracker extends Tracker {
+  /**
+   * Initializes a new SyncTracker object
+   * @constructor
+   * @param {WalletAPI} wallet - the wallet to follow
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.tolerance=0] - how many blocks the wallet may be behind the network and still be considered synced
+   * @param {number} [opts.timeout=0] - how long, in milliseconds, to wait before giving up, 0 waits forever
+   * @param {number} [opts.interval=5000] - how often, in milliseconds, to check the status of the wallet
+   * @param {number} [opts.maxErrors=10] - how many checks in a row may fail with an error that can be retried, ie. the wallet can not be reached, before giving up, 0 never gives up
+   */
+  constructor (wallet, opts) {
+    opts = opts || {}
+    super(opts)
+
+    if (!wallet) throw new Error('Must supply a wallet')
+
+    this.wallet = wallet
+    this.tolerance = opts.tolerance || 0
+    this.interval = opts.interval || 5000
+    this.settled = false
+    this.samples = []
+
+    this._wait(new Promise((resolve, reject) => {
+      this.resolve = resolve
+      this.reject = reject
+    }))
+  }
+
+  /**
+   * Sync Progress
+   * @memberof SyncTracker
+   * @typedef {Object} SyncProgress
+   * @property {number} walletBlockCount - how many blocks the wallet has scanned
+   * @property {number} localDaemonBlockCount - how many blocks the node of the wallet has
+   * @property {number} networkBlockCount - how many blocks the network has
+   * @property {number} percentage - how much of the chain the wallet has scanned, from 0 to 100 with two decimal places
+   * @property {number} blocksPerSecond - how fast the wallet has been scanning recently
+   * @property {number} [eta] - how many seconds the wallet is expected to take to catch up, undefined while the speed is unknown
+   * @property {boolean} synced - whether the wallet is within the tolerance of the network
+   */
+
+  /**
+   * Progress event, emitted after every check of the wallet
+   * @event SyncTracker#progress
+   * @type {SyncTracker.SyncProgress}
+   */
+
+  /**
+   * Synced event, emitted once the wallet has caught up with the network
+   * @event SyncTracker#synced
+   * @type {SyncTracker.SyncProgress}
+   */
+
+  /**
+   * Error event, emitted when checking the wallet fails. The wait is rejected
+   * with the error straight away if it can not be retried, or once maxErrors
+   * checks in a row have failed.
+   * @event SyncTracker#error
+   * @type {Error}
+   */
+
+  /**
+   * Starts following the wallet
+   * @returns {SyncTracker} the tracker
+   */
+  start () {
+    if (this.settled) return this
+
+    return super.start()
+  }
+
+  /**
+   * Checks the status of the wallet once
+   * @async
+   * @returns {Promise<SyncTracker.SyncProgress>} resolves with the progress of the wallet else rejects with error
+   */
+  async poll () {
+    const status = await this.wallet.status()
+    const now = Date.now()
+
+    /* The wallet went back, ie. it was reset, so earlier samples say nothing about its speed */
+    if (this.samples.length !== 0 && status.walletBlockCount < this.samples[this.samples.length - 1].height) this.samples = []
+
+    this.samples.push({ time: now, height: status.walletBlockCount })
+    if (this.samples.length > SPEED_SAMPLES) this.samples.shift()
+
+    const first = this.samples[0]
+    const seconds = (now - first.time) / 1000
+    const blocksPerSecond = (seconds > 0) ? (status.walletBlockCount - first.height) / seconds : 0
+    const remaining = Math.max(0, status.networkBlockCount - status.walletBlockCount)
+
+    const progress = {
+      walletBlockCount: status.walletBlockCount,
+      localDaemonBlockCount: status.localDaemonBlockCount,
+      networkBlockCount: status.networkBlockCount,
+      percentage: (status.networkBlockCount > 0) ? Math.floor(Math.min(1, status.walletBlockCount / status.networkBlockCount) * 10000) / 100 : 0,
+      blocksPerSecond: Math.round(blocksPerSecond * 100) / 100,
+      eta: (remaining === 0) ? 0 : (blocksPerSecond > 0) ? Math.ceil(remaining / blocksPerSecond) : undefined,
+      synced: (status.networkBlockCount > 0 && remaining <= this.tolerance)
+    }
+
+    /* The wait may have been given up on while the wallet was answering */
+    if (this.settled) return progress
+
+    this.emit('progress', progress)
+
+    if (progress.synced) {
+      this._settle()
+      this.emit('synced', progress)
+      this.resolve(progress)
+    }
+
+    return progress
+  }
+
+  /**
+   * Rejects the wait once the deadline has passed
+   * @private
+   */
+  _expire () {
+    this._settle()
+    this.reject(new Errors.OperationTimeoutError('Timed out waiting for the wallet to sync'))
+  }
+
+  /**
+   * Rejects the wait with the error that made the tracker give up
+   * @private
+   * @param {Error} error - the error
+   */
+  _fail (error) {
+    this._settle()
+    this.reject(error)
+  }
+
+  /**
+   * Marks the wait as settled and stops following the wallet
+   * @private
+   */
+  _settle () {
+    this.settled = true
+    this.stop()
+  }
+}
+
+module.exports = SyncTracker
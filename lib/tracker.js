@@ -0,0 +1,125 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Poller = require('./poller')
+const RetryPolicy = require('./retry-policy')
+
+/* Only used to tell the errors that are worth polling again for from those that are not */
+const RETRY_POLICY = new RetryPolicy()
+
+/**
+ * The base of the pollers that can be awaited until what they follow is
+ * done. The wait is rejected once the deadline passes, straight away upon an
+ * error that can not be retried (ie. a bad API key), or once too many polls
+ * in a row have failed (ie. the host can not be reached).
+ * @module Tracker
+ * @class
+ * @extends Poller
+ */
+class Tracker extends Poller {
+  /**
+   * Initializes a new Tracker object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.timeout=0] - how long, in milliseconds, to wait before giving up, 0 waits forever
+   * @param {number} [opts.maxErrors=10] - how many polls in a row may fail with an error that can be retried before giving up, 0 never gives up
+   */
+  constructor (opts) {
+    super()
+    opts = opts || {}
+
+    this.timeout = opts.timeout || 0
+    this.maxErrors = (typeof opts.maxErrors !== 'undefined') ? opts.maxErrors : 10
+  }
+
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the wait
+   * @param {function} [onFulfilled] - called with the result once done
+   * @param {function} [onRejected] - called with the error if the wait fails
+   * @returns {Promise} a promise for the completion of whichever callback is executed
+   */
+  then (onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected)
+  }
+
+  /**
+   * Attaches a callback for the rejection of the wait
+   * @param {function} onRejected - called with the error if the wait fails
+   * @returns {Promise} a promise for the completion of the callback
+   */
+  catch (onRejected) {
+    return this.promise.catch(onRejected)
+  }
+
+  /**
+   * Starts polling and, if there is a timeout, the deadline
+   * @returns {Tracker} the tracker
+   */
+  start () {
+    if (this.running) return this
+
+    super.start()
+
+    if (this.timeout > 0) this.deadline = setTimeout(() => this._expire(), this.timeout)
+
+    return this
+  }
+
+  /**
+   * Stops polling and the deadline, the wait remains unsettled
+   * @returns {Tracker} the tracker
+   */
+  stop () {
+    super.stop()
+
+    if (this.deadline) {
+      clearTimeout(this.deadline)
+      delete this.deadline
+    }
+
+    return this
+  }
+
+  /**
+   * Sets the promise that the tracker can be awaited on
+   * @private
+   * @param {Promise} promise - the promise
+   */
+  _wait (promise) {
+    this.promise = promise
+
+    /* Avoid unhandled rejection warnings for callers that only listen to events */
+    this.promise.catch(() => {})
+  }
+
+  /**
+   * Emits the error, and gives up if polling again will not help
+   * @private
+   * @param {Error} error - the error
+   */
+  _error (error) {
+    super._error(error)
+
+    if (!RETRY_POLICY.isRetryable(error) || (this.maxErrors > 0 && this.failures >= this.maxErrors)) this._fail(error)
+  }
+
+  /**
+   * Rejects the wait once the deadline has passed
+   * @abstract
+   * @private
+   */
+  _expire () {}
+
+  /**
+   * Rejects the wait with the error that made the tracker give up
+   * @abstract
+   * @private
+   * @param {Error} error - the error
+   */
+  _fail () {}
+}
+
+module.exports = Tracker
@@ -0,0 +1,152 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* Transaction extra tags */
+const TAG_PADDING = 0x00
+const TAG_PUBKEY = 0x01
+const TAG_NONCE = 0x02
+const TAG_MERGED_MINING = 0x03
+const TAG_ADDITIONAL_PUBKEYS = 0x04
+
+/* Transaction extra nonce tags */
+const NONCE_PAYMENT_ID = 0x00
+const NONCE_ENCRYPTED_PAYMENT_ID = 0x01
+
+/**
+ * Merged Mining Tag
+ * @memberof TransactionExtra
+ * @typedef {Object} MergedMiningTag
+ * @property {number} depth - the depth of the merged mining merkle tree
+ * @property {string} merkleRoot - the merged mining merkle root
+ */
+
+/**
+ * Unknown Tag. The layout of a field we do not understand is unknown, so
+ * the data runs to the end of the extra field.
+ * @memberof TransactionExtra
+ * @typedef {Object} UnknownTag
+ * @property {number} tag - the tag
+ * @property {string} data - the data following the tag as hexadecimal
+ */
+
+/**
+ * Parsed Transaction Extra
+ * @memberof TransactionExtra
+ * @typedef {Object} ParsedExtra
+ * @property {string} [publicKey] - the transaction public key
+ * @property {string[]} additionalPublicKeys - the additional transaction public keys
+ * @property {string} [nonce] - the extra nonce as hexadecimal
+ * @property {string} [paymentId] - the payment ID found in the extra nonce
+ * @property {string} [encryptedPaymentId] - the encrypted payment ID found in the extra nonce
+ * @property {TransactionExtra.MergedMiningTag} [mergedMining] - the merged mining tag
+ * @property {number} [padding] - the number of padding bytes, including the tag
+ * @property {TransactionExtra.UnknownTag[]} unknown - the fields that could not be parsed
+ */
+
+/**
+ * Parses the extra field of a transaction. Malformed or unknown fields do not
+ * cause an error, they end parsing and are returned as unknown instead.
+ * @memberof TransactionExtra
+ * @param {string|Buffer|number[]} extra - the extra field as hexadecimal, a buffer or an array of bytes
+ * @returns {TransactionExtra.ParsedExtra} the parsed extra field
+ */
+function parse (extra) {
+  const buffer = (typeof extra === 'string') ? Buffer.from(extra, 'hex') : Buffer.from(extra || [])
+  const result = { additionalPublicKeys: [], unknown: [] }
+  var offset = 0
+
+  const read = length => {
+    if (offset + length > buffer.length) throw new RangeError('Unexpected end of extra')
+
+    const bytes = buffer.slice(offset, offset + length)
+    offset += length
+
+    return bytes
+  }
+
+  const readVarint = () => {
+    var value = 0
+    var multiplier = 1
+    var byte
+
+    do {
+      byte = read(1)[0]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+
+    return value
+  }
+
+  while (offset < buffer.length) {
+    const start = offset
+    const tag = buffer[offset++]
+
+    try {
+      switch (tag) {
+        case TAG_PADDING: {
+          /* Padding runs to the end of the extra field and must be all zeros */
+          const padding = read(buffer.length - offset)
+          if (padding.some(byte => byte !== 0)) throw new RangeError('Padding is not zero')
+
+          result.padding = padding.length + 1
+          break
+        }
+        case TAG_PUBKEY:
+          result.publicKey = read(32).toString('hex')
+          break
+        case TAG_NONCE: {
+          const nonce = read(read(1)[0])
+          result.nonce = nonce.toString('hex')
+
+          if (nonce.length === 33 && nonce[0] === NONCE_PAYMENT_ID) result.paymentId = nonce.toString('hex', 1)
+          if (nonce.length === 9 && nonce[0] === NONCE_ENCRYPTED_PAYMENT_ID) result.encryptedPaymentId = nonce.toString('hex', 1)
+          break
+        }
+        case TAG_MERGED_MINING: {
+          const size = readVarint()
+          const end = offset + size
+          const depth = readVarint()
+          const merkleRoot = read(32).toString('hex')
+
+          if (offset > end) throw new RangeError('Merged mining tag is larger than its size')
+
+          /* Newer versions of the tag may carry more data than we know of */
+          offset = end
+          if (offset > buffer.length) throw new RangeError('Unexpected end of extra')
+
+          result.mergedMining = { depth, merkleRoot }
+          break
+        }
+        case TAG_ADDITIONAL_PUBKEYS: {
+          const count = readVarint()
+          const keys = []
+
+          for (var i = 0; i < count; i++) keys.push(read(32).toString('hex'))
+
+          result.additionalPublicKeys = result.additionalPublicKeys.concat(keys)
+          break
+        }
+        default:
+          throw new RangeError('Unknown tag')
+      }
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error
+
+      result.unknown.push({ tag, data: buffer.toString('hex', start + 1) })
+      break
+    }
+  }
+
+  return result
+}
+
+/**
+ * @module TransactionExtra
+ */
+module.exports = {
+  parse
+}
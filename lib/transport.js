@@ -0,0 +1,205 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const adapters = require('./adapters')
+const Errors = require('./errors')
+const packageInfo = require('../package.json')
+const RequestQueue = require('./request-queue')
+const RetryPolicy = require('./retry-policy')
+const util = require('util')
+
+/* Placeholder used to emit BigInt values as raw JSON numbers */
+const BIGINT_MARKER = '__moncoin_rpc_bigint__'
+
+/**
+ * @module Transport
+ * @class
+ */
+class Transport {
+  /**
+   * Initializes a new Transport object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {string} [opts.host=127.0.0.1] - the address of the remote host
+   * @param {number} [opts.port] - the port number of the remote host
+   * @param {number} [opts.timeout=2000] - the timeout to use during requests
+   * @param {boolean} [opts.ssl=false] - whether the remote host uses SSL (HTTPS) or not
+   * @param {string} [opts.userAgent=moncoin-rpc/version] - the user agent string to use with requests
+   * @param {boolean} [opts.keepAlive=true] - whether the underying HTTP(s) connection should be kept alive and reused
+   * @param {Object} [opts.headers] - additional headers to send with every request
+   * @param {string|function} [opts.adapter=http] - the adapter to use: 'http', 'fetch', or a function accepting an {@link Adapters.AdapterRequest} and resolving with an {@link Adapters.AdapterResponse}
+   * @param {http.Agent} [opts.agent] - a custom agent to use with the http adapter
+   * @param {function} [opts.fetch] - a custom fetch implementation to use with the fetch adapter
+   * @param {Object|RetryPolicy|boolean} [opts.retry] - the retry policy (or its options) to apply to idempotent requests, or false to disable retries
+   * @param {boolean} [opts.bigIntegers=false] - whether integers in responses that exceed Number.MAX_SAFE_INTEGER should be returned as strings instead of losing precision
+   * @param {number} [opts.maxConcurrent] - the maximum number of requests in flight at once, unlimited by default
+   * @param {number} [opts.requestsPerSecond] - the maximum number of requests started per second, unlimited by default
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.host = opts.host || '127.0.0.1'
+    this.port = opts.port
+    this.timeout = opts.timeout || 2000
+    this.ssl = opts.ssl || false
+    this.userAgent = opts.userAgent || util.format('%s/%s', packageInfo.name, packageInfo.version)
+    this.keepAlive = (typeof opts.keepAlive !== 'undefined') ? opts.keepAlive : true
+    this.headers = opts.headers || {}
+    this.bigIntegers = opts.bigIntegers || false
+
+    if (opts.retry instanceof RetryPolicy) {
+      this.retry = opts.retry
+    } else if (opts.retry === false) {
+      this.retry = new RetryPolicy({ maxAttempts: 1 })
+    } else {
+      this.retry = new RetryPolicy((typeof opts.retry === 'object') ? opts.retry : {})
+    }
+
+    /* Requests are only queued when a limit is set */
+    if (opts.maxConcurrent || opts.requestsPerSecond) {
+      this.queue = new RequestQueue({ maxConcurrent: opts.maxConcurrent, requestsPerSecond: opts.requestsPerSecond })
+    }
+
+    if (typeof opts.adapter === 'function') {
+      this.adapter = opts.adapter
+    } else {
+      const adapter = adapters[opts.adapter || 'http']
+      if (!adapter) throw new Error('Unknown adapter: ' + opts.adapter)
+
+      this.adapter = adapter(opts)
+    }
+  }
+
+  /**
+   * Performs a request against the remote host
+   * @async
+   * @param {string} method - the HTTP method to use
+   * @param {string} path - the path of the request, beginning with a slash
+   * @param {Object} [body] - the body of the request
+   * @param {Object} [opts] - request options
+   * @param {boolean} [opts.idempotent] - whether the request is safe to retry, defaults to true for GET requests only
+   * @param {number} [opts.priority=0] - the priority of the request when limits are set, higher priorities are sent first
+   * @returns {Promise<Object>} resolves with the parsed response body or rejects with error
+   */
+  request (method, path, body, opts) {
+    if (!method) return Promise.reject(new Error('Must supply a method'))
+    if (!path) return Promise.reject(new Error('Must supply a path'))
+    opts = opts || {}
+
+    const idempotent = (typeof opts.idempotent !== 'undefined') ? opts.idempotent : (method === 'GET')
+
+    /* Every attempt is queued separately so that retries count against
+       the limits without holding a slot while backing off */
+    return this.retry.execute(() => {
+      if (!this.queue) return this._send(method, path, body)
+
+      return this.queue.schedule(() => this._send(method, path, body), opts.priority)
+    }, idempotent)
+  }
+
+  /**
+   * Performs a single attempt of a request against the remote host
+   * @async
+   * @private
+   * @param {string} method - the HTTP method to use
+   * @param {string} path - the path of the request, beginning with a slash
+   * @param {Object} [body] - the body of the request
+   * @returns {Promise<Object>} resolves with the parsed response body or rejects with error
+   */
+  _send (method, path, body) {
+    const protocol = (this.ssl) ? 'https' : 'http'
+
+    const headers = Object.assign({}, this.headers, {
+      Accept: 'application/json',
+      'User-Agent': this.userAgent
+    })
+
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+
+    const details = { endpoint: path, method: method }
+    var response
+
+    try {
+      response = this.adapter({
+        method: method,
+        url: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
+        headers: headers,
+        body: (body !== undefined) ? serializeBody(body) : undefined,
+        timeout: this.timeout,
+        keepAlive: this.keepAlive
+      })
+    } catch (error) {
+      return Promise.reject(transportError(error, details))
+    }
+
+    return Promise.resolve(response)
+      .catch(error => { throw transportError(error, details) })
+      .then(response => {
+        const result = parseBody(response.body, this.bigIntegers)
+
+        if (response.statusCode < 200 || response.statusCode > 299) {
+          throw statusCodeError(response.statusCode, result, details)
+        }
+
+        return result
+      })
+  }
+}
+
+function parseBody (body, bigIntegers) {
+  if (body === undefined || body === null || body.length === 0) return undefined
+  if (typeof body !== 'string') return body
+
+  /* Quote any integer that JSON.parse cannot represent exactly. Strings
+     are matched first so that their contents are left untouched */
+  if (bigIntegers) {
+    body = body.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, token => {
+      if (token[0] === '"' || !/^-?\d+$/.test(token)) return token
+      if (Number.isSafeInteger(Number(token))) return token
+
+      return '"' + token + '"'
+    })
+  }
+
+  try {
+    return JSON.parse(body)
+  } catch (e) {
+    return body
+  }
+}
+
+function serializeBody (body) {
+  const json = JSON.stringify(body, (key, value) => {
+    return (typeof value === 'bigint') ? BIGINT_MARKER + value.toString() + BIGINT_MARKER : value
+  })
+
+  return json.replace(new RegExp('"' + BIGINT_MARKER + '(-?\\d+)' + BIGINT_MARKER + '"', 'g'), '$1')
+}
+
+function statusCodeError (statusCode, body, details) {
+  const message = util.format('%s - %s', statusCode, (body !== undefined) ? JSON.stringify(body) : 'empty response')
+  details = Object.assign({ statusCode, body }, details)
+
+  switch (statusCode) {
+    case 400: return new Errors.BadRequestError(message, details)
+    case 401: return new Errors.AuthenticationError(message, details)
+    case 404: return new Errors.NotFoundError(message, details)
+    default: return new Errors.HttpError(message, details)
+  }
+}
+
+function transportError (error, details) {
+  if (error instanceof Errors.RpcError) return error
+
+  details = Object.assign({ code: error.code, cause: error }, details)
+
+  if (error.code === 'ETIMEDOUT') {
+    return new Errors.RpcTimeoutError(util.format('Request to %s timed out', details.endpoint), details)
+  }
+
+  return new Errors.ConnectionError(error.message, details)
+}
+
+module.exports = Transport
@@ -0,0 +1,344 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+const Poller = require('./poller')
+
+/**
+ * Keeps a wallet container open in the wallet-api for as long as it is
+ * needed. The wallet is opened on first use, or created or restored if the
+ * file does not exist, saved on an interval, and saved and closed when the
+ * session is closed or the process is asked to stop.
+ * @module WalletSession
+ * @class
+ * @extends Poller
+ */
+class WalletSession extends Poller {
+  /**
+   * Initializes a new WalletSession object
+   * @constructor
+   * @param {WalletAPI} wallet - the wallet-api to open the wallet in
+   * @param {Object} opts - Configuration options
+   * @param {string} opts.filename - the filename of the wallet container
+   * @param {string} opts.password - the password of the wallet container
+   * @param {string} [opts.daemonHost] - the node to use for the wallet container
+   * @param {number} [opts.daemonPort] - the node port to use for the wallet container
+   * @param {boolean} [opts.daemonSSL] - if the node uses SSL
+   * @param {boolean} [opts.create=false] - whether to create a new wallet container if the file does not exist
+   * @param {Object} [opts.restore] - the keys to restore the wallet container from if the file does not exist: { mnemonicSeed }, { privateViewKey, privateSpendKey } or { privateViewKey, address } for a view only wallet, each with an optional scanHeight
+   * @param {string} [opts.address] - the primary address of the wallet container, which lets the session recognize it when it is already open in the wallet-api, ie. after this process restarted
+   * @param {boolean} [opts.closeUnknown=false] - whether to save and close a wallet container that is open in the wallet-api but can not be recognized, instead of rejecting
+   * @param {number} [opts.saveInterval=60000] - how often, in milliseconds, to save the wallet container while it is open, 0 to disable
+   * @param {string[]} [opts.signals=['SIGINT', 'SIGTERM']] - the process signals upon which the wallet container is saved and closed before the process exits
+   */
+  constructor (wallet, opts) {
+    super()
+    opts = opts || {}
+
+    if (!wallet) throw new Error('Must supply a wallet')
+    if (!opts.filename) throw new Error('Must supply wallet filename')
+    if (!opts.password) throw new Error('Must supply wallet password')
+
+    this.wallet = wallet
+    this.filename = opts.filename
+    this.password = opts.password
+    this.daemonHost = opts.daemonHost
+    this.daemonPort = opts.daemonPort
+    this.daemonSSL = opts.daemonSSL
+    this.create = opts.create || false
+    this.restore = opts.restore
+    this.address = opts.address
+    this.closeUnknown = opts.closeUnknown || false
+    this.interval = (typeof opts.saveInterval !== 'undefined') ? opts.saveInterval : 60000
+    this.signals = opts.signals || ['SIGINT', 'SIGTERM']
+    this.isOpen = false
+    this.ended = false
+    this.active = new Set()
+    this.signalHandlers = new Map()
+  }
+
+  /**
+   * Open event, emitted with how the wallet container was opened: 'existing' if it was open in the wallet-api already, 'opened', 'created' or 'restored'
+   * @event WalletSession#open
+   * @type {string}
+   */
+
+  /**
+   * Save event, emitted when the wallet container has been saved
+   * @event WalletSession#save
+   */
+
+  /**
+   * Close event, emitted when the wallet container has been closed
+   * @event WalletSession#close
+   */
+
+  /**
+   * Error event, emitted when saving on the interval or closing upon a process signal fails.
+   * @event WalletSession#error
+   * @type {Error}
+   */
+
+  /**
+   * Opens the wallet container unless it is open already. The wallet-api does not report which file it has open, so the wallet container
+   * that is open is recognized by its primary address: it is used as it is if that matches opts.address, or the address of the wallet
+   * container this client opened under the same filename. The session rejects with error if this client opened another wallet container,
+   * and if the one that is open can not be recognized, unless opts.closeUnknown is set, in which case it is saved and closed first.
+   * @async
+   * @returns {Promise<WalletAPI>} resolves with the wallet once open else rejects with error
+   */
+  async open () {
+    if (this.ended) throw new Error('The wallet session has ended')
+
+    while (this.closing) await this.closing.catch(() => {})
+
+    if (this.isOpen) return this.wallet
+
+    if (!this.opening) {
+      this.opening = this._open()
+        .then(how => {
+          delete this.opening
+          this.isOpen = true
+          this._listen()
+
+          /* Saving starts a full interval after opening rather than straight away */
+          if (this.interval) {
+            this.running = true
+            this._schedule(this.interval)
+          }
+
+          this.emit('open', how)
+        }, error => {
+          delete this.opening
+
+          throw error
+        })
+    }
+
+    await this.opening
+
+    return this.wallet
+  }
+
+  /**
+   * Runs a function against the open wallet, opening the wallet container first if needed. The wallet container is not closed until the function has finished.
+   * @async
+   * @param {function(WalletAPI): Promise} fn - the function, called with the wallet
+   * @returns {Promise<*>} resolves with the result of the function else rejects with error
+   */
+  async use (fn) {
+    if (typeof fn !== 'function') throw new Error('Must supply a function')
+
+    /* Closing may start while we wait for the wallet to open */
+    while (!this.isOpen || this.closing) await this.open()
+
+    const work = Promise.resolve().then(() => fn(this.wallet))
+    this.active.add(work)
+
+    try {
+      return await work
+    } catch (error) {
+      /* The wallet was closed behind our back, so open it again next time */
+      if (error instanceof Errors.WalletNotOpenError) this._closed()
+
+      throw error
+    } finally {
+      this.active.delete(work)
+    }
+  }
+
+  /**
+   * Saves the wallet container if it is open
+   * @async
+   * @returns {Promise} resolves once saved else rejects with error
+   */
+  async save () {
+    if (!this.isOpen) return
+
+    try {
+      await this.wallet.save()
+    } catch (error) {
+      if (error instanceof Errors.WalletNotOpenError) return this._closed()
+
+      throw error
+    }
+
+    this.emit('save')
+  }
+
+  /**
+   * Waits for the functions that are using the wallet, then saves and closes the wallet container. Using the session again opens it again.
+   * @async
+   * @returns {Promise} resolves once closed else rejects with error
+   */
+  close () {
+    if (!this.closing) {
+      this.closing = this._close()
+        .then(() => {
+          delete this.closing
+        }, error => {
+          delete this.closing
+
+          throw error
+        })
+    }
+
+    return this.closing
+  }
+
+  /**
+   * Saves the wallet container, which is done on the save interval while it is open
+   * @async
+   * @private
+   * @returns {Promise} resolves once saved else rejects with error
+   */
+  poll () {
+    return this.save()
+  }
+
+  /**
+   * Opens, creates or restores the wallet container
+   * @async
+   * @private
+   * @returns {Promise<string>} resolves with how the wallet container was opened else rejects with error
+   */
+  async _open () {
+    var address
+
+    try {
+      address = await this.wallet.primaryAddress()
+    } catch (error) {
+      if (!(error instanceof Errors.WalletNotOpenError)) throw error
+    }
+
+    if (address) {
+      const container = this.wallet.container
+
+      if (address === container.address && container.filename !== this.filename) throw new Error('Another wallet container is open in the wallet-api: ' + container.filename)
+      if (address === container.address) return 'existing'
+
+      if (address === this.address) {
+        container.filename = this.filename
+        container.address = address
+
+        return 'existing'
+      }
+
+      if (!this.closeUnknown) throw new Error('A wallet container that can not be recognized is open in the wallet-api: ' + address)
+
+      await this.wallet.save()
+      await this.wallet.close()
+    }
+
+    try {
+      await this.wallet.open(this.filename, this.password, this.daemonHost, this.daemonPort, this.daemonSSL)
+
+      return 'opened'
+    } catch (error) {
+      if (!isMissing(error) || (!this.restore && !this.create)) throw error
+    }
+
+    const restore = this.restore
+
+    if (!restore) {
+      await this.wallet.create(this.filename, this.password, this.daemonHost, this.daemonPort, this.daemonSSL)
+
+      return 'created'
+    }
+
+    if (restore.mnemonicSeed) {
+      await this.wallet.importSeed(this.filename, this.password, restore.mnemonicSeed, restore.scanHeight, this.daemonHost, this.daemonPort, this.daemonSSL)
+    } else if (restore.privateSpendKey) {
+      await this.wallet.importKey(this.filename, this.password, restore.privateViewKey, restore.privateSpendKey, restore.scanHeight, this.daemonHost, this.daemonPort, this.daemonSSL)
+    } else {
+      await this.wallet.importViewOnly(this.filename, this.password, restore.privateViewKey, restore.address, restore.scanHeight, this.daemonHost, this.daemonPort, this.daemonSSL)
+    }
+
+    return 'restored'
+  }
+
+  /**
+   * Saves and closes the wallet container once nothing is using it
+   * @async
+   * @private
+   * @returns {Promise} resolves once closed else rejects with error
+   */
+  async _close () {
+    if (this.opening) await this.opening.catch(() => {})
+
+    while (this.active.size !== 0) {
+      await Promise.all(Array.from(this.active).map(work => work.catch(() => {})))
+    }
+
+    if (!this.isOpen) return
+
+    await this.save()
+
+    try {
+      await this.wallet.close()
+    } catch (error) {
+      if (!(error instanceof Errors.WalletNotOpenError)) throw error
+    }
+
+    this._closed()
+  }
+
+  /**
+   * Records that the wallet container is no longer open
+   * @private
+   */
+  _closed () {
+    const wasOpen = this.isOpen
+
+    this.isOpen = false
+    this._unlisten()
+    this.stop()
+
+    if (wasOpen) this.emit('close')
+  }
+
+  /**
+   * Installs the process signal handlers
+   * @private
+   */
+  _listen () {
+    this.signals.forEach(signal => {
+      if (this.signalHandlers.has(signal)) return
+
+      const handler = () => {
+        this.ended = true
+
+        this.close()
+          .catch(error => this._error(error))
+          .then(() => {
+            /* Let the signal do what it would have done had we not been listening */
+            if (process.listenerCount(signal) === 0) process.kill(process.pid, signal)
+          })
+      }
+
+      this.signalHandlers.set(signal, handler)
+      process.once(signal, handler)
+    })
+  }
+
+  /**
+   * Removes the process signal handlers
+   * @private
+   */
+  _unlisten () {
+    this.signalHandlers.forEach((handler, signal) => process.removeListener(signal, handler))
+    this.signalHandlers.clear()
+  }
+}
+
+function isMissing (error) {
+  if (!(error instanceof Errors.BadRequestError)) return false
+  if (typeof error.errorCode !== 'undefined') return error.errorCode === Errors.WalletErrorCode.FILENAME_NON_EXISTENT
+
+  return /filename you are attempting to open does not exist/i.test(error.message)
+}
+
+module.exports = WalletSession
@@ -0,0 +1,225 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Helpers = require('./helpers')
+const MemoryStore = require('./memory-store')
+
+/* The same sparse layout the wallets use: the most recent block hashes
+   in sequence followed by a hash every CHECKPOINT_INTERVAL blocks */
+const LAST_KNOWN_BLOCK_HASHES_SIZE = 100
+const CHECKPOINT_INTERVAL = 5000
+
+/**
+ * Pages through the chain using getwalletsyncdata while keeping track of
+ * the block hash checkpoints, yielding blocks in order
+ * @module WalletSynchronizer
+ * @class
+ */
+class WalletSynchronizer {
+  /**
+   * Initializes a new WalletSynchronizer object
+   * @constructor
+   * @param {MONCoind} daemon - the daemon to sync from
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.startHeight=0] - the height to start syncing from
+   * @param {number} [opts.startTimestamp=0] - the timestamp to start syncing from
+   * @param {boolean} [opts.skipCoinbaseTransactions=false] - whether to skip blocks that only contain a coinbase transaction
+   * @param {Object} [opts.store] - the store used to persist the sync state across restarts, an object with load() and save(state) methods (see {@link MemoryStore})
+   * @param {boolean} [opts.follow=false] - whether to keep waiting for new blocks once synced instead of finishing
+   * @param {number} [opts.interval=5000] - how long, in milliseconds, to wait before checking for new blocks once synced while following, or before asking again when the daemon returns nothing before we are synced
+   */
+  constructor (daemon, opts) {
+    opts = opts || {}
+
+    if (!daemon) throw new Error('Must supply a daemon')
+
+    this.daemon = daemon
+    this.startHeight = opts.startHeight || 0
+    this.startTimestamp = opts.startTimestamp || 0
+    this.skipCoinbaseTransactions = opts.skipCoinbaseTransactions || false
+    this.store = opts.store || new MemoryStore()
+    this.follow = opts.follow || false
+    this.interval = opts.interval || 5000
+    this.stopped = false
+  }
+
+  /**
+   * Sync Checkpoint
+   * @memberof WalletSynchronizer
+   * @typedef {Object} SyncCheckpoint
+   * @property {number} height - the block height
+   * @property {string} hash - the block hash
+   */
+
+  /**
+   * Sync State
+   * @memberof WalletSynchronizer
+   * @typedef {Object} SyncState
+   * @property {WalletSynchronizer.SyncCheckpoint[]} lastKnownBlocks - the most recently processed blocks, newest first
+   * @property {WalletSynchronizer.SyncCheckpoint[]} checkpoints - the sparse checkpoints, newest first
+   */
+
+  /**
+   * Sync Item
+   * @memberof WalletSynchronizer
+   * @typedef {Object} SyncItem
+   * @property {string} type - 'block' for a new block or 'rollback' when previously yielded blocks are no longer in the main chain
+   * @property {MONCoind.WalletSyncDataBlock} [block] - the block, when type is 'block'
+   * @property {number} [height] - the height of the last block that is still valid, when type is 'rollback'
+   * @property {number} [orphanedFrom] - the first height that was rolled back, when type is 'rollback'
+   * @property {number} [orphanedTo] - the last height that was rolled back, when type is 'rollback'
+   */
+
+  /**
+   * The height of the last block that was processed
+   * @type {number|undefined}
+   */
+  get height () {
+    if (!this.state) return undefined
+    if (this.state.lastKnownBlocks.length !== 0) return this.state.lastKnownBlocks[0].height
+    if (this.state.checkpoints.length !== 0) return this.state.checkpoints[0].height
+
+    return undefined
+  }
+
+  /**
+   * The block hash checkpoints to supply to the daemon, highest first
+   * @returns {string[]} the block hashes
+   */
+  blockHashCheckpoints () {
+    if (!this.state) return []
+
+    const hashes = this.state.lastKnownBlocks.map(block => block.hash)
+
+    this.state.checkpoints.forEach(checkpoint => {
+      if (hashes.indexOf(checkpoint.hash) === -1) hashes.push(checkpoint.hash)
+    })
+
+    return hashes
+  }
+
+  /**
+   * Stops the iteration after the current batch
+   */
+  stop () {
+    this.stopped = true
+  }
+
+  /**
+   * Iterates over the chain, yielding blocks and rollback notifications in order
+   * @async
+   * @generator
+   * @yields {WalletSynchronizer.SyncItem}
+   */
+  async * [Symbol.asyncIterator] () {
+    this.state = await this.store.load() || { lastKnownBlocks: [], checkpoints: [] }
+
+    while (!this.stopped) {
+      const request = {
+        startHeight: this.startHeight,
+        startTimestamp: this.startTimestamp,
+        blockHashCheckpoints: this.blockHashCheckpoints(),
+        skipCoinbaseTransactions: this.skipCoinbaseTransactions
+      }
+
+      const response = await this.daemon.walletSyncData(request)
+
+      const items = response.items
+
+      if (items.length !== 0 && typeof this.height !== 'undefined' && items[0].blockHeight <= this.height) {
+        const rollback = {
+          type: 'rollback',
+          height: items[0].blockHeight - 1,
+          orphanedFrom: items[0].blockHeight,
+          orphanedTo: this.height
+        }
+
+        this._rollback(rollback.height)
+
+        yield rollback
+      }
+
+      for (var i = 0; i < items.length; i++) {
+        if (typeof this.height !== 'undefined' && items[i].blockHeight <= this.height) continue
+
+        this._record(items[i].blockHeight, items[i].blockHash)
+
+        yield { type: 'block', block: items[i] }
+      }
+
+      /* When coinbase only blocks are skipped there may be nothing to
+         return, but we still want to move past the blocks we have seen */
+      if (items.length === 0 && response.topBlock && (typeof this.height === 'undefined' || response.topBlock.height > this.height)) {
+        this._record(response.topBlock.height, response.topBlock.hash)
+      }
+
+      /* A window of coinbase only blocks that is not the last comes back empty
+         without a top block, so fetch the same window with the coinbase
+         transactions included to learn where it ends */
+      if (items.length === 0 && !response.synced && !response.topBlock) {
+        if (!this.skipCoinbaseTransactions || !await this._skipWindow(request)) await Helpers.sleep(this.interval)
+      }
+
+      await this.store.save(this.state)
+
+      if (items.length === 0 && response.synced) {
+        if (!this.follow) return
+
+        await Helpers.sleep(this.interval)
+      }
+    }
+  }
+
+  /**
+   * Moves past a window of blocks that only contain coinbase transactions
+   * @async
+   * @private
+   * @param {Object} request - the request that returned no blocks
+   * @returns {Promise<boolean>} resolves with whether the sync state moved past the window
+   */
+  async _skipWindow (request) {
+    const response = await this.daemon.walletSyncData(Object.assign({}, request, { skipCoinbaseTransactions: false }))
+    const last = response.items[response.items.length - 1]
+
+    /* The chain may have changed in between, in which case we simply ask again */
+    if (!last || response.items.some(item => item.transactions.length !== 0)) return false
+    if (typeof this.height !== 'undefined' && last.blockHeight <= this.height) return false
+
+    this._record(last.blockHeight, last.blockHash)
+
+    return true
+  }
+
+  /**
+   * Records a processed block in the sync state
+   * @private
+   * @param {number} height - the block height
+   * @param {string} hash - the block hash
+   */
+  _record (height, hash) {
+    this.state.lastKnownBlocks.unshift({ height, hash })
+
+    if (this.state.lastKnownBlocks.length > LAST_KNOWN_BLOCK_HASHES_SIZE) {
+      this.state.lastKnownBlocks.pop()
+    }
+
+    if (height % CHECKPOINT_INTERVAL === 0) {
+      this.state.checkpoints.unshift({ height, hash })
+    }
+  }
+
+  /**
+   * Discards everything in the sync state above the given height
+   * @private
+   * @param {number} height - the height of the last valid block
+   */
+  _rollback (height) {
+    this.state.lastKnownBlocks = this.state.lastKnownBlocks.filter(block => block.height <= height)
+    this.state.checkpoints = this.state.checkpoints.filter(checkpoint => checkpoint.height <= height)
+  }
+}
+
+module.exports = WalletSynchronizer
@@ -4,9 +4,18 @@
 
 'use strict'
 
+/* global BigInt */
+
+const DepositMonitor = require('./deposit-monitor')
+const Errors = require('./errors')
+const Helpers = require('./helpers')
+const NodeManager = require('./node-manager')
 const packageInfo = require('../package.json')
-const request = require('request-promise-native')
+const PayoutQueue = require('./payout-queue')
+const SyncTracker = require('./sync-tracker')
+const Transport = require('./transport')
 const util = require('util')
+const WalletSession = require('./wallet-session')
 
 class WalletAPI {
   /**
@@ -21,9 +30,16 @@ class WalletAPI {
    * @param {number} [opts.defaultMixin=false] - the default mixin count to use
    * @param {number} [opts.defaultFee=0.1] - the default transaction fee to use
    * @param {number} [opts.decimalDivisor=100] - the decimal divisor of atomic amounts
+   * @param {string} [opts.amountFormat=string] - how amounts are returned: 'string' for exact human readable decimal strings, 'bigint' for exact atomic units as BigInt, or 'number' for the legacy floating point behavior
    * @param {number} [opts.defaultUnlockTime=0] - the default unlock time for new transactions
    * @param {string} [opts.userAgent=moncoin-rpc/version] - the user agent string to use with requests
    * @param {boolen} [opts.keepAlive=true] - whether the underying HTTP(s) connection should be kept alive and reused
+   * @param {string|function} [opts.adapter=http] - the HTTP adapter to use: 'http', 'fetch', or a custom function (see {@link Transport})
+   * @param {http.Agent} [opts.agent] - a custom agent to use with the http adapter
+   * @param {function} [opts.fetch] - a custom fetch implementation to use with the fetch adapter
+   * @param {Object|RetryPolicy|boolean} [opts.retry] - the retry policy (or its options) to apply to read-only calls, or false to disable retries (see {@link RetryPolicy})
+   * @param {number} [opts.maxConcurrent] - the maximum number of requests in flight at once, unlimited by default
+   * @param {number} [opts.requestsPerSecond] - the maximum number of requests started per second, unlimited by default
    */
   constructor (opts) {
     opts = opts || {}
@@ -36,6 +52,7 @@ class WalletAPI {
     this.defaultMixin = (opts.defaultMixin !== undefined) ? opts.defaultMixin : false
     this.defaultFee = (opts.defaultFee !== undefined) ? opts.defaultFee : 0.1
     this.decimalDivisor = opts.decimalDivisor || 100
+    this.amountFormat = opts.amountFormat || 'string'
     this.defaultUnlockTime = opts.defaultUnlockTime || 0
     this.userAgent = opts.userAgent || util.format('%s/%s', packageInfo.name, packageInfo.version)
     this.keepAlive = (typeof opts.keepAlive !== 'undefined') ? opts.keepAlive : true
@@ -43,6 +60,36 @@ class WalletAPI {
     if (!this.password) {
       throw new Error('Must supply a password')
     }
+
+    if (['string', 'bigint', 'number'].indexOf(this.amountFormat) === -1) throw new Error('Unknown amount format: ' + this.amountFormat)
+    if (this.amountFormat === 'bigint' && typeof BigInt === 'undefined') throw new Error('BigInt is not supported by this version of NodeJS')
+
+    if (this.amountFormat !== 'number') {
+      if (!/^10*$/.test(this.decimalDivisor.toString())) throw new Error('decimalDivisor must be a power of 10')
+
+      this.decimalPlaces = this.decimalDivisor.toString().length - 1
+    }
+
+    this.transport = new Transport({
+      host: this.host,
+      port: this.port,
+      timeout: this.timeout,
+      ssl: this.ssl,
+      userAgent: this.userAgent,
+      keepAlive: this.keepAlive,
+      headers: { 'X-API-KEY': this.password },
+      bigIntegers: (this.amountFormat !== 'number'),
+      adapter: opts.adapter,
+      agent: opts.agent,
+      fetch: opts.fetch,
+      retry: opts.retry,
+      maxConcurrent: opts.maxConcurrent,
+      requestsPerSecond: opts.requestsPerSecond
+    })
+    this.priority = 0
+
+    /* Kept in an object of its own so that the views of this client share it */
+    this.container = { filename: undefined, address: undefined }
   }
 
   /**
@@ -54,19 +101,8 @@ class WalletAPI {
    */
   _delete (path) {
     if (!path) throw new Error('Must supply a path')
-    const protocol = (this.ssl) ? 'https' : 'http'
 
-    return request({
-      uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-      method: 'DELETE',
-      json: true,
-      timeout: this.timeout,
-      forever: this.keepAlive,
-      headers: {
-        'X-API-KEY': this.password,
-        'User-Agent': this.userAgent
-      }
-    })
+    return this.transport.request('DELETE', path, undefined, { priority: this.priority })
       .catch(error => { throw handleError(error) })
   }
 
@@ -79,19 +115,8 @@ class WalletAPI {
    */
   _get (path) {
     if (!path) throw new Error('Must supply a path')
-    const protocol = (this.ssl) ? 'https' : 'http'
 
-    return request({
-      uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-      method: 'GET',
-      json: true,
-      timeout: this.timeout,
-      forever: this.keepAlive,
-      headers: {
-        'X-API-KEY': this.password,
-        'User-Agent': this.userAgent
-      }
-    })
+    return this.transport.request('GET', path, undefined, { priority: this.priority })
       .catch(error => { throw handleError(error) })
   }
 
@@ -101,27 +126,40 @@ class WalletAPI {
    * @private
    * @param {string} path - the RPC method to call
    * @param {Object} payload - the data payload for the request
+   * @param {Object} [opts] - request options
+   * @param {boolean} [opts.idempotent=false] - whether the request is safe to retry
    * @returns {Object} the response
    */
-  _post (path, payload) {
+  _post (path, payload, opts) {
     if (!path) throw new Error('Must supply a path')
-    const protocol = (this.ssl) ? 'https' : 'http'
 
-    return request({
-      uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-      method: 'POST',
-      json: true,
-      timeout: this.timeout,
-      forever: this.keepAlive,
-      headers: {
-        'X-API-KEY': this.password,
-        'User-Agent': this.userAgent
-      },
-      body: payload
-    })
+    return this.transport.request('POST', path, payload, Object.assign({ priority: this.priority }, opts))
       .catch(error => { throw handleError(error) })
   }
 
+  /**
+   * Opens, creates or imports a wallet container and records its filename and primary address in the container property,
+   * as the wallet-api does not report which file it has open. The address tells whether that wallet container is still
+   * the one that is open later on.
+   * @async
+   * @private
+   * @param {string} path - the RPC method to call
+   * @param {Object} payload - the data payload for the request, including the filename
+   * @returns {Object} the response
+   */
+  _openWallet (path, payload) {
+    return this._post(path, payload)
+      .then(response => {
+        this.container.filename = payload.filename
+        this.container.address = undefined
+
+        /* Without the address the wallet container is only not recognized later on, so opening it still succeeds */
+        return this.primaryAddress()
+          .then(address => { this.container.address = address }, () => {})
+          .then(() => { return response })
+      })
+  }
+
   /**
    * RPC PUT Request
    * @async
@@ -132,23 +170,164 @@ class WalletAPI {
    */
   _put (path, payload) {
     if (!path) throw new Error('Must supply a path')
-    const protocol = (this.ssl) ? 'https' : 'http'
 
-    return request({
-      uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-      method: 'PUT',
-      json: true,
-      timeout: this.timeout,
-      forever: this.keepAlive,
-      headers: {
-        'X-API-KEY': this.password,
-        'User-Agent': this.userAgent
-      },
-      body: payload
-    })
+    return this.transport.request('PUT', path, payload, { priority: this.priority })
       .catch(error => { throw handleError(error) })
   }
 
+  /**
+   * Builds the request for an advanced transaction
+   * @private
+   * @param {WalletAPI.TransferDestination} destinations - the destinations of the transaction
+   * @param {number} [mixin] - the number of mixins to use
+   * @param {number|string|BigInt} [fee] - the human readable transaction fee (or BigInt atomic fee)
+   * @param {string[]} [sourceAddresses] - the source addresses, if any, of the funds for the transaction
+   * @param {string} [paymentId] - the payment ID to include with the transaction
+   * @param {string} [changeAddress] - the address to send transaction change to
+   * @param {number} [unlockTime] - the unlock time of the new transaction
+   * @returns {Object} the request
+   */
+  _advancedRequest (destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime) {
+    destinations = destinations || []
+    mixin = mixin || this.defaultMixin
+    fee = fee || this.defaultFee
+    sourceAddresses = sourceAddresses || []
+    paymentId = paymentId || false
+    changeAddress = changeAddress || false
+    unlockTime = unlockTime || this.defaultUnlockTime
+
+    fee = this.toAtomicUnits(fee)
+
+    if (!Array.isArray(destinations)) throw new Error('Must supply an array of destinations')
+
+    for (var i = 0; i < destinations.length; i++) {
+      if (!destinations[i].address) throw new Error('Must supply a wallet address in destination object')
+      if (typeof destinations[i].amount === 'undefined') throw new Error('Must supply an amount in destination object')
+    }
+
+    if (!Array.isArray(sourceAddresses)) throw new Error('Must supply an array of source wallet addresses')
+
+    const request = {
+      destinations: destinations,
+      mixin: mixin,
+      fee: fee,
+      sourceAddresses: sourceAddresses,
+      paymentID: paymentId,
+      changeAddress: changeAddress,
+      unlockTime: unlockTime
+    }
+
+    if (!request.mixin) delete request.mixin
+    if (request.sourceAddresses.length === 0) delete request.sourceAddresses
+    if (!request.paymentID) delete request.paymentID
+    if (!request.changeAddress) delete request.changeAddress
+
+    return request
+  }
+
+  /**
+   * Builds the request for a basic transaction
+   * @private
+   * @param {string} address - the address to send funds to
+   * @param {number|string|BigInt} amount - the human readable amount (or BigInt atomic amount) to send in the transaction
+   * @param {string} [paymentId] - the payment ID to include with the transaction
+   * @returns {Object} the request
+   */
+  _basicRequest (address, amount, paymentId) {
+    address = address || false
+    amount = amount || false
+    paymentId = paymentId || false
+
+    if (!address) throw new Error('Must supply wallet address')
+    if (typeof amount === 'undefined') throw new Error('Must supply amount')
+
+    amount = this.toAtomicUnits(amount)
+
+    const request = {
+      destination: address,
+      amount: amount,
+      paymentID: paymentId
+    }
+
+    if (!request.paymentID) delete request.paymentID
+
+    return request
+  }
+
+  /**
+   * Converts the fee of a prepared transaction response
+   * @private
+   * @param {Object} response - the response from the wallet-api
+   * @returns {WalletAPI.PreparedTransaction} the prepared transaction
+   */
+  _prepared (response) {
+    return {
+      transactionHash: response.transactionHash,
+      fee: this.fromAtomicUnits(response.fee)
+    }
+  }
+
+  /**
+   * Waits until the wallet reports the requested node and has received its network height
+   * @async
+   * @private
+   * @param {Object} request - the node that was requested
+   * @param {number} timeout - how long, in milliseconds, to wait
+   * @param {number} interval - how often, in milliseconds, to check
+   * @returns {Promise<WalletAPI.NodeInfo>} resolves with the node information once connected else rejects with error
+   */
+  async _confirmNode (request, timeout, interval) {
+    const deadline = Date.now() + timeout
+
+    while (true) {
+      const node = await this.getNode()
+
+      if ((!request.daemonHost || node.daemonHost === request.daemonHost) && (!request.daemonPort || Number(node.daemonPort) === Number(request.daemonPort))) {
+        const status = await this.status()
+
+        if (status.networkBlockCount > 0) return node
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw new Errors.OperationTimeoutError(util.format('Timed out waiting for the wallet to connect to %s:%s', request.daemonHost || node.daemonHost, request.daemonPort || node.daemonPort))
+      }
+
+      await Helpers.sleep(interval)
+    }
+  }
+
+  /**
+   * Waits until the transactions are no longer unconfirmed and the addresses have no locked balance
+   * @async
+   * @private
+   * @param {string[]} hashes - the transaction hashes
+   * @param {Array<string|boolean>} addresses - the addresses to check, false for the entire container
+   * @param {number} timeout - how long, in milliseconds, to wait
+   * @param {number} interval - how often, in milliseconds, to check
+   * @returns {Promise} resolves once unlocked else rejects with error
+   */
+  async _waitForUnlock (hashes, addresses, timeout, interval) {
+    const deadline = Date.now() + timeout
+
+    while (true) {
+      const unconfirmed = await this.unconfirmedTransactions()
+      var unlocked = !unconfirmed.some(transaction => hashes.indexOf(transaction.hash) !== -1)
+
+      for (var i = 0; unlocked && i < addresses.length; i++) {
+        const balance = await this.balance(addresses[i])
+        unlocked = (Number(balance.locked) === 0)
+      }
+
+      if (unlocked) return
+
+      if (Date.now() + interval > deadline) {
+        throw new Errors.OperationTimeoutError(util.format('Timed out waiting for fusion transactions %s to unlock', hashes.join(', ')))
+      }
+
+      await Helpers.sleep(interval)
+    }
+  }
+
   /**
    * @memberof WalletAPI
    * @typedef Addresses
@@ -169,8 +348,8 @@ class WalletAPI {
    * @memberof WalletAPI
    * @typedef Balance
    * @property {string} [address] - the wallet address
-   * @property {number} locked - the locked balance amount
-   * @property {number} unlocked - the unlocked balance amount
+   * @property {string|BigInt|number} locked - the locked balance amount
+   * @property {string|BigInt|number} unlocked - the unlocked balance amount
    */
 
   /**
@@ -216,6 +395,10 @@ class WalletAPI {
    */
   close () {
     return this._delete('/wallet')
+      .then(() => {
+        this.container.filename = undefined
+        this.container.address = undefined
+      })
   }
 
   /**
@@ -236,7 +419,7 @@ class WalletAPI {
     if (!filename) throw new Error('Must supply wallet filename')
     if (!password) throw new Error('Must supply wallet password')
 
-    return this._post('/wallet/create', { daemonHost, daemonPort, daemonSSL, filename, password })
+    return this._openWallet('/wallet/create', { daemonHost, daemonPort, daemonSSL, filename, password })
   }
 
   /**
@@ -289,16 +472,37 @@ class WalletAPI {
     return this._delete(url)
   }
 
+  /**
+   * Deletes a prepared transaction so that it can no longer be sent
+   * @async
+   * @param {string} hash - the hash of the prepared transaction
+   * @returns {Promise} resolves if success else rejects with error
+   */
+  deletePrepared (hash) {
+    hash = hash || false
+    if (!hash) throw new Error('Must supply transaction hash')
+    const url = util.format('/transactions/prepared/%s', hash)
+
+    return this._delete(url)
+  }
+
   /**
    * Converts atomic units amounts to human readable amounts
-   * @param {number} amount - the amount in atomic units
-   * @returns {number} the amount in human readable form
+   * @param {number|string|BigInt} amount - the amount in atomic units
+   * @returns {string|BigInt|number} the amount as an exact decimal string, as BigInt atomic units, or as a legacy floating point number depending on the amountFormat option
    */
   fromAtomicUnits (amount) {
-    if (isNaN(parseInt(amount))) throw new Error('Amount is not a number')
-    if (amount.toString().indexOf('.') !== -1) return parseFloat(amount)
+    if (this.amountFormat === 'number') {
+      if (isNaN(parseInt(amount))) throw new Error('Amount is not a number')
+      if (amount.toString().indexOf('.') !== -1) return parseFloat(amount)
+
+      return parseFloat(parseInt(amount) / this.decimalDivisor)
+    }
 
-    return parseFloat(parseInt(amount) / this.decimalDivisor)
+    if (amount === undefined || amount === null || !/^-?\d+$/.test(amount.toString())) throw new Error('Amount is not an integer')
+    if (this.amountFormat === 'bigint') return BigInt(amount.toString())
+
+    return formatAtomicUnits(amount.toString(), this.decimalPlaces)
   }
 
   /**
@@ -378,7 +582,7 @@ class WalletAPI {
     if (!privateViewKey) throw new Error('Must supply private view key')
     if (!privateSpendKey) throw new Error('Must supply private spend key')
 
-    return this._post('/wallet/import/key', { daemonHost, daemonPort, daemonSSL, filename, password, scanHeight, privateViewKey, privateSpendKey })
+    return this._openWallet('/wallet/import/key', { daemonHost, daemonPort, daemonSSL, filename, password, scanHeight, privateViewKey, privateSpendKey })
   }
 
   /**
@@ -403,7 +607,7 @@ class WalletAPI {
     if (!password) throw new Error('Must supply wallet password')
     if (!mnemonicSeed) throw new Error('Must supply mnemonic seed phrase')
 
-    return this._post('/wallet/import/seed', { daemonHost, daemonPort, daemonSSL, filename, password, scanHeight, mnemonicSeed })
+    return this._openWallet('/wallet/import/seed', { daemonHost, daemonPort, daemonSSL, filename, password, scanHeight, mnemonicSeed })
   }
 
   /**
@@ -446,7 +650,7 @@ class WalletAPI {
     if (!privateViewKey) throw new Error('Must supply private view key')
     if (!address) throw new Error('Must supply wallet address')
 
-    return this._post('/wallet/import/view', { daemonHost, daemonPort, daemonSSL, filename, password, scanHeight, privateViewKey, address })
+    return this._openWallet('/wallet/import/view', { daemonHost, daemonPort, daemonSSL, filename, password, scanHeight, privateViewKey, address })
   }
 
   /**
@@ -482,17 +686,36 @@ class WalletAPI {
       .then(response => { return response.mnemonicSeed })
   }
 
+  /**
+   * Manages the node the wallet uses, moving it along an ordered list of candidates whenever the current node stops advancing
+   * @param {Array<string|Object>} nodes - the candidate nodes as 'host:port' strings or objects of { host, port, ssl }
+   * @param {Object} [opts] - Configuration options (see {@link NodeManager})
+   * @returns {NodeManager} the started manager
+   */
+  manageNodes (nodes, opts) {
+    return new NodeManager(this, nodes, opts).start()
+  }
+
+  /**
+   * Watches the wallet for customer deposits to integrated addresses or subwallets
+   * @param {Object} [opts] - Configuration options (see {@link DepositMonitor})
+   * @returns {DepositMonitor} the started monitor
+   */
+  monitorDeposits (opts) {
+    return new DepositMonitor(this, opts).start()
+  }
+
   /**
    * @memberof WalletAPI
    * @typedef TransferDestination
    * @property {string} address - the address of the recipient
-   * @property {number} amount - the atomic amount to send to the recipient
+   * @property {number|BigInt} amount - the atomic amount to send to the recipient
    */
 
   /**
    * Creates a new output destination object
    * @param {string} address - the address of the recipient
-   * @param {number} amount - the human readable amount to send to the recipient
+   * @param {number|string|BigInt} amount - the human readable amount (or BigInt atomic amount) to send to the recipient
    * @returns {WalletAPI.TransferDestination} a transfer destination object
    */
   newDestination (address, amount) {
@@ -520,7 +743,113 @@ class WalletAPI {
     if (!filename) throw new Error('Must supply wallet filename')
     if (!password) throw new Error('Must supply wallet password')
 
-    return this._post('/wallet/open', { daemonHost, daemonPort, daemonSSL, filename, password })
+    return this._openWallet('/wallet/open', { daemonHost, daemonPort, daemonSSL, filename, password })
+  }
+
+  /**
+   * @memberof WalletAPI
+   * @typedef PreparedTransaction
+   * @property {string} transactionHash - the hash of the prepared transaction, used to send or delete it
+   * @property {string|BigInt|number} fee - the network fee the transaction will pay
+   */
+
+  /**
+   * @memberof WalletAPI
+   * @typedef OptimizeResult
+   * @property {number} rounds - how many rounds of fusion transactions were sent
+   * @property {string[]} transactionHashes - the hashes of the fusion transactions sent
+   * @property {boolean} optimized - whether the wallet reported that it is fully optimized, false if maxRounds was reached first
+   */
+
+  /**
+   * Sends fusion transactions until the wallet reports that it is fully optimized. Each round sends one fusion transaction, or one per address,
+   * then waits for them to confirm and for the wallet to have no locked balance before the next round.
+   * @async
+   * @param {Object} [opts] - Configuration options
+   * @param {boolean} [opts.perAddress=false] - whether to fuse every address on its own with sendFusionAdvanced instead of using sendFusionBasic
+   * @param {number} [opts.maxRounds=10] - the most rounds to send
+   * @param {number} [opts.mixin] - the number of mixins to use in the fusion transactions
+   * @param {number} [opts.interval=10000] - how often, in milliseconds, to check whether the fusion transactions have unlocked
+   * @param {number} [opts.timeout=1800000] - how long, in milliseconds, to wait for the fusion transactions of a round to unlock
+   * @returns {Promise<WalletAPI.OptimizeResult>} resolves with a summary of the fusion transactions sent else rejects with error
+   */
+  async optimize (opts) {
+    opts = opts || {}
+
+    const maxRounds = opts.maxRounds || 10
+    const interval = opts.interval || 10000
+    const timeout = opts.timeout || 1800000
+    const addresses = (opts.perAddress) ? await this.addresses() : [false]
+    const result = { rounds: 0, transactionHashes: [], optimized: false }
+
+    while (result.rounds < maxRounds) {
+      const fused = []
+      const hashes = []
+
+      for (var i = 0; i < addresses.length; i++) {
+        try {
+          hashes.push((addresses[i]) ? await this.sendFusionAdvanced(addresses[i], opts.mixin, [addresses[i]]) : await this.sendFusionBasic())
+          fused.push(addresses[i])
+        } catch (error) {
+          if (!isOptimized(error)) throw error
+        }
+      }
+
+      if (hashes.length === 0) {
+        result.optimized = true
+        break
+      }
+
+      result.rounds++
+      result.transactionHashes = result.transactionHashes.concat(hashes)
+
+      await this._waitForUnlock(hashes, fused, timeout, interval)
+    }
+
+    return result
+  }
+
+  /**
+   * Creates a queue that pays out many destinations in batched transactions, fusing the wallet when needed
+   * @param {Object} [opts] - Configuration options (see {@link PayoutQueue})
+   * @returns {PayoutQueue} the queue
+   */
+  payoutQueue (opts) {
+    return new PayoutQueue(this, opts)
+  }
+
+  /**
+   * Prepares a transaction without relaying it to the network so that its fee can be inspected before it is sent with {@link WalletAPI#sendPrepared}
+   * @async
+   * @param {WalletAPI.TransferDestination} destinations - the destinations of the transaction
+   * @param {number} [mixin] - the number of mixins to use
+   * @param {number|string|BigInt} [fee] - the human readable transaction fee (or BigInt atomic fee)
+   * @param {string[]} [sourceAddresses] - the source addresses, if any, of the funds for the transaction
+   * @param {string} [paymentId] - the payment ID to include with the transaction
+   * @param {string} [changeAddress] - the address to send transaction change to
+   * @param {number} [unlockTime] - the unlock time of the new transaction
+   * @returns {Promise<WalletAPI.PreparedTransaction>} resolves with the prepared transaction else rejects with error
+   */
+  prepareAdvanced (destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime) {
+    const request = this._advancedRequest(destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime)
+
+    return this._post('/transactions/prepare/advanced', request)
+      .then(response => { return this._prepared(response) })
+  }
+
+  /**
+   * Prepares a transaction without relaying it to the network so that its fee can be inspected before it is sent with {@link WalletAPI#sendPrepared}
+   * @async
+   * @param {string} address - the address to send funds to
+   * @param {number|string|BigInt} amount - the human readable amount (or BigInt atomic amount) to send in the transaction
+   * @param {string} [paymentId] - the payment ID to include with the transaction
+   * @returns {Promise<WalletAPI.PreparedTransaction>} resolves with the prepared transaction else rejects with error
+   */
+  prepareBasic (address, amount, paymentId) {
+    const request = this._basicRequest(address, amount, paymentId)
+
+    return this._post('/transactions/prepare/basic', request)
+      .then(response => { return this._prepared(response) })
   }
 
   /**
@@ -559,7 +888,7 @@ class WalletAPI {
    * @async
    * @param {WalletAPI.TransferDestination} destinations - the destinations of the transaction
    * @param {number} [mixin] - the number of mixins to use
-   * @param {number} [fee] - the transaction fee to payload
+   * @param {number|string|BigInt} [fee] - the human readable transaction fee (or BigInt atomic fee)
    * @param {string[]} [sourceAddresses] - the source addresses, if any, of the funds for the transaction
    * @param {string} [paymentId] - the payment ID to include with the transaction
    * @param {string} [changeAddress] - the address to send transaction change to
@@ -567,39 +896,7 @@ class WalletAPI {
    * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
    */
   sendAdvanced (destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime) {
-    destinations = destinations || []
-    mixin = mixin || this.defaultMixin
-    fee = fee || this.defaultFee
-    sourceAddresses = sourceAddresses || []
-    paymentId = paymentId || false
-    changeAddress = changeAddress || false
-    unlockTime = unlockTime || this.defaultUnlockTime
-
-    fee = this.toAtomicUnits(fee)
-
-    if (!Array.isArray(destinations)) throw new Error('Must supply an array of destinations')
-
-    for (var i = 0; i < destinations.length; i++) {
-      if (!destinations[i].address) throw new Error('Must supply a wallet address in destination object')
-      if (typeof destinations[i].amount === 'undefined') throw new Error('Must supply an amount in destination object')
-    }
-
-    if (!Array.isArray(sourceAddresses)) throw new Error('Must supply an array of source wallet addresses')
-
-    const request = {
-      destinations: destinations,
-      mixin: mixin,
-      fee: fee,
-      sourceAddresses: sourceAddresses,
-      paymentID: paymentId,
-      changeAddress: changeAddress,
-      unlockTime: unlockTime
-    }
-
-    if (!request.mixin) delete request.mixin
-    if (request.sourceAddresses.length === 0) delete request.sourceAddresses
-    if (!request.paymentID) delete request.paymentID
-    if (!request.changeAddress) delete request.changeAddress
+    const request = this._advancedRequest(destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime)
 
     return this._post('/transactions/send/advanced', request)
       .then(response => { return response.transactionHash })
@@ -609,27 +906,12 @@ class WalletAPI {
    * Sends a transaction
    * @async
    * @param {string} address - the address to send funds to
-   * @param {number} amount - the amount to send in the transaction
+   * @param {number|string|BigInt} amount - the human readable amount (or BigInt atomic amount) to send in the transaction
    * @param {string} [paymentId] - the payment ID to include with the transaction
    * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
    */
   sendBasic (address, amount, paymentId) {
-    address = address || false
-    amount = amount || false
-    paymentId = paymentId || false
-
-    if (!address) throw new Error('Must supply wallet address')
-    if (typeof amount === 'undefined') throw new Error('Must supply amount')
-
-    amount = this.toAtomicUnits(amount)
-
-    const request = {
-      destination: address,
-      amount: amount,
-      paymentID: paymentId
-    }
-
-    if (!request.paymentID) delete request.paymentID
+    const request = this._basicRequest(address, amount, paymentId)
 
     return this._post('/transactions/send/basic', request)
       .then(response => { return response.transactionHash })
@@ -675,17 +957,45 @@ class WalletAPI {
   }
 
   /**
-   * Sets the node to connect use in syncing operations
+   * Relays a previously prepared transaction to the network
+   * @async
+   * @param {string} hash - the hash of the prepared transaction
+   * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
+   */
+  sendPrepared (hash) {
+    hash = hash || false
+    if (!hash) throw new Error('Must supply transaction hash')
+
+    return this._post('/transactions/send/prepared', { transactionHash: hash })
+      .then(response => { return response.transactionHash })
+  }
+
+  /**
+   * Creates a session that opens the wallet container on demand and keeps it saved until it is closed
+   * @param {Object} opts - Configuration options (see {@link WalletSession})
+   * @returns {WalletSession} the session
+   */
+  session (opts) {
+    return new WalletSession(this, opts)
+  }
+
+  /**
+   * Sets the node to use in syncing operations and waits for the wallet to connect to it
    * @async
    * @param {string} daemonHost - the host of the node to use
    * @param {number} daemonPort - the port of the node to use
    * @param {boolean} [daemonSSL] - whether the node uses SSL
-   * @returns {Promise} resolves upon success else rejects with error
+   * @param {Object} [opts] - options for the switch
+   * @param {boolean} [opts.confirm=true] - whether to wait until the wallet reports the new node and has received its network height
+   * @param {number} [opts.timeout=30000] - how long, in milliseconds, to wait for the switch to be confirmed
+   * @param {number} [opts.interval=1000] - how often, in milliseconds, to check whether the switch is complete
+   * @returns {Promise<WalletAPI.NodeInfo>} resolves with the new node information upon success else rejects with error
    */
-  setNode (daemonHost, daemonPort, daemonSSL) {
+  setNode (daemonHost, daemonPort, daemonSSL, opts) {
     daemonHost = daemonHost || false
     daemonPort = daemonPort || false
     daemonSSL = daemonSSL || false
+    opts = opts || {}
 
     if (!daemonHost && !daemonPort) throw new Error('Must specify a minimum a host or port parameter')
 
@@ -694,7 +1004,12 @@ class WalletAPI {
     if (!request.daemonHost) delete request.daemonHost
     if (!request.daemonPort) delete request.daemonPort
 
-    return this._put('/node')
+    return this._put('/node', request)
+      .then(() => {
+        if (opts.confirm === false) return this.getNode()
+
+        return this._confirmNode(request, opts.timeout || 30000, opts.interval || 1000)
+      })
   }
 
   /**
@@ -719,21 +1034,33 @@ class WalletAPI {
   }
 
   /**
-   * Converts human readable units to atomic units
-   * @param {number} amount - the amount in human readable units
-   * @returns {number} the amount in atomic units form
+   * Converts human readable units to atomic units. BigInt values are always treated as amounts that are already in atomic units.
+   * Numbers are read in their shortest decimal form, so those that do not hold an amount with the supported decimal places exactly are rejected.
+   * @param {number|string|BigInt} amount - the amount in human readable units
+   * @returns {number|BigInt} the amount in atomic units form, as a BigInt if it exceeds Number.MAX_SAFE_INTEGER
    */
   toAtomicUnits (amount) {
-    if (isNaN(parseFloat(amount))) throw new Error('Amount is not a number')
+    if (typeof amount === 'bigint') return amount
+
+    if (this.amountFormat === 'number') {
+      if (isNaN(parseFloat(amount))) throw new Error('Amount is not a number')
 
-    return parseInt(parseFloat(amount) * this.decimalDivisor)
+      return parseInt(parseFloat(amount) * this.decimalDivisor)
+    }
+
+    const atomic = parseDecimalAmount(amount, this.decimalPlaces)
+
+    if (Number.isSafeInteger(Number(atomic))) return Number(atomic)
+    if (typeof BigInt === 'undefined') throw new Error('Amount exceeds the safe integer range')
+
+    return BigInt(atomic)
   }
 
   /**
    * @memberof WalletAPI
    * @typedef TransactionInfo
    * @property {number} [blockHeight] - the block height of the block containing the transaction
-   * @property {number} fee - the network fee of the transaction
+   * @property {string|BigInt|number} fee - the network fee of the transaction
    * @property {string} hash - the transaction hash
    * @property {boolean} isCoinbaseTransaction - whether the transaction is a coinbase transaction
    * @property {string} paymentID - the payment ID of the transaction if any
@@ -893,21 +1220,99 @@ class WalletAPI {
    * @returns {Promise<WalletAPI.ValidationInfo[]>} resolves with validation information or rejects with error
    */
   validateAddress (address) {
-    return this._post('/addresses/validate', { address })
+    return this._post('/addresses/validate', { address }, { idempotent: true })
+  }
+
+  /**
+   * Waits for the wallet to catch up with the network, ie. after opening it or calling {@link WalletAPI#reset}
+   * @param {Object} [opts] - the options to use when waiting (see {@link SyncTracker})
+   * @param {number} [opts.tolerance=0] - how many blocks the wallet may be behind the network and still be considered synced
+   * @param {number} [opts.timeout=0] - how long, in milliseconds, to wait before giving up, 0 waits forever
+   * @param {number} [opts.interval=5000] - how often, in milliseconds, to check the status of the wallet
+   * @param {number} [opts.maxErrors=10] - how many checks in a row may fail with an error that can be retried before giving up, 0 never gives up
+   * @returns {SyncTracker} a started tracker that can be awaited and emits progress, synced, and error events
+   */
+  waitForSync (opts) {
+    return new SyncTracker(this, opts).start()
+  }
+
+  /**
+   * Returns a view of this client whose calls are queued at the given priority when the maxConcurrent or requestsPerSecond limits are set
+   * @param {number} priority - the priority of the calls, higher priorities are sent first, the default is 0
+   * @returns {WalletAPI} the client view, sharing the connection and limits of this client
+   */
+  withPriority (priority) {
+    const view = Object.create(this)
+    view.priority = priority
+
+    return view
+  }
+}
+
+function formatAtomicUnits (amount, decimalPlaces) {
+  const negative = (amount[0] === '-')
+  var digits = (negative) ? amount.substring(1) : amount
+
+  if (decimalPlaces === 0) return amount
+
+  while (digits.length <= decimalPlaces) digits = '0' + digits
+
+  const whole = digits.substring(0, digits.length - decimalPlaces).replace(/^0+(?=\d)/, '')
+  const fraction = digits.substring(digits.length - decimalPlaces)
+
+  return util.format('%s%s.%s', (negative) ? '-' : '', whole, fraction)
+}
+
+function parseDecimalAmount (amount, decimalPlaces) {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec((amount === undefined || amount === null) ? '' : amount.toString().trim())
+  if (!match || (!match[2] && !match[3])) throw new Error('Amount is not a number')
+
+  var digits = (match[2] || '') + (match[3] || '')
+  var point = (match[2] || '').length + parseInt(match[4] || 0) + decimalPlaces
+
+  if (point < 0) {
+    digits = '0'.repeat(-point) + digits
+    point = 0
   }
+
+  while (digits.length < point) digits += '0'
+
+  if (/[1-9]/.test(digits.substring(point))) throw new Error('Amount has more decimal places than supported')
+
+  const whole = digits.substring(0, point).replace(/^0+/, '') || '0'
+
+  return (match[1] === '-' && whole !== '0') ? '-' + whole : whole
+}
+
+function isOptimized (error) {
+  if (!(error instanceof Errors.BadRequestError)) return false
+  if (typeof error.errorCode !== 'undefined') return error.errorCode === Errors.WalletErrorCode.FULLY_OPTIMIZED
+
+  return /fully optimized/i.test(error.message)
 }
 
 function handleError (err) {
-  const errorMessage = (err.error && err.error.errorMessage) ? err.error.errorMessage : ''
-  if (errorMessage.indexOf('cannot get a mnemonic seed') !== -1) return new Error(errorMessage)
+  if (!(err instanceof Errors.HttpError)) return err
+
+  const errorMessage = (err.body && err.body.errorMessage) ? err.body.errorMessage : ''
+  const details = {
+    statusCode: err.statusCode,
+    endpoint: err.endpoint,
+    method: err.method,
+    body: err.body,
+    errorCode: (err.body && typeof err.body.errorCode !== 'undefined') ? err.body.errorCode : undefined,
+    cause: err
+  }
+
+  if (errorMessage.indexOf('cannot get a mnemonic seed') !== -1) return new Errors.BadRequestError(errorMessage, details)
 
   switch (err.statusCode) {
-    case 400: return new Error('A parse error occured, or an error occured processing your request: ' + errorMessage)
-    case 401: return new Error('API key is missing or invalid')
-    case 403: return new Error('This operation requires a wallet to be open and one has not been opened')
-    case 404: return new Error('The item requested does not exist')
-    case 500: return new Error('An exception was thrown while processing the request. See the console for logs')
-    default: return new Error(err.toString())
+    case 400: return new Errors.BadRequestError('A parse error occured, or an error occured processing your request: ' + errorMessage, details)
+    case 401: return new Errors.AuthenticationError('API key is missing or invalid', details)
+    case 403: return new Errors.WalletNotOpenError('This operation requires a wallet to be open and one has not been opened', details)
+    case 404: return new Errors.NotFoundError('The item requested does not exist', details)
+    case 500: return new Errors.HttpError('An exception was thrown while processing the request. See the console for logs', details)
+    default: return err
   }
 }
 
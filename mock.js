@@ -0,0 +1,17 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const MockMONCoind = require('./lib/mock-moncoind')
+const MockServer = require('./lib/mock-server')
+const MockWalletAPI = require('./lib/mock-walletapi')
+
+/* The mock servers are kept out of the main entry point so that
+   they are never pulled into browser bundles */
+module.exports = {
+  MockMONCoind,
+  MockServer,
+  MockWalletAPI
+}
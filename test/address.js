@@ -0,0 +1,52 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Address = require('../lib/address')
+const assert = require('assert')
+
+/* A real TurtleCoin address, so that the base58 and checksum code is checked
+   against an address that was not produced by this module */
+const TURTLECOIN_PREFIX = 3914525
+const TURTLECOIN_ADDRESS = 'TRTLv1Hqo3wHdqLRXuCyX3MwvzKyxzwXeBtycnkDy8ceFp4E23bm3P467xLEbUusH6Q1mqQUBiYwJ2yULJbvr5nKe8kcyc4uyps'
+
+const PAYMENT_ID = 'b'.repeat(64)
+
+describe('Address', () => {
+  it('decodes a real address of another network', () => {
+    const info = Address.decode(TURTLECOIN_ADDRESS, { prefix: TURTLECOIN_PREFIX })
+
+    assert.strictEqual(info.isIntegrated, false)
+    assert.strictEqual(info.prefix, TURTLECOIN_PREFIX)
+    assert.strictEqual(info.publicSpendKey, '95351a6263745afa66fcebe67d3c0386d55bf0e14124ce01abc9322f588d0e22')
+    assert.strictEqual(Address.encode(info.publicSpendKey, info.publicViewKey, { prefix: TURTLECOIN_PREFIX }), TURTLECOIN_ADDRESS)
+  })
+
+  it('builds and decodes integrated addresses', () => {
+    const integrated = Address.createIntegrated(TURTLECOIN_ADDRESS, PAYMENT_ID, { prefix: TURTLECOIN_PREFIX })
+    const info = Address.decode(integrated, { prefix: TURTLECOIN_PREFIX })
+
+    assert.strictEqual(integrated.length, 187)
+    assert.strictEqual(info.isIntegrated, true)
+    assert.strictEqual(info.paymentID, PAYMENT_ID)
+    assert.strictEqual(info.actualAddress, TURTLECOIN_ADDRESS)
+  })
+
+  it('uses the MONCoin prefix by default', () => {
+    const info = Address.decode(TURTLECOIN_ADDRESS, { prefix: TURTLECOIN_PREFIX })
+    const address = Address.encode(info.publicSpendKey, info.publicViewKey)
+
+    assert.strictEqual(Address.decode(address).prefix, Address.MONCOIN_PREFIX)
+    assert.strictEqual(Address.validate(TURTLECOIN_ADDRESS), false)
+  })
+
+  it('rejects addresses with a bad checksum or prefix', () => {
+    const altered = TURTLECOIN_ADDRESS.substring(0, 50) + (TURTLECOIN_ADDRESS[50] === 'a' ? 'b' : 'a') + TURTLECOIN_ADDRESS.substring(51)
+
+    assert.throws(() => Address.decode(altered, { prefix: TURTLECOIN_PREFIX }), /checksum/)
+    assert.throws(() => Address.decode(TURTLECOIN_ADDRESS), /prefix/)
+    assert.strictEqual(Address.validate(Address.createIntegrated(TURTLECOIN_ADDRESS, PAYMENT_ID, { prefix: TURTLECOIN_PREFIX }), { prefix: TURTLECOIN_PREFIX, allowIntegrated: false }), false)
+  })
+})
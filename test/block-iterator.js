@@ -0,0 +1,79 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const BlockIterator = require('../lib/block-iterator')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('BlockIterator', () => {
+  var mock
+  var daemon
+
+  beforeEach(async () => {
+    mock = new MockMONCoind({ height: 70 })
+    daemon = new MONCoind({ port: await mock.listen(), retry: false })
+  })
+
+  afterEach(() => mock.close())
+
+  async function collect (iterator) {
+    const items = []
+
+    for await (const item of iterator) items.push(item)
+
+    return items
+  }
+
+  function calls (method) {
+    return mock.requests.filter(request => request.body && request.body.method === method).length
+  }
+
+  it('yields every block up to the top in height order', async () => {
+    const items = await collect(daemon.iterateBlocks())
+
+    assert.deepStrictEqual(items.map(item => item.height), mock.blocks.map(block => block.height))
+    items.forEach(item => {
+      assert.strictEqual(item.hash, mock.blocks[item.height].hash)
+      assert.strictEqual(item.block.hash, item.hash)
+      assert.strictEqual(item.transactions, undefined)
+    })
+
+    /* Hashes are looked up a page of 30 headers at a time */
+    assert.strictEqual(calls('f_blocks_list_json'), 3)
+  })
+
+  it('yields the requested range only', async () => {
+    const items = await collect(new BlockIterator(daemon, { from: 25, to: 64, concurrency: 2 }))
+
+    assert.deepStrictEqual(items.map(item => item.height), Array.from({ length: 40 }, (_, index) => index + 25))
+  })
+
+  it('stops at the top block when the range reaches beyond it', async () => {
+    const items = await collect(new BlockIterator(daemon, { from: 65, to: 1000 }))
+
+    assert.deepStrictEqual(items.map(item => item.height), [65, 66, 67, 68, 69])
+  })
+
+  it('fetches the transactions of every block when asked to', async () => {
+    const hash = mock.addTransaction()
+    mock.addBlocks(1)
+
+    const items = await collect(new BlockIterator(daemon, { from: 70, includeTransactions: true }))
+
+    assert.deepStrictEqual(items[0].transactions.map(transaction => transaction.txDetails.hash), [mock.blocks[70].coinbase, hash])
+  })
+
+  it('rejects if a block can not be fetched', async () => {
+    mock.fail('f_block_json', { statusCode: 500, times: Infinity })
+
+    await assert.rejects(collect(new BlockIterator(daemon, { from: 0, to: 5 })), error => error.statusCode === 500)
+  })
+
+  it('rejects a range that ends before it starts', () => {
+    assert.throws(() => new BlockIterator(daemon, { from: 10, to: 5 }), /to must not be lower than from/)
+  })
+})
@@ -0,0 +1,198 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const BlockTemplateManager = require('../lib/block-template-manager')
+const CryptoNote = require('../lib/cryptonote')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('BlockTemplateManager', () => {
+  var mock
+  var daemon
+  var manager
+
+  beforeEach(async () => {
+    mock = new MockMONCoind()
+    daemon = new MONCoind({ port: await mock.listen(), retry: false })
+    manager = new BlockTemplateManager(daemon, { walletAddress: 'MONCoinAddress', reserveSize: 8 })
+  })
+
+  afterEach(() => {
+    manager.stop()
+
+    return mock.close()
+  })
+
+  function submitted () {
+    const request = mock.requests.filter(request => request.body && request.body.method === 'submitblock').pop()
+
+    return request.body.params[0]
+  }
+
+  /* Puts the nonce found by a miner into the hashing blob of a version 1 job,
+     after the versions, the timestamp and the previous hash */
+  function solve (job, nonce) {
+    return job.blob.substring(0, 78) + nonce + job.blob.substring(86)
+  }
+
+  it('fetches a template when started', async () => {
+    const template = await new Promise(resolve => {
+      manager.once('template', resolve)
+      manager.start()
+    })
+
+    assert.strictEqual(template.height, mock.height)
+    assert.strictEqual(template.previousHash, mock.topBlock.hash)
+    assert.strictEqual(manager.current, template)
+  })
+
+  it('hands out jobs with a share target and their own extra nonce', async () => {
+    await manager.refresh()
+
+    const first = manager.getJob(1000)
+    const second = manager.getJob(1000)
+
+    assert.strictEqual(first.height, mock.height)
+    assert.strictEqual(first.difficulty, 1000)
+    assert.strictEqual(first.target, '37894100')
+    assert.notStrictEqual(first.jobId, second.jobId)
+    assert.notStrictEqual(first.blob, second.blob)
+    assert.throws(() => manager.getJob(0), /difficulty/)
+  })
+
+  it('writes the extra nonce big endian at the start of the reserved space', async () => {
+    const template = await manager.refresh()
+
+    manager.getJob(1)
+    const job = manager.getJob(1)
+    await manager.submit(job.jobId, '00000000')
+
+    const blob = Buffer.from(submitted(), 'hex')
+
+    assert.strictEqual(blob.toString('hex', template.reservedOffset, template.reservedOffset + 8), '0000000200000000')
+    assert.strictEqual(blob.readUInt32BE(template.reservedOffset), 2)
+  })
+
+  it('submits the block that the miner hashed with its nonce', async () => {
+    await manager.refresh()
+
+    const job = manager.getJob(1)
+    const result = await manager.submit(job.jobId, '0a0b0c0d')
+    const block = CryptoNote.decodeBlock(submitted())
+
+    assert.strictEqual(result.accepted, true)
+    assert.strictEqual(block.nonce, 0x0d0c0b0a)
+    assert.strictEqual(CryptoNote.blockHashingBlob(block), solve(job, '0a0b0c0d'))
+    assert.strictEqual(result.hash, CryptoNote.blockHash(block))
+    assert.strictEqual(mock.height, 11)
+  })
+
+  it('rejects duplicate nonces and unknown jobs without asking the daemon', async () => {
+    await manager.refresh()
+
+    const job = manager.getJob(1)
+    mock.setFixture('submitblock', { status: 'OK' })
+
+    assert.strictEqual((await manager.submit(job.jobId, '00000001')).accepted, true)
+    assert.strictEqual((await manager.submit(job.jobId, '00000001')).reason, 'Duplicate nonce')
+    assert.strictEqual((await manager.submit('unknown', '00000001')).reason, 'Unknown or stale job')
+    assert.strictEqual(mock.requests.filter(request => request.body && request.body.method === 'submitblock').length, 1)
+  })
+
+  it('rejects blocks that the daemon does not accept', async () => {
+    await manager.refresh()
+
+    const job = manager.getJob(1)
+    mock.addBlocks(1)
+
+    const rejected = new Promise(resolve => manager.once('rejected', resolve))
+    const result = await manager.submit(job.jobId, '00000000')
+
+    assert.strictEqual(result.accepted, false)
+    assert.strictEqual(result.reason, 'Block not accepted')
+    assert.strictEqual(await rejected, result)
+  })
+
+  it('forgets the jobs of an older height', async () => {
+    await manager.refresh()
+
+    const job = manager.getJob(1)
+    mock.addBlocks(1)
+    await manager.refresh()
+
+    assert.strictEqual((await manager.submit(job.jobId, '00000000')).reason, 'Unknown or stale job')
+    assert.strictEqual(manager.jobs.size, 0)
+  })
+
+  it('forgets jobs that were handed out too long ago', async () => {
+    manager = new BlockTemplateManager(daemon, { walletAddress: 'MONCoinAddress', maxJobAge: 20 })
+    await manager.refresh()
+
+    const job = manager.getJob(1)
+    await new Promise(resolve => setTimeout(resolve, 30))
+    const recent = manager.getJob(1)
+
+    assert.deepStrictEqual(Array.from(manager.jobs.keys()), [recent.jobId])
+    assert.strictEqual((await manager.submit(job.jobId, '00000000')).reason, 'Unknown or stale job')
+  })
+
+  it('commits the parent block of a merge mined template to the block with its extra nonce', async () => {
+    const key = 'aa'.repeat(32)
+    const template = {
+      major_version: 4,
+      minor_version: 0,
+      timestamp: 1560000000,
+      prev_hash: mock.topBlock.hash,
+      nonce: 0,
+      parent_block: {
+        major_version: 1,
+        minor_version: 0,
+        prev_hash: '00'.repeat(32),
+        transaction_count: 1,
+        base_transaction_branch: [],
+        miner_tx: {
+          version: 1,
+          unlock_time: 0,
+          vin: [{ type: 'ff', value: { height: 0 } }],
+          vout: [],
+          extra: '01' + key + '032100' + '00'.repeat(32)
+        },
+        blockchain_branch: []
+      },
+      miner_tx: {
+        version: 1,
+        unlock_time: 50,
+        vin: [{ type: 'ff', value: { height: mock.height } }],
+        vout: [{ amount: 100, target: { data: { key }, type: '02' } }],
+        extra: '01' + key + '0208' + 'ee'.repeat(8),
+        signatures: []
+      },
+      tx_hashes: []
+    }
+    const marked = CryptoNote.encodeBlock(template)
+    const blob = marked.replace('ee'.repeat(8), '00'.repeat(8))
+
+    mock.setFixture('getblocktemplate', {
+      blocktemplate_blob: blob,
+      difficulty: 100,
+      height: mock.height,
+      reserved_offset: marked.indexOf('ee'.repeat(8)) / 2,
+      status: 'OK'
+    })
+
+    await manager.refresh()
+    const job = manager.getJob(1)
+    const result = await manager.submit(job.jobId, '01000000')
+    const block = CryptoNote.decodeBlock(submitted())
+
+    assert.strictEqual(block.miner_tx.extra, '01' + key + '0208' + '0000000100000000')
+    assert.strictEqual(block.parent_block.miner_tx.extra, '01' + key + '032100' + CryptoNote.auxiliaryHash(block))
+    assert.strictEqual(job.blob, CryptoNote.blockHashingBlob(Object.assign({}, block, { nonce: 0 })))
+    assert.strictEqual(result.hash, CryptoNote.blockHash(block))
+    assert.strictEqual(result.accepted, true)
+  })
+})
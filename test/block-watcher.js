@@ -0,0 +1,77 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const BlockWatcher = require('../lib/block-watcher')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('BlockWatcher', () => {
+  var mock
+  var daemon
+
+  beforeEach(async () => {
+    mock = new MockMONCoind({ height: 20 })
+    daemon = new MONCoind({ port: await mock.listen(), retry: false })
+  })
+
+  afterEach(() => mock.close())
+
+  function next (watcher, event) {
+    return new Promise(resolve => watcher.once(event, resolve))
+  }
+
+  it('emits new blocks', async () => {
+    const watcher = new BlockWatcher(daemon, { interval: 10 }).start()
+
+    assert.strictEqual((await next(watcher, 'block')).height, 19)
+
+    mock.addBlocks(1)
+    assert.strictEqual((await next(watcher, 'block')).height, 20)
+
+    watcher.stop()
+  })
+
+  it('emits reorganizations before the replacing blocks', async () => {
+    const watcher = new BlockWatcher(daemon, { interval: 10, startHeight: 15 }).start()
+    const blocks = []
+    watcher.on('block', header => blocks.push(header.height))
+
+    while (blocks.indexOf(19) === -1) await next(watcher, 'block')
+
+    const replaced = mock.reorg(2)
+    const reorg = await next(watcher, 'reorg')
+    watcher.stop()
+
+    assert.strictEqual(reorg.forkHeight, 17)
+    assert.deepStrictEqual(reorg.replacing.headers.map(header => header.hash), replaced.map(block => block.hash))
+  })
+
+  it('keeps a single polling loop when restarted during a poll', async () => {
+    const calls = []
+    const stub = {
+      lastBlockHeader: () => new Promise(resolve => calls.push(resolve))
+    }
+
+    const watcher = new BlockWatcher(stub, { interval: 10 }).start()
+
+    while (calls.length === 0) await sleep(5)
+
+    watcher.stop()
+    watcher.start()
+    calls[0]({ hash: 'a', prev_hash: '0', height: 1 })
+
+    /* The second poll never returns, so a single loop stops there */
+    await sleep(100)
+    watcher.stop()
+
+    assert.strictEqual(calls.length, 2)
+  })
+})
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
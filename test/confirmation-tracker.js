@@ -0,0 +1,101 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const ConfirmationTracker = require('../lib/confirmation-tracker')
+const Errors = require('../lib/errors')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('ConfirmationTracker', () => {
+  var mock
+  var daemon
+
+  beforeEach(async () => {
+    mock = new MockMONCoind()
+    daemon = new MONCoind({ port: await mock.listen(), retry: false })
+  })
+
+  afterEach(() => mock.close())
+
+  it('resolves once the transactions are buried under the requested number of blocks', async () => {
+    const hash = mock.addTransaction()
+    const tracker = new ConfirmationTracker(daemon, hash, { confirmations: 3, interval: 10 })
+    const statuses = []
+
+    tracker.on('progress', status => statuses.push(status.status))
+    tracker.once('progress', () => mock.addBlocks(3))
+    tracker.start()
+
+    const results = await tracker
+
+    assert.strictEqual(results[0].hash, hash)
+    assert.strictEqual(results[0].status, 'confirmed')
+    assert.strictEqual(results[0].confirmations, 3)
+    assert.strictEqual(statuses[0], 'pool')
+    assert.strictEqual(statuses[statuses.length - 1], 'confirmed')
+  })
+
+  it('rejects a transaction that the daemon no longer knows of', async () => {
+    const hash = mock.addTransaction()
+    const tracker = new ConfirmationTracker(daemon, hash, { interval: 10 })
+
+    tracker.once('progress', () => mock.dropTransaction(hash))
+    tracker.start()
+
+    await assert.rejects(tracker.wait(hash), Errors.TransactionDroppedError)
+    await assert.rejects(tracker, Errors.TransactionDroppedError)
+    assert.strictEqual(tracker.results()[0].status, 'dropped')
+  })
+
+  it('rejects the pending transactions once the deadline passes', async () => {
+    const hash = mock.addTransaction()
+    const tracker = new ConfirmationTracker(daemon, hash, { interval: 10, timeout: 50 }).start()
+
+    await assert.rejects(tracker, Errors.OperationTimeoutError)
+    assert.strictEqual(tracker.results()[0].status, 'timeout')
+  })
+
+  it('rejects straight away on an error that can not be retried', async () => {
+    mock.fail('get_transactions_status', { statusCode: 401, times: Infinity })
+
+    const tracker = new ConfirmationTracker(daemon, mock.addTransaction(), { interval: 10 }).start()
+
+    await assert.rejects(tracker, error => error.statusCode === 401)
+    assert.strictEqual(tracker.results()[0].status, 'error')
+    assert.strictEqual(mock.requests.length, 1)
+    assert.strictEqual(tracker.running, false)
+  })
+
+  it('keeps checking through errors that can be retried', async () => {
+    mock.fail('get_transactions_status', { statusCode: 503, times: 2 })
+
+    const tracker = new ConfirmationTracker(daemon, mock.addTransaction(), { interval: 10 })
+    const errors = []
+
+    tracker.on('error', error => errors.push(error))
+    tracker.once('progress', () => mock.addBlocks(1))
+    tracker.start()
+
+    assert.strictEqual((await tracker)[0].status, 'confirmed')
+    assert.strictEqual(errors.length, 2)
+  })
+
+  it('rejects once too many checks in a row have failed', async () => {
+    const port = mock.port
+    await mock.close()
+
+    const unreachable = new MONCoind({ port: port, retry: false })
+    const tracker = new ConfirmationTracker(unreachable, 'a'.repeat(64), { interval: 10, maxErrors: 3 })
+    var errors = 0
+
+    tracker.on('error', () => errors++)
+    tracker.start()
+
+    await assert.rejects(tracker, error => error.code === 'ECONNREFUSED')
+    assert.strictEqual(errors, 3)
+  })
+})
@@ -0,0 +1,113 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const CryptoNote = require('../lib/cryptonote')
+
+/* No MONCoin blocks were at hand, so the vectors come from chains that share
+   the CryptoNote block format: the Monero genesis block, whose hashes are
+   published, and a merge mined block whose hashes were checked against
+   turtlecoin-utils 3.0.9 (Block#hash and Block#merkleRoot) */
+const GENESIS_TRANSACTION = '013c01ff0001ffffffffffff03029b2e4c0281c0b02e7c53291a94d1d0cbff8883f8024f5142ee494ffbbd08807121017767aafcde9be00dcfd098715ebcf7f410daebc582fda69d24a28e9d0bc890d1'
+const GENESIS_BLOCK = '010000' + '00'.repeat(32) + '10270000' + GENESIS_TRANSACTION + '00'
+const GENESIS_HASH = '418015bb9ae982a1975da7d79277c2705727a56894ba0fb246adaabb1f4632e3'
+const GENESIS_TRANSACTION_HASH = 'c88ce9783b4f11190d7b9c17a69c1c52200f9faaee8e98dd07e6811175177139'
+
+const MERGE_MINED_BLOCK = '040007a64f2010cf5a94158dc803666d72b450aadcb156892caf5620cee71556f6ba010080eceee7050357db1633386a0162f26544035ff8fc5b88d052bddfdf0cf4d7efdc25f70de204030201054a09bf59456901aaf706d13f33481fda03ce6eb1ea3785070cb42ca14c0c048c2eaa2032d5f2b45ec2c28031ff936f53243c7005be4ad621b92191779dd1251c010001ff4d0164029963957af095f2e550d4bc6fe8034f6686bd446cf01f30619cc5f605cc0cbc514401c4c77830451c91bd80b0e6c3ca3e0b83f8a5789eaf6ec2b7c9b9080cf458c13b03210237cbc0587e39847a0f12b2b15275b4883f43929bfd6f461963658865e3f90e9b7c1b16802b304761acd81e033c1db5a9721da4b32959e4a8361983cfacacbbec9e8eac5ebc9e5f692bb261b0b9d9d23399741ae01a7ae6bb2ef3f10d89ba4738013201ff7b0186170207855b46a623a8ecabac76ed697aa4e13631e3b6718c8a0d342860c13c30d2fc210177221c7ed088483f3a6450eff76bbf5ad6823235c188b1abb3e672f79ea4007202a67f73d51ee72b523b04e822c03cdc6d8625e90905a96376330d0928c982eaa686575057ed17ff6caaf5065ad176f7ddda28954ef187cc69a60cfa3aaef4744a'
+const MERGE_MINED_HASH = '35cf3e56765014f9810470f5ac41def8ce7deae57d54150a8249d631c4c287f7'
+const MERGE_MINED_AUXILIARY_HASH = 'bb81d58aa47f6389caf98360d5807bb572c54700606e95305f77b805cd1878ad'
+const MERGE_MINED_HASHING_BLOB = '010080eceee7050357db1633386a0162f26544035ff8fc5b88d052bddfdf0cf4d7efdc25f70de204030201ad7c82f0e105f8a43c60de78baf09eb02565712514edc37f689f2af16fa4e0b505'
+
+describe('CryptoNote', () => {
+  describe('blocks', () => {
+    it('decodes a block', () => {
+      const block = CryptoNote.decodeBlock(GENESIS_BLOCK)
+
+      assert.strictEqual(block.major_version, 1)
+      assert.strictEqual(block.minor_version, 0)
+      assert.strictEqual(block.timestamp, 0)
+      assert.strictEqual(block.prev_hash, '00'.repeat(32))
+      assert.strictEqual(block.nonce, 10000)
+      assert.deepStrictEqual(block.tx_hashes, [])
+      assert.deepStrictEqual(block.miner_tx.vin, [{ type: 'ff', value: { height: 0 } }])
+      assert.strictEqual(block.miner_tx.vout[0].amount, 17592186044415)
+      assert.strictEqual(block.miner_tx.publicKey, '7767aafcde9be00dcfd098715ebcf7f410daebc582fda69d24a28e9d0bc890d1')
+    })
+
+    it('hashes a block and its miner transaction', () => {
+      const block = CryptoNote.decodeBlock(GENESIS_BLOCK)
+
+      assert.strictEqual(CryptoNote.transactionHash(block.miner_tx), GENESIS_TRANSACTION_HASH)
+      assert.strictEqual(CryptoNote.blockHash(block), GENESIS_HASH)
+    })
+
+    it('decodes a merge mined block', () => {
+      const block = CryptoNote.decodeBlock(MERGE_MINED_BLOCK)
+
+      assert.strictEqual(block.major_version, 4)
+      assert.strictEqual(block.timestamp, 1560000000)
+      assert.strictEqual(block.nonce, 0x01020304)
+      assert.strictEqual(block.tx_hashes.length, 2)
+      assert.strictEqual(block.parent_block.transaction_count, 5)
+      assert.strictEqual(block.parent_block.base_transaction_branch.length, 2)
+      assert.strictEqual(block.parent_block.blockchain_branch.length, 2)
+      assert.strictEqual(block.parent_block.timestamp, block.timestamp)
+    })
+
+    it('hashes a merge mined block', () => {
+      const block = CryptoNote.decodeBlock(MERGE_MINED_BLOCK)
+
+      assert.strictEqual(CryptoNote.blockHashingBlob(block), MERGE_MINED_HASHING_BLOB)
+      assert.strictEqual(CryptoNote.auxiliaryHash(block), MERGE_MINED_AUXILIARY_HASH)
+      assert.strictEqual(CryptoNote.blockHash(block), MERGE_MINED_HASH)
+    })
+
+    it('encodes a decoded block back into the same blob', () => {
+      assert.strictEqual(CryptoNote.encodeBlock(CryptoNote.decodeBlock(GENESIS_BLOCK)), GENESIS_BLOCK)
+      assert.strictEqual(CryptoNote.encodeBlock(CryptoNote.decodeBlock(MERGE_MINED_BLOCK)), MERGE_MINED_BLOCK)
+    })
+
+    it('rejects blobs that are truncated or have trailing data', () => {
+      assert.throws(() => CryptoNote.decodeBlock(GENESIS_BLOCK.slice(0, -2)), /Unexpected end of data/)
+      assert.throws(() => CryptoNote.decodeBlock(GENESIS_BLOCK + '00'), /Unexpected data at offset/)
+      assert.throws(() => CryptoNote.decodeBlock('0x'), /hexadecimal/)
+    })
+  })
+
+  describe('transactions', () => {
+    const transaction = {
+      version: 1,
+      unlock_time: 0,
+      vin: [{ type: '02', value: { amount: 1000, k_image: 'aa'.repeat(32), key_offsets: [5, 300] } }],
+      vout: [{ amount: 990, target: { data: { key: 'bb'.repeat(32) }, type: '02' } }],
+      extra: '01' + 'cc'.repeat(32),
+      signatures: [['dd'.repeat(64), 'ee'.repeat(64)]]
+    }
+
+    it('encodes and decodes a transaction with its signatures', () => {
+      const blob = CryptoNote.encodeTransaction(transaction)
+      const decoded = CryptoNote.decodeTransaction(blob)
+
+      assert.deepStrictEqual(decoded, Object.assign({ publicKey: 'cc'.repeat(32) }, transaction))
+      assert.strictEqual(CryptoNote.encodeTransaction(decoded), blob)
+    })
+
+    it('encodes and decodes a transaction prefix', () => {
+      const blob = CryptoNote.encodeTransactionPrefix(transaction)
+
+      assert.strictEqual(CryptoNote.encodeTransaction(transaction).indexOf(blob), 0)
+      assert.strictEqual(CryptoNote.decodeTransactionPrefix(blob).vin[0].value.key_offsets[1], 300)
+    })
+
+    it('decodes a raw transaction', () => {
+      assert.strictEqual(CryptoNote.decodeTransaction(GENESIS_TRANSACTION).unlock_time, 60)
+    })
+
+    it('rejects a transaction without the signatures of every input', () => {
+      assert.throws(() => CryptoNote.encodeTransaction(Object.assign({}, transaction, { signatures: [['dd'.repeat(64)]] })), /Wrong number of signatures/)
+    })
+  })
+})
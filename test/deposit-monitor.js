@@ -0,0 +1,124 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Address = require('../lib/address')
+const assert = require('assert')
+const DepositMonitor = require('../lib/deposit-monitor')
+const MockMONCoind = require('../mock').MockMONCoind
+const MockWalletAPI = require('../mock').MockWalletAPI
+const WalletAPI = require('../lib/walletapi-rpc')
+
+describe('DepositMonitor', () => {
+  var daemon
+  var mock
+  var wallet
+  var monitor
+  var events
+
+  beforeEach(async () => {
+    daemon = new MockMONCoind()
+    mock = new MockWalletAPI({ daemon })
+    wallet = new WalletAPI({ password: 'password', port: await mock.listen(), timeout: 200, retry: false })
+    monitor = new DepositMonitor(wallet, { confirmations: 3 })
+    events = []
+
+    ;['pending', 'confirmed', 'orphaned'].forEach(event => monitor.on(event, deposit => events.push([event, deposit.customerId, deposit.confirmations, deposit.final])))
+  })
+
+  afterEach(() => mock.close())
+
+  it('follows an integrated deposit until it is final', async () => {
+    const assignment = await monitor.assign('alice')
+    assert.strictEqual(Address.decode(assignment.address).actualAddress, mock.primaryAddress)
+
+    mock.receive(assignment.address, 500)
+    await monitor.poll()
+    daemon.addBlocks(1)
+    await monitor.poll()
+    daemon.addBlocks(2)
+    await monitor.poll()
+
+    assert.deepStrictEqual(events, [
+      ['pending', 'alice', 0, false],
+      ['confirmed', 'alice', 1, false],
+      ['confirmed', 'alice', 3, true]
+    ])
+  })
+
+  it('does not credit a payment ID sent to another address of the wallet', async () => {
+    const assignment = await monitor.assign('alice')
+    const other = mock.createAddress().address
+
+    mock.receive(Address.createIntegrated(other, assignment.paymentId), 500)
+    daemon.addBlocks(1)
+    await monitor.poll()
+
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('keeps deposits above the wallet height when the wallet goes back', async () => {
+    const assignment = await monitor.assign('alice')
+
+    mock.receive(assignment.address, 500)
+    daemon.addBlocks(1)
+    await monitor.poll()
+
+    mock.setFixture('GET /status', { walletBlockCount: daemon.height - 2, localDaemonBlockCount: daemon.height, networkBlockCount: daemon.height })
+    await monitor.poll()
+
+    delete mock.fixtures['GET /status']
+    daemon.addBlocks(2)
+    await monitor.poll()
+
+    assert.deepStrictEqual(events, [
+      ['pending', 'alice', 0, false],
+      ['confirmed', 'alice', 1, false],
+      ['confirmed', 'alice', 3, true]
+    ])
+  })
+
+  it('credits deposits in every amount format of the wallet', async () => {
+    const formats = ['string', 'bigint', 'number']
+    const amounts = []
+
+    for (var i = 0; i < formats.length; i++) {
+      const client = new WalletAPI({ password: 'password', port: mock.port, amountFormat: formats[i], retry: false })
+      const formatMonitor = new DepositMonitor(client, { confirmations: 3 })
+      const assignment = await formatMonitor.assign('alice')
+
+      formatMonitor.on('pending', deposit => amounts.push(deposit.amount))
+      mock.receive(assignment.address, 500)
+      daemon.addBlocks(1)
+      await formatMonitor.poll()
+    }
+
+    assert.deepStrictEqual(amounts, ['5.00', '500', '5'])
+  })
+
+  it('assigns a customer once when asked concurrently', async () => {
+    monitor = new DepositMonitor(wallet, { mode: 'subaddress' })
+
+    const assignments = await Promise.all([monitor.assign('bob'), monitor.assign('bob'), monitor.assign(42)])
+
+    assert.strictEqual(assignments[0].address, assignments[1].address)
+    assert.notStrictEqual(assignments[0].address, assignments[2].address)
+    assert.strictEqual(mock.addresses.length, 3)
+    assert.strictEqual(monitor.assigning.size, 0)
+    assert.deepStrictEqual(await monitor.assign('bob'), assignments[0])
+  })
+
+  it('asks the wallet for height ranges only', async () => {
+    monitor = new DepositMonitor(wallet, { confirmations: 3, batchSize: 4 })
+    daemon.addBlocks(1)
+
+    await monitor.assign('alice')
+    await monitor.poll()
+
+    const ranges = mock.requests.map(request => request.path).filter(path => /^\/transactions(\/\d+)*$/.test(path))
+
+    assert.deepStrictEqual(ranges, ['/transactions/1/5', '/transactions/5/9', '/transactions/9/11'])
+  })
+})
@@ -0,0 +1,57 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const LruStore = require('../lib/lru-store')
+
+describe('LruStore', () => {
+  it('stores, retrieves and removes entries', async () => {
+    const store = new LruStore()
+
+    await store.set('a', { height: 1 })
+    assert.deepStrictEqual(await store.get('a'), { height: 1 })
+    assert.strictEqual(store.size, 1)
+
+    await store.delete('a')
+    assert.strictEqual(await store.get('a'), undefined)
+    assert.strictEqual(store.size, 0)
+  })
+
+  it('returns copies so that callers can not change the stored entries', async () => {
+    const store = new LruStore()
+
+    await store.set('a', { height: 1 })
+    ;(await store.get('a')).height = 2
+
+    assert.deepStrictEqual(await store.get('a'), { height: 1 })
+  })
+
+  it('evicts the least recently used entry first', async () => {
+    const store = new LruStore({ maxEntries: 2 })
+
+    await store.set('a', 1)
+    await store.set('b', 2)
+    await store.get('a')
+    await store.set('c', 3)
+
+    assert.strictEqual(store.size, 2)
+    assert.strictEqual(await store.get('a'), 1)
+    assert.strictEqual(await store.get('b'), undefined)
+    assert.strictEqual(await store.get('c'), 3)
+  })
+
+  it('counts an overwritten entry as recently used', async () => {
+    const store = new LruStore({ maxEntries: 2 })
+
+    await store.set('a', 1)
+    await store.set('b', 2)
+    await store.set('a', 10)
+    await store.set('c', 3)
+
+    assert.strictEqual(await store.get('a'), 10)
+    assert.strictEqual(await store.get('b'), undefined)
+  })
+})
@@ -0,0 +1,113 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const MempoolWatcher = require('../lib/mempool-watcher')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('MempoolWatcher', () => {
+  var mock
+  var daemon
+
+  beforeEach(async () => {
+    mock = new MockMONCoind()
+    daemon = new MONCoind({ port: await mock.listen(), retry: false })
+  })
+
+  afterEach(() => mock.close())
+
+  function next (watcher, event) {
+    return new Promise(resolve => watcher.once(event, resolve))
+  }
+
+  it('emits transactions as they enter and leave the pool', async () => {
+    const hash = mock.addTransaction()
+    const watcher = new MempoolWatcher(daemon, { interval: 10 }).start()
+
+    assert.strictEqual((await next(watcher, 'added')).hash, hash)
+
+    mock.addBlocks(1)
+    assert.strictEqual((await next(watcher, 'removed')).hash, hash)
+
+    watcher.stop()
+  })
+
+  it('parses the extra field of the transactions unless asked not to', async () => {
+    mock.addTransaction()
+
+    const parsed = new MempoolWatcher(daemon, { interval: 10 }).start()
+    const raw = new MempoolWatcher(daemon, { interval: 10, parseExtra: false }).start()
+    const added = await Promise.all([next(parsed, 'added'), next(raw, 'added')])
+
+    parsed.stop()
+    raw.stop()
+
+    assert.strictEqual(typeof added[0].prefix.parsedExtra, 'object')
+    assert.strictEqual(typeof added[0].prefix.extra, 'string')
+    assert.strictEqual(added[1].prefix.parsedExtra, undefined)
+  })
+
+  it('only asks for the changes against the known transactions when the tail block changes', async () => {
+    const calls = []
+    const responses = [
+      { isTailBlockActual: true, addedTxs: [{ hash: 'A' }, { hash: 'B' }], deletedTxsIds: [] },
+      { isTailBlockActual: false, addedTxs: [], deletedTxsIds: [] },
+      { isTailBlockActual: true, addedTxs: [{ hash: 'C' }], deletedTxsIds: ['A'] }
+    ]
+    const tails = ['a', 'b']
+    const stub = {
+      lastBlockHeader: () => Promise.resolve({ hash: tails.shift() }),
+      poolChanges: (tailBlockHash, known) => {
+        calls.push([tailBlockHash, known])
+
+        return Promise.resolve(responses.shift())
+      }
+    }
+
+    const events = []
+    const watcher = new MempoolWatcher(stub)
+    ;['added', 'removed', 'reset'].forEach(event => watcher.on(event, value => events.push(event + ':' + (value.hash || value))))
+
+    await watcher.poll()
+    await watcher.poll()
+
+    assert.deepStrictEqual(calls, [['a', []], ['a', ['A', 'B']], ['b', ['A', 'B']]])
+    assert.deepStrictEqual(events, ['added:A', 'added:B', 'reset:b', 'removed:A', 'added:C'])
+  })
+
+  it('keeps a single polling loop when restarted during a poll', async () => {
+    const headers = []
+    const changes = []
+    const stub = {
+      lastBlockHeader: () => new Promise(resolve => headers.push(resolve)),
+      poolChanges: () => new Promise(resolve => {
+        changes.push(resolve)
+
+        /* Only the first request, made when resetting, ever returns */
+        if (changes.length === 1) resolve({ isTailBlockActual: true, addedTxs: [], deletedTxsIds: [] })
+      })
+    }
+
+    const watcher = new MempoolWatcher(stub, { interval: 10 }).start()
+
+    while (headers.length === 0) await sleep(5)
+
+    watcher.stop()
+    watcher.start()
+    headers[0]({ hash: 'a' })
+
+    await sleep(100)
+    watcher.stop()
+
+    assert.strictEqual(headers.length, 1)
+    assert.strictEqual(changes.length, 2)
+  })
+})
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
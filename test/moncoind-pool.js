@@ -0,0 +1,139 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const Errors = require('../lib/errors')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoindPool = require('../lib/moncoind-pool')
+
+describe('MONCoindPool', () => {
+  const first = new MockMONCoind()
+  const second = new MockMONCoind()
+  var hosts
+
+  before(async () => {
+    hosts = ['127.0.0.1:' + await first.listen(), '127.0.0.1:' + await second.listen()]
+  })
+
+  after(() => Promise.all([first.close(), second.close()]))
+
+  beforeEach(() => {
+    [first, second].forEach(mock => {
+      mock.clearFailures()
+      mock.requests = []
+    })
+  })
+
+  function pool (opts) {
+    return new MONCoindPool(Object.assign({ hosts, healthCheckInterval: 0, retry: false, timeout: 200 }, opts))
+  }
+
+  it('spreads calls over the nodes', async () => {
+    const daemon = pool()
+
+    await daemon.info()
+    await daemon.info()
+
+    assert.strictEqual(first.requests.length, 1)
+    assert.strictEqual(second.requests.length, 1)
+  })
+
+  it('fails over to the next node when a node errors', async () => {
+    const daemon = pool()
+    first.fail('*', { statusCode: 503, times: Infinity })
+
+    const info = await daemon.info()
+
+    assert.strictEqual(info.height, second.height)
+    assert.strictEqual(first.requests.length, 1)
+    assert.strictEqual(second.requests.length, 1)
+    assert.strictEqual(daemon.nodes[0].healthy, false)
+    assert(daemon.nodes[0].lastError instanceof Errors.HttpError)
+  })
+
+  it('fails over to the next node when a node times out', async () => {
+    const daemon = pool()
+    first.fail('*', { hang: true })
+
+    await daemon.info()
+
+    assert.strictEqual(second.requests.length, 1)
+    assert(daemon.nodes[0].lastError instanceof Errors.RpcTimeoutError)
+  })
+
+  it('fails over to the next node when a node is unreachable', async () => {
+    const closed = new MockMONCoind()
+    const closedPort = await closed.listen()
+    await closed.close()
+
+    const daemon = pool({ hosts: ['127.0.0.1:' + closedPort, hosts[1]] })
+
+    await daemon.info()
+
+    assert.strictEqual(second.requests.length, 1)
+    assert.strictEqual(daemon.nodes[0].healthy, false)
+  })
+
+  it('prefers healthy nodes once a node has failed', async () => {
+    const daemon = pool()
+    first.fail('*', { statusCode: 503 })
+
+    await daemon.info()
+    await daemon.info()
+    await daemon.info()
+
+    assert.strictEqual(first.requests.length, 1)
+    assert.strictEqual(second.requests.length, 3)
+  })
+
+  it('does not fail over errors that are not caused by the node', async () => {
+    const daemon = pool()
+    first.fail('info', { statusCode: 400 })
+
+    await assert.rejects(daemon.info(), Errors.BadRequestError)
+    assert.strictEqual(second.requests.length, 0)
+    assert.strictEqual(daemon.nodes[0].healthy, true)
+  })
+
+  it('does not fail over calls that are not idempotent unless the node was unreachable', async () => {
+    const daemon = pool()
+    first.fail('submitblock', { statusCode: 503 })
+
+    await assert.rejects(daemon.submitBlock('00'), error => error.statusCode === 503)
+    assert.strictEqual(first.requests.length, 1)
+    assert.strictEqual(second.requests.length, 0)
+  })
+
+  it('sends a transaction to one node only, even if that node fails', async () => {
+    first.fail('sendrawtransaction', { statusCode: 503 })
+    await assert.rejects(pool().sendRawTransaction('00'), error => error.statusCode === 503)
+
+    first.fail('sendrawtransaction', { hang: true })
+    await assert.rejects(pool().sendRawTransaction('00'), Errors.RpcTimeoutError)
+
+    assert.strictEqual(first.requests.length, 2)
+    assert.strictEqual(second.requests.length, 0)
+  })
+
+  it('rejects with the last error when every node fails', async () => {
+    const daemon = pool()
+    first.fail('*', { statusCode: 503 })
+    second.fail('*', { statusCode: 502 })
+
+    await assert.rejects(daemon.info(), error => error.statusCode === 502)
+  })
+
+  it('marks nodes that fail the health check as unhealthy', async () => {
+    const daemon = pool()
+    second.fail('info', { statusCode: 500 })
+
+    const nodes = await daemon.checkHealth()
+
+    assert.strictEqual(nodes[0].healthy, true)
+    assert.strictEqual(nodes[0].height, first.height)
+    assert.strictEqual(nodes[1].healthy, false)
+  })
+})
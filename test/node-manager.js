@@ -0,0 +1,116 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const MockMONCoind = require('../mock').MockMONCoind
+const MockWalletAPI = require('../mock').MockWalletAPI
+const NodeManager = require('../lib/node-manager')
+const WalletAPI = require('../lib/walletapi-rpc')
+
+describe('NodeManager', () => {
+  var daemon
+  var mock
+  var wallet
+  var manager
+
+  beforeEach(async () => {
+    daemon = new MockMONCoind()
+    mock = new MockWalletAPI({ daemon: daemon })
+    wallet = new WalletAPI({ password: 'password', port: await mock.listen(), timeout: 200, retry: false })
+  })
+
+  afterEach(() => {
+    if (manager) manager.stop()
+
+    return mock.close()
+  })
+
+  function next (event) {
+    return new Promise(resolve => manager.once(event, resolve))
+  }
+
+  it('parses the candidate nodes', () => {
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com', { host: 'three.example.com', port: 443, ssl: true }])
+
+    assert.deepStrictEqual(manager.nodes, [
+      { host: 'one.example.com', port: 11898, ssl: false },
+      { host: 'two.example.com', port: 12898, ssl: false },
+      { host: 'three.example.com', port: 443, ssl: true }
+    ])
+  })
+
+  it('moves the wallet to the first candidate when started', async () => {
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com:11898'], { interval: 10 })
+
+    const switched = next('switch')
+    manager.start()
+
+    assert.deepStrictEqual(await switched, { from: undefined, to: { host: 'one.example.com', port: 11898, ssl: false } })
+    assert.strictEqual(mock.node.daemonHost, 'one.example.com')
+  })
+
+  it('stays on a node that keeps advancing', async () => {
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com:11898'], { interval: 10, stallTimeout: 100 })
+
+    const switches = []
+    manager.on('switch', event => switches.push(event))
+    manager.start()
+
+    for (var i = 0; i < 5; i++) {
+      await new Promise(resolve => setTimeout(resolve, 40))
+      daemon.addBlocks(1)
+    }
+
+    assert.strictEqual(switches.length, 1)
+    assert.strictEqual(manager.current.host, 'one.example.com')
+  })
+
+  it('moves to the next candidate once the node stalls', async () => {
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com:11898'], { interval: 10, stallTimeout: 50 })
+
+    await new Promise(resolve => {
+      manager.once('switch', resolve)
+      manager.start()
+    })
+
+    const stalled = next('stalled')
+    const switched = next('switch')
+
+    assert.strictEqual((await stalled).host, 'one.example.com')
+    assert.strictEqual((await switched).from.host, 'one.example.com')
+    assert.strictEqual(manager.current.host, 'two.example.com')
+  })
+
+  it('skips candidates that the wallet can not be moved to', async () => {
+    mock.fail('PUT /node', { statusCode: 500 })
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com:11898'], { interval: 10 })
+
+    const errors = []
+    manager.on('error', error => errors.push(error))
+
+    const switched = next('switch')
+    manager.start()
+
+    assert.strictEqual((await switched).to.host, 'two.example.com')
+    assert.strictEqual(errors.length, 1)
+  })
+
+  it('wraps around to the start of the list', async () => {
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com:11898'], { interval: 60000 })
+    manager.index = 1
+
+    assert.strictEqual((await manager.next()).host, 'one.example.com')
+    assert.strictEqual(manager.index, 0)
+  })
+
+  it('rejects if none of the candidates can be reached', async () => {
+    mock.fail('PUT /node', { statusCode: 500, times: Infinity })
+    manager = new NodeManager(wallet, ['one.example.com:11898', 'two.example.com:11898'])
+
+    await assert.rejects(manager.next(), /None of the candidate nodes could be reached/)
+    assert.strictEqual(manager.current, undefined)
+  })
+})
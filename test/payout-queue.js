@@ -0,0 +1,222 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const MemoryStore = require('../lib/memory-store')
+const MockMONCoind = require('../mock').MockMONCoind
+const MockWalletAPI = require('../mock').MockWalletAPI
+const MONCoind = require('../lib/moncoind-rpc')
+const WalletAPI = require('../lib/walletapi-rpc')
+
+/* An error body as the wallet-api returns it, with the message of the wallet backend */
+const TOO_LARGE = {
+  errorCode: 32,
+  errorMessage: 'The transaction is too large (in BYTES, not AMOUNT) to fit in a block. Either decrease the amount you are sending, perform fusion transactions, or decrease mixin (if possible).'
+}
+
+describe('PayoutQueue', () => {
+  var network
+  var daemon
+  var mock
+  var wallet
+  var recipients
+
+  beforeEach(async () => {
+    network = new MockMONCoind()
+    daemon = new MONCoind({ port: await network.listen(), retry: false, timeout: 200 })
+    mock = new MockWalletAPI({ balance: 1000000, daemon: network })
+    wallet = new WalletAPI({ password: 'password', port: await mock.listen(), timeout: 200, retry: false })
+    recipients = [mock.createAddress().address, mock.createAddress().address, mock.createAddress().address]
+  })
+
+  afterEach(() => Promise.all([mock.close(), network.close()]))
+
+  function sends () {
+    return mock.requests.filter(request => request.path === '/transactions/send/prepared')
+  }
+
+  function prepares () {
+    return mock.requests.filter(request => request.path === '/transactions/prepare/advanced')
+  }
+
+  /* Leaves the payout prepared, as if the process died while its transaction was being relayed */
+  async function crash (store) {
+    const queue = wallet.payoutQueue({ store })
+
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+
+    mock.fail('POST /transactions/send/prepared', { hang: true })
+    await assert.rejects(queue.process())
+
+    return (await queue.payout('a')).transactionHash
+  }
+
+  it('pays queued payouts in batches', async () => {
+    const queue = wallet.payoutQueue({ maxDestinations: 2 })
+
+    await queue.add(recipients.map((address, index) => ({ id: index, address, amount: 100 })))
+    const result = await queue.process()
+
+    assert.strictEqual(result.transactions.length, 2)
+    assert.strictEqual(result.remaining, 0)
+    assert.deepStrictEqual(result.transactions.map(transaction => transaction.payouts), [['0', '1'], ['2']])
+    assert.strictEqual((await queue.payout(2)).status, 'sent')
+    assert.strictEqual(sends().length, 2)
+  })
+
+  it('ignores payouts that were added before', async () => {
+    const store = new MemoryStore()
+    const queue = wallet.payoutQueue({ store })
+
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+    await queue.process()
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+
+    const result = await queue.process()
+
+    assert.strictEqual(result.transactions.length, 0)
+    assert.strictEqual(sends().length, 1)
+  })
+
+  it('sends a prepared transaction that was never relayed when resumed', async () => {
+    const store = new MemoryStore()
+    const queue = wallet.payoutQueue({ store })
+
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+
+    /* The relay never answers, as if the process died while sending */
+    mock.fail('POST /transactions/send/prepared', { hang: true })
+    await assert.rejects(queue.process())
+
+    const stuck = await queue.payout('a')
+    assert.strictEqual(stuck.status, 'prepared')
+    assert(mock.prepared.has(stuck.transactionHash))
+
+    const result = await wallet.payoutQueue({ store }).process()
+
+    assert.deepStrictEqual(result.transactions, [{ transactionHash: stuck.transactionHash, payouts: ['a'] }])
+    assert(mock.transactions.some(transaction => transaction.hash === stuck.transactionHash))
+    assert.strictEqual((await store.load()).payouts[0].status, 'sent')
+  })
+
+  it('does not send a prepared transaction again if it was relayed before the crash', async () => {
+    const store = new MemoryStore()
+    const queue = wallet.payoutQueue({ store })
+
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+
+    mock.fail('POST /transactions/send/prepared', { hang: true })
+    await assert.rejects(queue.process())
+
+    /* The wallet relayed it, but the response was lost */
+    const hash = (await queue.payout('a')).transactionHash
+    mock._relay(mock.prepared.get(hash))
+    mock.prepared.delete(hash)
+    mock.requests = []
+
+    const result = await wallet.payoutQueue({ store }).process()
+
+    assert.deepStrictEqual(result.transactions, [{ transactionHash: hash, payouts: ['a'] }])
+    assert.strictEqual(sends().length, 0)
+    assert.strictEqual(mock.transactions.filter(transaction => transaction.hash === hash).length, 1)
+  })
+
+  it('queues a prepared transaction again once the wallet has synced past it without finding it', async () => {
+    const store = new MemoryStore()
+    const hash = await crash(store)
+
+    assert.strictEqual((await store.load()).payouts[0].height, network.height)
+
+    /* The wallet was restarted and forgot the prepared transaction */
+    mock.prepared.clear()
+    network.addBlocks(1)
+
+    const result = await wallet.payoutQueue({ store, daemon }).process()
+
+    assert.strictEqual(result.transactions.length, 1)
+    assert.notStrictEqual(result.transactions[0].transactionHash, hash)
+    assert.strictEqual((await store.load()).payouts[0].status, 'sent')
+  })
+
+  it('keeps the payouts prepared while the wallet has not synced past their transaction', async () => {
+    const store = new MemoryStore()
+    const hash = await crash(store)
+
+    /* The wallet was restarted and is scanning the chain again */
+    mock.prepared.clear()
+    mock.scanSpeed = 0.001
+    mock.scanStarted = Date.now()
+    network.addBlocks(1)
+    mock.requests = []
+
+    const queue = wallet.payoutQueue({ store, daemon })
+    const waiting = await queue.process()
+
+    assert.deepStrictEqual(waiting, { transactions: [], fusions: [], remaining: 1 })
+    assert.strictEqual((await queue.payout('a')).transactionHash, hash)
+    assert.strictEqual(prepares().length, 0)
+
+    delete mock.scanSpeed
+    const result = await queue.process()
+
+    assert.strictEqual(result.transactions.length, 1)
+    assert.strictEqual(result.remaining, 0)
+  })
+
+  it('does not send a prepared transaction again if the daemon knows of it', async () => {
+    const store = new MemoryStore()
+    const hash = await crash(store)
+
+    /* The wallet relayed it and was restarted before the transaction was mined */
+    mock._relay(mock.prepared.get(hash))
+    mock.prepared.clear()
+    mock.transactions = []
+    network.addBlocks(1)
+    mock.requests = []
+
+    const result = await wallet.payoutQueue({ store, daemon }).process()
+
+    assert.deepStrictEqual(result.transactions, [{ transactionHash: hash, payouts: ['a'] }])
+    assert.strictEqual(prepares().length + sends().length, 0)
+  })
+
+  it('splits a transaction that the wallet reports as too large', async () => {
+    const queue = wallet.payoutQueue()
+
+    await queue.add(recipients.map((address, index) => ({ id: index, address, amount: 100 })))
+
+    mock.fail('POST /transactions/prepare/advanced', { statusCode: 400, body: { errorCode: 32, errorMessage: 'Transaction rejected' } })
+    const result = await queue.process()
+
+    assert.deepStrictEqual(result.transactions.map(transaction => transaction.payouts), [['0', '1'], ['2']])
+    assert.strictEqual(prepares().length, 3)
+  })
+
+  it('fails a payout that does not fit in a transaction once the wallet is fully optimized', async () => {
+    const queue = wallet.payoutQueue()
+    const failed = new Promise(resolve => queue.once('failed', resolve))
+
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+
+    mock.fail('POST /transactions/prepare/advanced', { statusCode: 400, body: TOO_LARGE })
+    const result = await queue.process()
+
+    assert.deepStrictEqual(result, { transactions: [], fusions: [], remaining: 0 })
+    assert.strictEqual((await failed).status, 'failed')
+    assert((await queue.payout('a')).error.indexOf(TOO_LARGE.errorMessage) !== -1)
+  })
+
+  it('queues the payouts again when the wallet refuses to relay them', async () => {
+    const queue = wallet.payoutQueue()
+
+    await queue.add([{ id: 'a', address: recipients[0], amount: 100 }])
+
+    mock.fail('POST /transactions/send/prepared', { statusCode: 400, body: { errorMessage: 'Failed to relay' } })
+    await assert.rejects(queue.process())
+
+    assert.strictEqual((await queue.payout('a')).status, 'queued')
+  })
+})
@@ -0,0 +1,83 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const RequestQueue = require('../lib/request-queue')
+
+describe('RequestQueue', () => {
+  function deferred () {
+    const result = {}
+
+    result.promise = new Promise(resolve => { result.resolve = resolve })
+
+    return result
+  }
+
+  it('rejects limits that are not greater than zero', () => {
+    assert.throws(() => new RequestQueue({ maxConcurrent: -1 }), /maxConcurrent/)
+    assert.throws(() => new RequestQueue({ requestsPerSecond: -1 }), /requestsPerSecond/)
+  })
+
+  it('resolves and rejects as the task does', async () => {
+    const queue = new RequestQueue()
+
+    assert.strictEqual(await queue.schedule(() => Promise.resolve(1)), 1)
+    await assert.rejects(queue.schedule(() => Promise.reject(new Error('failed'))), /failed/)
+    await assert.rejects(queue.schedule(() => { throw new Error('thrown') }), /thrown/)
+  })
+
+  it('limits how many tasks run at once', async () => {
+    const queue = new RequestQueue({ maxConcurrent: 2 })
+    const tasks = [deferred(), deferred(), deferred()]
+    const started = []
+
+    const done = Promise.all(tasks.map((task, index) => queue.schedule(() => {
+      started.push(index)
+
+      return task.promise
+    })))
+
+    await Promise.resolve()
+    assert.deepStrictEqual(started, [0, 1])
+    assert.strictEqual(queue.size, 1)
+
+    tasks[0].resolve()
+    await tasks[0].promise
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepStrictEqual(started, [0, 1, 2])
+
+    tasks[1].resolve()
+    tasks[2].resolve()
+    await done
+    assert.strictEqual(queue.running, 0)
+  })
+
+  it('starts higher priorities first and keeps the order within a priority', async () => {
+    const queue = new RequestQueue({ maxConcurrent: 1 })
+    const blocker = deferred()
+    const started = []
+
+    const first = queue.schedule(() => blocker.promise)
+    const rest = [['low', 0], ['high', 5], ['low again', 0], ['high again', 5], ['middle', 1]].map(entry => {
+      return queue.schedule(() => { started.push(entry[0]) }, entry[1])
+    })
+
+    blocker.resolve()
+    await Promise.all([first].concat(rest))
+
+    assert.deepStrictEqual(started, ['high', 'high again', 'middle', 'low', 'low again'])
+  })
+
+  it('spreads the starts evenly to stay within the rate limit', async () => {
+    const queue = new RequestQueue({ requestsPerSecond: 20 })
+    const starts = []
+
+    await Promise.all([0, 1, 2].map(() => queue.schedule(() => { starts.push(Date.now()) })))
+
+    assert(starts[1] - starts[0] >= 45)
+    assert(starts[2] - starts[1] >= 45)
+  })
+})
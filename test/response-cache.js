@@ -0,0 +1,168 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+const ResponseCache = require('../lib/response-cache')
+
+describe('ResponseCache', () => {
+  function fetcher (response) {
+    const fetch = () => {
+      fetch.calls++
+
+      return Promise.resolve(response)
+    }
+    fetch.calls = 0
+
+    return fetch
+  }
+
+  it('only caches responses about blocks that are deep enough', async () => {
+    const cache = new ResponseCache({ minDepth: 10 })
+    const fetch = fetcher({ height: 95 })
+
+    await cache.fetch('shallow', fetch, () => ({ height: 95, top: 100 }))
+    await cache.fetch('shallow', fetch, () => ({ height: 95, top: 100 }))
+    await cache.fetch('deep', fetch, () => ({ height: 90 }))
+    await cache.fetch('deep', fetch, () => ({ height: 90 }))
+
+    assert.strictEqual(fetch.calls, 3)
+    assert.deepStrictEqual(cache.stats, { hits: 1, misses: 3, hitRate: 0.25 })
+  })
+
+  it('ignores top heights lower than previously seen', () => {
+    const cache = new ResponseCache({ minDepth: 10 })
+
+    cache.observe(100)
+    cache.observe(50)
+    cache.observe(NaN)
+
+    assert.strictEqual(cache.topHeight, 100)
+    assert.strictEqual(cache.isFinal(90), true)
+    assert.strictEqual(cache.isFinal(91), false)
+  })
+
+  it('looks entries up without counting them', async () => {
+    const cache = new ResponseCache({ minDepth: 0 })
+
+    await cache.fetch('key', fetcher('value'), () => ({ height: 1, top: 1 }))
+
+    assert.strictEqual(await cache.peek('key'), 'value')
+    assert.strictEqual(await cache.peek('other'), undefined)
+    assert.deepStrictEqual(cache.stats, { hits: 0, misses: 1, hitRate: 0 })
+  })
+
+  it('removes the entries at or above a reorganized height', async () => {
+    const cache = new ResponseCache({ minDepth: 0 })
+
+    await cache.fetch('low', fetcher('low'), () => ({ height: 5, top: 20 }))
+    await cache.fetch('high', fetcher('high'), () => ({ height: 15 }))
+    await cache.invalidateFrom(10)
+
+    assert.strictEqual(await cache.peek('low'), 'low')
+    assert.strictEqual(await cache.peek('high'), undefined)
+    assert.strictEqual(cache.topHeight, 9)
+  })
+
+  it('stops tracking entries too deep to be reorganized once there are many', async () => {
+    const cache = new ResponseCache({ minDepth: 0, maxReorgDepth: 10, maxEntries: 5000 })
+
+    cache.observe(2000)
+    for (var height = 0; height < 999; height++) await cache.fetch('key:' + height, fetcher(height), () => ({ height: height }))
+    assert.strictEqual(cache.heights.size, 999)
+
+    /* Entries that arrive concurrently must not skip the threshold */
+    await Promise.all([
+      cache.fetch('deep', fetcher(0), () => ({ height: 0 })),
+      cache.fetch('recent', fetcher(1995), () => ({ height: 1995 }))
+    ])
+
+    assert.deepStrictEqual(Array.from(cache.heights.keys()), ['recent'])
+    assert.strictEqual(cache.pruneAt, 1000)
+  })
+
+  it('keeps entries in the supplied store', async () => {
+    const entries = new Map()
+    const store = {
+      get: key => Promise.resolve(entries.get(key)),
+      set: (key, value) => Promise.resolve(entries.set(key, value)),
+      delete: key => Promise.resolve(entries.delete(key))
+    }
+    const cache = new ResponseCache({ minDepth: 0, store: store })
+
+    await cache.fetch('key', fetcher('value'), () => ({ height: 1, top: 1 }))
+
+    assert.strictEqual(entries.get('key'), 'value')
+  })
+
+  describe('with a daemon', () => {
+    var mock
+    var daemon
+
+    beforeEach(async () => {
+      mock = new MockMONCoind({ height: 30 })
+      daemon = new MONCoind({ port: await mock.listen(), retry: false, cache: { minDepth: 5 } })
+    })
+
+    afterEach(() => mock.close())
+
+    function top (watcher) {
+      return new Promise(resolve => watcher.on('block', header => {
+        if (header.height === mock.topBlock.height) resolve()
+      }))
+    }
+
+    function calls (route) {
+      return mock.requests.filter(request => request.path === '/' + route || (request.body && request.body.method === route)).length
+    }
+
+    it('caches the global indexes of a transaction once the transaction is known to be final', async () => {
+      const hash = mock.blocks[10].coinbase
+
+      await daemon.lastBlockHeader()
+      await daemon.globalIndexes(hash)
+      await daemon.globalIndexes(hash)
+      assert.strictEqual(calls('get_o_indexes'), 2)
+
+      await daemon.transaction(hash)
+      await daemon.globalIndexes(hash)
+      await daemon.globalIndexes(hash)
+      assert.strictEqual(calls('get_o_indexes'), 3)
+      assert.strictEqual(calls('f_transaction_json'), 1)
+    })
+
+    it('invalidates the cache when the watcher sees a reorganization', async () => {
+      await daemon.lastBlockHeader()
+      await daemon.blockHeaderByHeight(20)
+
+      const watcher = daemon.watchBlocks({ interval: 10, startHeight: 10 })
+      await top(watcher)
+
+      mock.reorg(15, 20)
+      await new Promise(resolve => watcher.once('reorg', resolve))
+      watcher.stop()
+
+      const header = await daemon.blockHeaderByHeight(20)
+      assert.strictEqual(header.hash, mock.blocks[20].hash)
+    })
+
+    it('reports errors invalidating the cache through the watcher', async () => {
+      await daemon.lastBlockHeader()
+
+      daemon.cache.invalidateFrom = () => Promise.reject(new Error('store is down'))
+
+      const watcher = daemon.watchBlocks({ interval: 10, startHeight: 10 })
+      const error = new Promise(resolve => watcher.once('error', resolve))
+      await top(watcher)
+
+      mock.reorg(5, 10)
+
+      assert.strictEqual((await error).message, 'store is down')
+      watcher.stop()
+    })
+  })
+})
@@ -0,0 +1,113 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const Errors = require('../lib/errors')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+const MONCoindPool = require('../lib/moncoind-pool')
+
+describe('RpcBatch', () => {
+  var mocks = []
+
+  async function daemon (opts) {
+    const mock = new MockMONCoind(opts)
+    mocks.push(mock)
+
+    return { mock, daemon: new MONCoind({ port: await mock.listen(), retry: false, timeout: 200 }) }
+  }
+
+  function batches (mock) {
+    return mock.requests.filter(request => Array.isArray(request.body)).length
+  }
+
+  afterEach(async () => {
+    await Promise.all(mocks.map(mock => mock.close()))
+    mocks = []
+  })
+
+  it('sends the calls as batch requests and returns the results in call order', async () => {
+    const node = await daemon({ batching: true })
+    const batch = node.daemon.batch({ batchSize: 4 })
+
+    for (var height = 0; height < 10; height++) batch.blockHeaderByHeight(height)
+    batch.blockCount()
+
+    const results = await batch.execute()
+
+    assert.strictEqual(results.length, 11)
+    results.slice(0, 10).forEach((entry, height) => assert.strictEqual(entry.result.height, height))
+    assert.strictEqual(results[10].result, 10)
+    assert.strictEqual(batches(node.mock), 3)
+    assert.strictEqual(node.daemon._batchSupported(), true)
+    assert.strictEqual(batch.length, 0)
+  })
+
+  it('returns the error of a failed call in its place', async () => {
+    const node = await daemon({ batching: true })
+
+    const results = await node.daemon.batch()
+      .blockHeaderByHeight(1)
+      .blockHeaderByHeight(1000)
+      .execute()
+
+    assert.strictEqual(results[0].result.height, 1)
+    assert(results[1].error instanceof Errors.JsonRpcError)
+  })
+
+  it('sends the calls individually to a daemon that does not support batching', async () => {
+    const node = await daemon({ batching: false })
+    const batch = node.daemon.batch({ batchSize: 4 })
+
+    for (var height = 0; height < 10; height++) batch.blockHeaderByHeight(height)
+
+    const results = await batch.execute()
+
+    results.forEach((entry, height) => assert.strictEqual(entry.result.height, height))
+    assert.strictEqual(batches(node.mock), 1)
+    assert.strictEqual(node.mock.requests.length, 11)
+    assert.strictEqual(node.daemon._batchSupported(), false)
+  })
+
+  it('does not send anything for an empty batch', async () => {
+    const node = await daemon({ batching: false })
+
+    assert.deepStrictEqual(await node.daemon.batch().execute(), [])
+    assert.strictEqual(node.mock.requests.length, 0)
+    assert.strictEqual(node.daemon._batchSupported(), undefined)
+  })
+
+  it('shares what it learned about the daemon with its priority views', async () => {
+    const node = await daemon({ batching: false })
+
+    await node.daemon.withPriority(1).batch().blockCount().lastBlockHeader().execute()
+
+    assert.strictEqual(node.daemon._batchSupported(), false)
+  })
+
+  it('remembers whether batching is supported for each node of a pool', async () => {
+    const batching = await daemon({ batching: true })
+    const individual = await daemon({ batching: false })
+    const pool = new MONCoindPool({
+      hosts: ['127.0.0.1:' + batching.mock.port, '127.0.0.1:' + individual.mock.port],
+      healthCheckInterval: 0,
+      retry: false,
+      timeout: 200
+    })
+
+    for (var i = 0; i < 4; i++) {
+      const results = await pool.batch().blockCount().lastBlockHeader().execute()
+
+      assert.strictEqual(results[0].result, 10)
+    }
+
+    assert.strictEqual(pool.nodes[0].daemon._batchSupported(), true)
+    assert.strictEqual(pool.nodes[1].daemon._batchSupported(), false)
+    assert.strictEqual(pool._batchSupported(), true)
+    assert.strictEqual(batches(batching.mock), 2)
+    assert.strictEqual(batches(individual.mock), 1)
+  })
+})
@@ -0,0 +1,96 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const Errors = require('../lib/errors')
+const MockMONCoind = require('../mock').MockMONCoind
+const MockWalletAPI = require('../mock').MockWalletAPI
+const SyncTracker = require('../lib/sync-tracker')
+const WalletAPI = require('../lib/walletapi-rpc')
+
+describe('SyncTracker', () => {
+  var mock
+  var wallet
+
+  async function setup (opts, password) {
+    mock = new MockWalletAPI(Object.assign({ daemon: new MockMONCoind({ height: 100 }) }, opts))
+    wallet = new WalletAPI({ password: password || 'password', port: await mock.listen(), timeout: 200, retry: false })
+  }
+
+  afterEach(() => mock.close())
+
+  it('resolves once the wallet has caught up with the network', async () => {
+    await setup()
+
+    const progress = await new SyncTracker(wallet, { interval: 10 }).start()
+
+    assert.strictEqual(progress.synced, true)
+    assert.strictEqual(progress.walletBlockCount, 100)
+    assert.strictEqual(progress.percentage, 100)
+    assert.strictEqual(progress.eta, 0)
+  })
+
+  it('emits the progress of the wallet until it is within the tolerance', async () => {
+    await setup({ scanSpeed: 1000 })
+
+    const tracker = new SyncTracker(wallet, { interval: 10, tolerance: 50 })
+    const updates = []
+
+    tracker.on('progress', progress => updates.push(progress))
+
+    const progress = await tracker.start()
+
+    assert(progress.walletBlockCount >= 50)
+    assert.strictEqual(updates[updates.length - 1], progress)
+    assert(updates.slice(0, -1).every(update => !update.synced))
+  })
+
+  it('rejects once the deadline passes', async () => {
+    await setup({ scanSpeed: 0.001 })
+
+    await assert.rejects(new SyncTracker(wallet, { interval: 10, timeout: 50 }).start(), Errors.OperationTimeoutError)
+  })
+
+  it('rejects straight away if the API key is refused', async () => {
+    await setup({}, 'wrong')
+
+    const tracker = new SyncTracker(wallet, { interval: 10 }).start()
+
+    await assert.rejects(tracker, error => error.statusCode === 401)
+    assert.strictEqual(mock.requests.length, 1)
+    assert.strictEqual(tracker.running, false)
+  })
+
+  it('rejects straight away if no wallet is open', async () => {
+    await setup({ walletOpen: false })
+
+    await assert.rejects(new SyncTracker(wallet, { interval: 10 }).start(), error => error.statusCode === 403)
+  })
+
+  it('keeps checking through errors that can be retried', async () => {
+    await setup()
+    mock.fail('GET /status', { statusCode: 503, times: 2 })
+
+    const tracker = new SyncTracker(wallet, { interval: 10 })
+    var errors = 0
+
+    tracker.on('error', () => errors++)
+
+    assert.strictEqual((await tracker.start()).synced, true)
+    assert.strictEqual(errors, 2)
+  })
+
+  it('rejects once too many checks in a row have failed', async () => {
+    await setup()
+
+    const port = mock.port
+    await mock.close()
+
+    const unreachable = new WalletAPI({ password: 'password', port: port, timeout: 200, retry: false })
+
+    await assert.rejects(new SyncTracker(unreachable, { interval: 10, maxErrors: 3 }).start(), error => error.code === 'ECONNREFUSED')
+  })
+})
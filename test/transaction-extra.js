@@ -0,0 +1,81 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const TransactionExtra = require('../lib/transaction-extra')
+
+describe('TransactionExtra', () => {
+  const publicKey = '7767aafcde9be00dcfd098715ebcf7f410daebc582fda69d24a28e9d0bc890d1'
+  const paymentId = 'ab'.repeat(32)
+
+  it('parses the transaction public key', () => {
+    const extra = TransactionExtra.parse('01' + publicKey)
+
+    assert.deepStrictEqual(extra, { publicKey, additionalPublicKeys: [], unknown: [] })
+  })
+
+  it('parses a payment ID from the extra nonce', () => {
+    const extra = TransactionExtra.parse('01' + publicKey + '022100' + paymentId)
+
+    assert.strictEqual(extra.publicKey, publicKey)
+    assert.strictEqual(extra.nonce, '00' + paymentId)
+    assert.strictEqual(extra.paymentId, paymentId)
+    assert.strictEqual(extra.encryptedPaymentId, undefined)
+  })
+
+  it('parses an encrypted payment ID from the extra nonce', () => {
+    const extra = TransactionExtra.parse('02090112345678abcdef00')
+
+    assert.strictEqual(extra.encryptedPaymentId, '12345678abcdef00')
+    assert.strictEqual(extra.paymentId, undefined)
+  })
+
+  it('keeps an extra nonce that holds no payment ID', () => {
+    const extra = TransactionExtra.parse('0204deadbeef')
+
+    assert.strictEqual(extra.nonce, 'deadbeef')
+    assert.strictEqual(extra.paymentId, undefined)
+  })
+
+  it('parses the merged mining tag', () => {
+    const extra = TransactionExtra.parse('01' + publicKey + '0321' + '02' + 'cd'.repeat(32))
+
+    assert.deepStrictEqual(extra.mergedMining, { depth: 2, merkleRoot: 'cd'.repeat(32) })
+    assert.deepStrictEqual(extra.unknown, [])
+  })
+
+  it('skips data a newer merged mining tag carries beyond what is known', () => {
+    const extra = TransactionExtra.parse('0323' + '02' + 'cd'.repeat(32) + 'ffff' + '01' + publicKey)
+
+    assert.deepStrictEqual(extra.mergedMining, { depth: 2, merkleRoot: 'cd'.repeat(32) })
+    assert.strictEqual(extra.publicKey, publicKey)
+  })
+
+  it('parses the additional public keys', () => {
+    const extra = TransactionExtra.parse('0402' + 'aa'.repeat(32) + 'bb'.repeat(32))
+
+    assert.deepStrictEqual(extra.additionalPublicKeys, ['aa'.repeat(32), 'bb'.repeat(32)])
+  })
+
+  it('counts the padding including its tag', () => {
+    assert.strictEqual(TransactionExtra.parse('01' + publicKey + '000000').padding, 3)
+  })
+
+  it('accepts buffers and arrays of bytes', () => {
+    const bytes = Buffer.from('01' + publicKey, 'hex')
+
+    assert.strictEqual(TransactionExtra.parse(bytes).publicKey, publicKey)
+    assert.strictEqual(TransactionExtra.parse(Array.from(bytes)).publicKey, publicKey)
+    assert.deepStrictEqual(TransactionExtra.parse(), { additionalPublicKeys: [], unknown: [] })
+  })
+
+  it('returns unknown and malformed fields as unknown without failing', () => {
+    assert.deepStrictEqual(TransactionExtra.parse('01' + publicKey + 'de' + 'adbeef').unknown, [{ tag: 0xde, data: 'adbeef' }])
+    assert.deepStrictEqual(TransactionExtra.parse('01' + publicKey.slice(0, 10)).unknown, [{ tag: 1, data: publicKey.slice(0, 10) }])
+    assert.deepStrictEqual(TransactionExtra.parse('000001').unknown, [{ tag: 0, data: '0001' }])
+    assert.deepStrictEqual(TransactionExtra.parse('022100' + paymentId.slice(2)).unknown, [{ tag: 2, data: '2100' + paymentId.slice(2) }])
+  })
+})
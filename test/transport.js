@@ -0,0 +1,154 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const Errors = require('../lib/errors')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('Transport', () => {
+  const mock = new MockMONCoind()
+  var port
+
+  before(async () => {
+    port = await mock.listen()
+  })
+
+  after(() => mock.close())
+
+  beforeEach(() => {
+    mock.clearFailures()
+    mock.requests = []
+  })
+
+  function daemon (opts) {
+    return new MONCoind(Object.assign({ port, retry: { minDelay: 1, jitter: 0 } }, opts))
+  }
+
+  it('parses the response of the daemon', async () => {
+    const info = await daemon().info()
+
+    assert.strictEqual(info.height, mock.height)
+    assert.strictEqual(mock.requests[0].headers['user-agent'].indexOf('moncoin-rpc/'), 0)
+  })
+
+  it('sends requests through a custom adapter', async () => {
+    const requests = []
+    const adapter = request => {
+      requests.push(request)
+
+      return Promise.resolve({ statusCode: 200, headers: {}, body: JSON.stringify({ height: 42, network_height: 42, status: 'OK' }) })
+    }
+
+    const response = await daemon({ adapter }).height()
+
+    assert.strictEqual(response.height, 42)
+    assert.strictEqual(requests.length, 1)
+    assert.strictEqual(requests[0].method, 'GET')
+    assert.strictEqual(requests[0].url, 'http://127.0.0.1:' + port + '/height')
+  })
+
+  it('rejects with a typed error for HTTP errors', async () => {
+    mock.fail('info', { statusCode: 400, body: { error: 'nope' } })
+
+    await assert.rejects(daemon({ retry: false }).info(), error => {
+      assert(error instanceof Errors.BadRequestError)
+      assert.strictEqual(error.statusCode, 400)
+      assert.deepStrictEqual(error.body, { error: 'nope' })
+
+      return true
+    })
+  })
+
+  it('rejects with a timeout error when the daemon does not answer', async () => {
+    mock.fail('info', { hang: true })
+
+    await assert.rejects(daemon({ retry: false, timeout: 100 }).info(), Errors.RpcTimeoutError)
+  })
+
+  it('rejects with a connection error when the daemon is unreachable', async () => {
+    const closed = new MockMONCoind()
+    const closedPort = await closed.listen()
+    await closed.close()
+
+    await assert.rejects(daemon({ port: closedPort, retry: false }).info(), error => {
+      assert(error instanceof Errors.ConnectionError)
+      assert.strictEqual(error.code, 'ECONNREFUSED')
+
+      return true
+    })
+  })
+})
+
+describe('RetryPolicy', () => {
+  const mock = new MockMONCoind()
+  var port
+
+  before(async () => {
+    port = await mock.listen()
+  })
+
+  after(() => mock.close())
+
+  beforeEach(() => {
+    mock.clearFailures()
+    mock.requests = []
+  })
+
+  function daemon (opts) {
+    return new MONCoind(Object.assign({ port, retry: { minDelay: 1, jitter: 0 } }, opts))
+  }
+
+  it('retries idempotent calls that fail with a retryable status code', async () => {
+    mock.fail('info', { statusCode: 503, times: 2 })
+
+    const info = await daemon().info()
+
+    assert.strictEqual(info.height, mock.height)
+    assert.strictEqual(mock.requests.length, 3)
+  })
+
+  it('retries idempotent calls when the connection is reset', async () => {
+    mock.fail('info', { reset: true })
+
+    await daemon().info()
+
+    assert.strictEqual(mock.requests.length, 2)
+  })
+
+  it('gives up after the maximum number of attempts', async () => {
+    mock.fail('info', { statusCode: 503, times: Infinity })
+
+    await assert.rejects(daemon({ retry: { maxAttempts: 4, minDelay: 1 } }).info(), error => error.statusCode === 503)
+    assert.strictEqual(mock.requests.length, 4)
+  })
+
+  it('does not retry errors that are not retryable', async () => {
+    mock.fail('info', { statusCode: 400 })
+
+    await assert.rejects(daemon().info(), Errors.BadRequestError)
+    assert.strictEqual(mock.requests.length, 1)
+  })
+
+  it('does not retry calls that are not idempotent', async () => {
+    mock.fail('sendrawtransaction', { statusCode: 503 })
+
+    await assert.rejects(daemon().sendRawTransaction('00'), error => error.statusCode === 503)
+    assert.strictEqual(mock.requests.length, 1)
+
+    mock.fail('submitblock', { statusCode: 503 })
+
+    await assert.rejects(daemon().submitBlock('00'), error => error.statusCode === 503)
+    assert.strictEqual(mock.requests.length, 2)
+  })
+
+  it('does not retry when retries are disabled', async () => {
+    mock.fail('info', { statusCode: 503 })
+
+    await assert.rejects(daemon({ retry: false }).info())
+    assert.strictEqual(mock.requests.length, 1)
+  })
+})
@@ -0,0 +1,127 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const MockWalletAPI = require('../mock').MockWalletAPI
+const WalletAPI = require('../lib/walletapi-rpc')
+
+describe('WalletSession', () => {
+  var mock
+  var wallet
+
+  async function setup (opts) {
+    mock = new MockWalletAPI(Object.assign({ files: ['mine.wallet', 'other.wallet'] }, opts))
+    wallet = new WalletAPI({ password: 'password', port: await mock.listen(), timeout: 200, retry: false })
+  }
+
+  function session (opts) {
+    return wallet.session(Object.assign({ filename: 'mine.wallet', password: 'secret', saveInterval: 0, signals: [] }, opts))
+  }
+
+  function opened (session) {
+    return new Promise(resolve => session.once('open', resolve))
+  }
+
+  function calls () {
+    return mock.requests.map(request => request.method + ' ' + request.path)
+  }
+
+  afterEach(() => mock.close())
+
+  it('reuses the wallet container this client opened under the same filename', async () => {
+    await setup({ walletOpen: false })
+    await wallet.withPriority(1).open('mine.wallet', 'secret')
+
+    const mine = session()
+    const how = opened(mine)
+    await mine.open()
+
+    assert.strictEqual(await how, 'existing')
+    assert.strictEqual(calls().filter(call => call === 'POST /wallet/open').length, 1)
+  })
+
+  it('recognizes its wallet container by address after a restart', async () => {
+    await setup({ walletOpen: true })
+
+    const mine = session({ address: mock.primaryAddress })
+    const how = opened(mine)
+    await mine.open()
+
+    assert.strictEqual(await how, 'existing')
+    assert.deepStrictEqual(calls(), ['GET /addresses/primary'])
+    assert.deepStrictEqual(wallet.container, { filename: 'mine.wallet', address: mock.primaryAddress })
+  })
+
+  it('does not close a wallet container that it can not recognize', async () => {
+    await setup({ walletOpen: true })
+
+    await assert.rejects(session().open(), /can not be recognized/)
+    await assert.rejects(session({ address: mock.createAddress().address }).open(), /can not be recognized/)
+    assert.strictEqual(calls().indexOf('DELETE /wallet'), -1)
+  })
+
+  it('does not trust what this client opened once another wallet container is open', async () => {
+    await setup({ walletOpen: false })
+    await wallet.open('mine.wallet', 'secret')
+
+    /* The wallet-api was restarted and opened another wallet container */
+    mock.createAddress('other')
+    mock.addresses.unshift(mock.addresses.pop())
+
+    await assert.rejects(session().open(), /can not be recognized/)
+    assert.strictEqual(calls().indexOf('DELETE /wallet'), -1)
+  })
+
+  it('saves and closes a wallet container that it can not recognize when asked to', async () => {
+    await setup({ walletOpen: true })
+
+    const mine = session({ closeUnknown: true })
+    const how = opened(mine)
+    await mine.open()
+
+    assert.strictEqual(await how, 'opened')
+    assert.deepStrictEqual(calls(), ['GET /addresses/primary', 'PUT /save', 'DELETE /wallet', 'POST /wallet/open', 'GET /addresses/primary'])
+    assert.strictEqual(mock.requests[3].body.filename, 'mine.wallet')
+  })
+
+  it('rejects if this client opened another wallet container', async () => {
+    await setup({ walletOpen: false })
+    await wallet.open('other.wallet', 'secret')
+
+    await assert.rejects(session({ closeUnknown: true }).open(), /Another wallet container is open in the wallet-api: other.wallet/)
+    assert.strictEqual(calls().indexOf('DELETE /wallet'), -1)
+  })
+
+  it('creates the wallet container if the file does not exist', async () => {
+    await setup({ walletOpen: false, files: [] })
+
+    const mine = session({ create: true })
+    const how = opened(mine)
+    await mine.open()
+
+    assert.strictEqual(await how, 'created')
+    assert.deepStrictEqual(wallet.container, { filename: 'mine.wallet', address: mock.primaryAddress })
+  })
+
+  it('recognizes a missing file by the message of a wallet-api that returns no error code', async () => {
+    await setup({ walletOpen: false, files: [] })
+    mock.fail('POST /wallet/open', { statusCode: 400, body: { errorMessage: 'The filename you are attempting to open does not exist, or the wallet does not have permission to open it.' } })
+
+    const mine = session({ create: true })
+    const how = opened(mine)
+    await mine.open()
+
+    assert.strictEqual(await how, 'created')
+  })
+
+  it('does not create the wallet container upon other errors', async () => {
+    await setup({ walletOpen: false, files: [] })
+    mock.fail('POST /wallet/open', { statusCode: 400, body: { errorCode: 3, errorMessage: 'The file does not exist in a format the wallet can read' } })
+
+    await assert.rejects(session({ create: true }).open(), error => error.errorCode === 3)
+    assert.strictEqual(calls().indexOf('POST /wallet/create'), -1)
+  })
+})
@@ -0,0 +1,126 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const MemoryStore = require('../lib/memory-store')
+const MockMONCoind = require('../mock').MockMONCoind
+const MONCoind = require('../lib/moncoind-rpc')
+
+describe('WalletSynchronizer', () => {
+  var mock
+  var daemon
+
+  beforeEach(async () => {
+    mock = new MockMONCoind({ height: 250 })
+    daemon = new MONCoind({ port: await mock.listen(), retry: false })
+  })
+
+  afterEach(() => mock.close())
+
+  async function collect (sync, onItem) {
+    const items = []
+
+    for await (const item of sync) {
+      items.push(item)
+      if (onItem) onItem(item)
+    }
+
+    return items
+  }
+
+  it('yields every block in order', async () => {
+    const sync = daemon.walletSync()
+    const items = await collect(sync)
+
+    assert.strictEqual(items.length, 250)
+    items.forEach((item, index) => {
+      assert.strictEqual(item.type, 'block')
+      assert.strictEqual(item.block.blockHeight, index)
+    })
+    assert.strictEqual(sync.height, 249)
+  })
+
+  it('starts from the supplied height', async () => {
+    const items = await collect(daemon.walletSync({ startHeight: 200 }))
+
+    assert.strictEqual(items.length, 50)
+    assert.strictEqual(items[0].block.blockHeight, 200)
+  })
+
+  it('resumes from the stored state', async () => {
+    const store = new MemoryStore()
+    const first = daemon.walletSync({ store })
+
+    await collect(first, item => { if (item.block.blockHeight === 99) first.stop() })
+
+    const items = await collect(daemon.walletSync({ store }))
+
+    assert.strictEqual(items[0].block.blockHeight, 100)
+    assert.strictEqual(items.length, 150)
+  })
+
+  it('rolls back blocks that left the main chain', async () => {
+    const store = new MemoryStore()
+
+    await collect(daemon.walletSync({ store }))
+
+    const replaced = mock.reorg(3)
+    const items = await collect(daemon.walletSync({ store }))
+
+    assert.deepStrictEqual(items[0], { type: 'rollback', height: 246, orphanedFrom: 247, orphanedTo: 249 })
+    assert.deepStrictEqual(items.slice(1).map(item => item.block.blockHash), replaced.map(block => block.hash))
+  })
+
+  it('only yields blocks with transactions when skipping coinbase transactions', async () => {
+    const hash = mock.addTransaction()
+    mock.addBlocks(5)
+
+    const sync = daemon.walletSync({ startHeight: 200, skipCoinbaseTransactions: true })
+    const items = await collect(sync)
+
+    assert.strictEqual(items.length, 1)
+    assert.strictEqual(items[0].block.blockHeight, 250)
+    assert.strictEqual(items[0].block.transactions[0].hash, hash)
+    assert.strictEqual(sync.height, 254)
+  })
+
+  it('moves past windows of coinbase only blocks', async () => {
+    mock.addBlocks(50)
+
+    const sync = daemon.walletSync({ skipCoinbaseTransactions: true, interval: 10000 })
+    const items = await collect(sync)
+
+    assert.strictEqual(items.length, 0)
+    assert.strictEqual(sync.height, 299)
+    assert(mock.requests.length < 10)
+  })
+
+  it('backs off when the daemon returns nothing before we are synced', async () => {
+    mock.setFixture('getwalletsyncdata', { items: [], status: 'OK', synced: false })
+
+    const sync = daemon.walletSync({ interval: 50 })
+    setTimeout(() => sync.stop(), 200)
+
+    assert.strictEqual((await collect(sync)).length, 0)
+    assert(mock.requests.length <= 5)
+  })
+
+  it('waits for new blocks when following', async () => {
+    const sync = daemon.walletSync({ startHeight: 245, follow: true, interval: 10 })
+    var added = false
+
+    const items = await collect(sync, item => {
+      if (item.block.blockHeight === 249 && !added) {
+        added = true
+        setTimeout(() => mock.addBlocks(2), 30)
+      }
+
+      if (item.block.blockHeight === 251) sync.stop()
+    })
+
+    assert.deepStrictEqual(items.map(item => item.block.blockHeight), [245, 246, 247, 248, 249, 250, 251])
+  })
+})
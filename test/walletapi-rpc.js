@@ -0,0 +1,215 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The MONCoin and TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global BigInt */
+
+const assert = require('assert')
+const Errors = require('../lib/errors')
+const MockMONCoind = require('../mock').MockMONCoind
+const MockWalletAPI = require('../mock').MockWalletAPI
+const WalletAPI = require('../lib/walletapi-rpc')
+
+/* Error bodies as the wallet-api returns them, with the messages of the wallet backend */
+const FULLY_OPTIMIZED = { errorCode: 36, errorMessage: 'Cannot send fusion transaction - wallet is already fully optimized.' }
+
+describe('WalletAPI amounts', () => {
+  describe('fromAtomicUnits', () => {
+    it('formats exact decimal strings by default', () => {
+      const wallet = new WalletAPI({ password: 'password' })
+
+      assert.strictEqual(wallet.fromAtomicUnits(12345), '123.45')
+      assert.strictEqual(wallet.fromAtomicUnits('5'), '0.05')
+      assert.strictEqual(wallet.fromAtomicUnits(-5), '-0.05')
+      assert.strictEqual(wallet.fromAtomicUnits(0), '0.00')
+      assert.strictEqual(wallet.fromAtomicUnits('9007199254740993'), '90071992547409.93')
+    })
+
+    it('honours the decimal divisor', () => {
+      const wallet = new WalletAPI({ password: 'password', decimalDivisor: 100000000 })
+
+      assert.strictEqual(wallet.fromAtomicUnits(1), '0.00000001')
+      assert.throws(() => new WalletAPI({ password: 'password', decimalDivisor: 250 }), /power of 10/)
+    })
+
+    it('returns BigInt atomic units when asked to', () => {
+      const wallet = new WalletAPI({ password: 'password', amountFormat: 'bigint' })
+
+      assert.strictEqual(wallet.fromAtomicUnits('9007199254740993'), BigInt('9007199254740993'))
+    })
+
+    it('keeps the legacy floating point behavior', () => {
+      const wallet = new WalletAPI({ password: 'password', amountFormat: 'number' })
+
+      assert.strictEqual(wallet.fromAtomicUnits(12345), 123.45)
+    })
+
+    it('rejects amounts that are not integers', () => {
+      const wallet = new WalletAPI({ password: 'password' })
+
+      assert.throws(() => wallet.fromAtomicUnits('1.5'), /not an integer/)
+      assert.throws(() => wallet.fromAtomicUnits(undefined), /not an integer/)
+    })
+  })
+
+  describe('toAtomicUnits', () => {
+    const wallet = new WalletAPI({ password: 'password' })
+
+    it('parses decimal strings exactly', () => {
+      assert.strictEqual(wallet.toAtomicUnits('123.45'), 12345)
+      assert.strictEqual(wallet.toAtomicUnits('0.1'), 10)
+      assert.strictEqual(wallet.toAtomicUnits('.5'), 50)
+      assert.strictEqual(wallet.toAtomicUnits('1e2'), 10000)
+      assert.strictEqual(wallet.toAtomicUnits('-1.5'), -150)
+    })
+
+    it('returns BigInt for amounts beyond the safe integer range', () => {
+      assert.strictEqual(wallet.toAtomicUnits('90071992547409.93'), BigInt('9007199254740993'))
+    })
+
+    it('passes BigInt amounts through as atomic units', () => {
+      assert.strictEqual(wallet.toAtomicUnits(BigInt(5)), BigInt(5))
+    })
+
+    it('reads numbers in their shortest decimal form', () => {
+      assert.strictEqual(wallet.toAtomicUnits(1.15), 115)
+      assert.strictEqual(wallet.toAtomicUnits(1e21), BigInt('1' + '0'.repeat(23)))
+    })
+
+    it('rejects numbers that can not be represented at the supported decimal places', () => {
+      assert.throws(() => wallet.toAtomicUnits(1.005), /more decimal places/)
+      assert.throws(() => wallet.toAtomicUnits(0.125), /more decimal places/)
+      assert.throws(() => wallet.toAtomicUnits(0.1 + 0.2), /more decimal places/)
+    })
+
+    it('rejects numbers that are not finite', () => {
+      assert.throws(() => wallet.toAtomicUnits(NaN), /not a number/)
+      assert.throws(() => wallet.toAtomicUnits(Infinity), /not a number/)
+    })
+
+    it('rejects strings with more decimal places than supported', () => {
+      assert.throws(() => wallet.toAtomicUnits('1.234'), /more decimal places/)
+    })
+
+    it('rejects amounts that are not numbers', () => {
+      assert.throws(() => wallet.toAtomicUnits('abc'), /not a number/)
+      assert.throws(() => wallet.toAtomicUnits(''), /not a number/)
+    })
+  })
+
+  describe('against the wallet-api', () => {
+    const mock = new MockWalletAPI({ balance: 12345 })
+    var wallet
+
+    before(async () => {
+      wallet = new WalletAPI({ password: 'password', port: await mock.listen() })
+    })
+
+    after(() => mock.close())
+
+    it('formats balances as decimal strings', async () => {
+      assert.deepStrictEqual(await wallet.balance(), { unlocked: '123.45', locked: '0.00' })
+    })
+
+    it('keeps integers beyond the safe integer range exact', async () => {
+      const adapter = () => Promise.resolve({ statusCode: 200, headers: {}, body: '{"unlocked":9007199254740993,"locked":0}' })
+      const exact = new WalletAPI({ password: 'password', adapter })
+
+      assert.deepStrictEqual(await exact.balance(), { unlocked: '90071992547409.93', locked: '0.00' })
+    })
+
+    it('sends amounts in atomic units', async () => {
+      mock.requests = []
+
+      await wallet.sendBasic(mock.primaryAddress, '1.5')
+
+      assert.strictEqual(mock.requests[0].body.amount, 150)
+    })
+  })
+})
+
+describe('WalletAPI.setNode', () => {
+  const mock = new MockWalletAPI({ daemon: new MockMONCoind() })
+  var wallet
+
+  before(async () => {
+    wallet = new WalletAPI({ password: 'password', port: await mock.listen() })
+  })
+
+  after(() => mock.close())
+
+  afterEach(() => mock.clearFailures())
+
+  it('confirms the switch once the wallet reports the new node', async () => {
+    const node = await wallet.setNode('node.example.com', 11898, false, { timeout: 500, interval: 10 })
+
+    assert.strictEqual(node.daemonHost, 'node.example.com')
+    assert.strictEqual(node.daemonPort, 11898)
+  })
+
+  it('confirms the switch when the port is supplied as a string', async () => {
+    mock.setFixture('GET /node', { daemonHost: 'node.example.com', daemonPort: 11898, daemonSSL: false })
+
+    try {
+      const node = await wallet.setNode('node.example.com', '11898', false, { timeout: 500, interval: 10 })
+
+      assert.strictEqual(node.daemonPort, 11898)
+    } finally {
+      delete mock.fixtures['GET /node']
+    }
+  })
+
+  it('times out if the wallet never reports the new node', async () => {
+    mock.setFixture('GET /node', { daemonHost: 'other.example.com', daemonPort: 11898, daemonSSL: false })
+
+    try {
+      await assert.rejects(wallet.setNode('node.example.com', 11898, false, { timeout: 100, interval: 10 }), /Timed out/)
+    } finally {
+      delete mock.fixtures['GET /node']
+    }
+  })
+})
+
+describe('WalletAPI.optimize', () => {
+  const mock = new MockWalletAPI()
+  var wallet
+
+  before(async () => {
+    wallet = new WalletAPI({ password: 'password', port: await mock.listen(), retry: false })
+  })
+
+  after(() => mock.close())
+
+  afterEach(() => mock.clearFailures())
+
+  it('stops once the wallet reports that it is fully optimized', async () => {
+    const result = await wallet.optimize()
+
+    assert.deepStrictEqual(result, { rounds: 0, transactionHashes: [], optimized: true })
+  })
+
+  it('reads the fully optimized error as the wallet-api returns it', async () => {
+    mock.fail('POST /transactions/send/fusion/basic', { statusCode: 400, times: 2, body: FULLY_OPTIMIZED })
+
+    await assert.rejects(wallet.sendFusionBasic(), error => {
+      return error instanceof Errors.BadRequestError &&
+        error.errorCode === Errors.WalletErrorCode.FULLY_OPTIMIZED &&
+        error.message.indexOf(FULLY_OPTIMIZED.errorMessage) !== -1
+    })
+    assert.strictEqual((await wallet.optimize()).optimized, true)
+  })
+
+  it('recognizes the fully optimized error of a wallet-api that returns no error code', async () => {
+    mock.fail('POST /transactions/send/fusion/basic', { statusCode: 400, body: { errorMessage: FULLY_OPTIMIZED.errorMessage } })
+
+    assert.strictEqual((await wallet.optimize()).optimized, true)
+  })
+
+  it('rejects with other wallet errors that mention optimizing', async () => {
+    mock.fail('POST /transactions/send/fusion/basic', { statusCode: 400, body: { errorCode: 29, errorMessage: 'The wallet could not be optimized as the daemon is offline' } })
+
+    await assert.rejects(wallet.optimize(), error => error instanceof Errors.BadRequestError && error.errorCode === 29)
+  })
+})